@@ -41,19 +41,7 @@ class DebugUtils {
           const trustedTabs = tabs.filter(tab => {
             if (!tab.url) return false;
             
-            try {
-              const url = new URL(tab.url);
-              const hostname = url.hostname;
-              
-              for (const domain of allowedDomains) {
-                if (hostname.includes(domain) || domain.includes(hostname)) {
-                  return true;
-                }
-              }
-              return false;
-            } catch (e) {
-              return false;
-            }
+            return DomainMatcher.match(tab.url, allowedDomains) !== null;
           });
           
           DebugUtils.log("Sync Test", `Found ${trustedTabs.length} trusted tabs`);
@@ -0,0 +1,170 @@
+/**
+ * Dialog utilities for IFS Clipboard Extension
+ * Small modal forms built on the native <dialog> element, used by the side
+ * panel wherever a single prompt() is not enough
+ */
+
+class DialogUtils {
+  /**
+   * Shows a modal form and waits for the user to submit or cancel it
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {Array<Object>} options.fields - Form fields
+   * @param {string} options.fields[].name - Key of the field in the result
+   * @param {string} options.fields[].label - Field label
+   * @param {string} [options.fields[].type="text"] - Input type, or "textarea"
+   * @param {string} [options.fields[].value] - Initial value
+   * @param {string} [options.fields[].placeholder] - Placeholder text
+   * @param {boolean} [options.fields[].required] - Whether the field must be filled in
+   * @param {string} [options.confirmLabel="OK"] - Label of the submit button
+   * @returns {Promise<Object<string, string>|null>} Field values, or null when cancelled
+   */
+  static showForm(options) {
+    const dialog = DialogUtils.create(options.title);
+    const form = dialog.querySelector("form");
+    const body = form.querySelector(".dialog-body");
+
+    options.fields.forEach((field) => {
+      const label = document.createElement("label");
+      label.className = "dialog-field";
+      label.textContent = field.label;
+
+      const input = document.createElement(field.type === "textarea" ? "textarea" : "input");
+      if (field.type !== "textarea") input.type = field.type || "text";
+      input.name = field.name;
+      input.value = field.value || "";
+      input.placeholder = field.placeholder || "";
+      input.required = Boolean(field.required);
+
+      label.appendChild(input);
+      body.appendChild(label);
+    });
+
+    DialogUtils.addButtons(form, options.confirmLabel || "OK");
+
+    return DialogUtils.open(dialog, () => {
+      const values = {};
+      options.fields.forEach((field) => {
+        values[field.name] = form.elements[field.name].value;
+      });
+      return values;
+    });
+  }
+
+  /**
+   * Shows a modal with custom HTML content and waits for it to be closed
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.html - Body markup (must already be escaped)
+   * @param {string} [options.confirmLabel="OK"] - Label of the submit button
+   * @param {boolean} [options.cancellable=true] - Whether to show a cancel button
+   * @param {function(HTMLFormElement): *} [options.onSubmit] - Builds the result from the form
+   * @param {function(HTMLDialogElement): void} [options.onOpen] - Called once the dialog is shown
+   * @returns {Promise<*>} The onSubmit result (true without onSubmit), or null when cancelled
+   */
+  static showContent(options) {
+    const dialog = DialogUtils.create(options.title);
+    const form = dialog.querySelector("form");
+    form.querySelector(".dialog-body").innerHTML = options.html;
+
+    DialogUtils.addButtons(form, options.confirmLabel || "OK", options.cancellable !== false);
+
+    const result = DialogUtils.open(dialog, () =>
+      options.onSubmit ? options.onSubmit(form) : true,
+    );
+    if (options.onOpen) options.onOpen(dialog);
+    return result;
+  }
+
+  /**
+   * Escapes text for safe use inside HTML markup, attribute values included
+   * Shared by every module that builds markup for the side panel.
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Creates an empty dialog with a title and a form
+   * @param {string} title - Dialog title
+   * @returns {HTMLDialogElement} The dialog, already attached to the document
+   * @private
+   */
+  static create(title) {
+    const dialog = document.createElement("dialog");
+    dialog.className = "ifs-dialog";
+
+    const form = document.createElement("form");
+    form.method = "dialog";
+
+    const heading = document.createElement("div");
+    heading.className = "dialog-title";
+    heading.textContent = title;
+
+    const body = document.createElement("div");
+    body.className = "dialog-body";
+
+    form.append(heading, body);
+    dialog.appendChild(form);
+    document.body.appendChild(dialog);
+    return dialog;
+  }
+
+  /**
+   * Adds the confirm and cancel buttons to a dialog form
+   * @param {HTMLFormElement} form - Dialog form
+   * @param {string} confirmLabel - Label of the submit button
+   * @param {boolean} [cancellable=true] - Whether to add a cancel button
+   * @private
+   */
+  static addButtons(form, confirmLabel, cancellable = true) {
+    const buttons = document.createElement("div");
+    buttons.className = "dialog-buttons";
+
+    if (cancellable) {
+      const cancel = document.createElement("button");
+      cancel.type = "button";
+      cancel.className = "dialog-cancel";
+      cancel.textContent = "Cancel";
+      cancel.addEventListener("click", () => form.parentElement.close("cancel"));
+      buttons.appendChild(cancel);
+    }
+
+    const confirm = document.createElement("button");
+    confirm.type = "submit";
+    confirm.value = "confirm";
+    confirm.className = "dialog-confirm";
+    confirm.textContent = confirmLabel;
+    buttons.appendChild(confirm);
+
+    form.appendChild(buttons);
+  }
+
+  /**
+   * Opens a dialog and resolves once it is closed
+   * @param {HTMLDialogElement} dialog - Dialog to open
+   * @param {function(): *} getResult - Builds the result when confirmed
+   * @returns {Promise<*>} The result, or null when cancelled
+   * @private
+   */
+  static open(dialog, getResult) {
+    return new Promise((resolve) => {
+      dialog.addEventListener("close", () => {
+        const result = dialog.returnValue === "confirm" ? getResult() : null;
+        dialog.remove();
+        resolve(result);
+      });
+      dialog.showModal();
+    });
+  }
+}
+
+// Export for use in other modules
+window.DialogUtils = DialogUtils;
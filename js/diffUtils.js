@@ -0,0 +1,147 @@
+/**
+ * Diff utilities for IFS Clipboard Extension
+ * Compares two sets of clipboard records row by row and cell by cell
+ */
+
+class DiffUtils {
+  /**
+   * Columns used to match rows when present in both sets (case-insensitive)
+   * @type {Array<string>}
+   */
+  static KEY_CANDIDATES = ["objid", "objkey"];
+
+  /**
+   * Returns all column names used by a set of records, in first-seen order
+   * @param {Array<Object>} records - Clipboard records
+   * @returns {Array<string>} Column names
+   */
+  static getColumns(records) {
+    const columns = [];
+    (records || []).forEach((record) => {
+      if (!record || typeof record !== "object") return;
+      Object.keys(record).forEach((column) => {
+        if (!columns.includes(column)) columns.push(column);
+      });
+    });
+    return columns;
+  }
+
+  /**
+   * Suggests the key column to match rows by, e.g. objid or objkey
+   * @param {Array<Object>} before - Old records
+   * @param {Array<Object>} after - New records
+   * @returns {string|null} Column present in both sets, or null to match by row order
+   */
+  static suggestKeyColumn(before, after) {
+    const afterColumns = DiffUtils.getColumns(after);
+    const shared = DiffUtils.getColumns(before).filter((column) =>
+      afterColumns.includes(column),
+    );
+
+    for (const candidate of DiffUtils.KEY_CANDIDATES) {
+      const match = shared.find((column) => column.toLowerCase() === candidate);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Compares two sets of records
+   * Rows are matched by the key column, or by position when no key is given.
+   * Rows sharing a key value are matched in order of appearance.
+   * @param {Array<Object>} before - Old records
+   * @param {Array<Object>} after - New records
+   * @param {string|null} keyColumn - Column to match rows by
+   * @returns {{keyColumn: string|null, columns: {added: Array<string>, removed: Array<string>, all: Array<string>}, rows: Array<Object>, summary: Object<string, number>}}
+   */
+  static diffRecords(before, after, keyColumn = null) {
+    const beforeRecords = before || [];
+    const afterRecords = after || [];
+    const beforeColumns = DiffUtils.getColumns(beforeRecords);
+    const afterColumns = DiffUtils.getColumns(afterRecords);
+
+    const columns = {
+      added: afterColumns.filter((column) => !beforeColumns.includes(column)),
+      removed: beforeColumns.filter((column) => !afterColumns.includes(column)),
+      all: beforeColumns.concat(afterColumns.filter((column) => !beforeColumns.includes(column))),
+    };
+
+    const rowKey = (record, index, seen) => {
+      if (!keyColumn) return String(index);
+      const value = record && record[keyColumn] !== undefined ? String(record[keyColumn]) : "";
+      const occurrence = seen.get(value) || 0;
+      seen.set(value, occurrence + 1);
+      return `${value}\u0000${occurrence}`;
+    };
+
+    const beforeByKey = new Map();
+    const beforeSeen = new Map();
+    beforeRecords.forEach((record, index) => {
+      beforeByKey.set(rowKey(record, index, beforeSeen), record);
+    });
+
+    const rows = [];
+    const matched = new Set();
+    const afterSeen = new Map();
+    afterRecords.forEach((record, index) => {
+      const key = rowKey(record, index, afterSeen);
+      const displayKey = keyColumn ? (record || {})[keyColumn] : index + 1;
+
+      if (!beforeByKey.has(key)) {
+        rows.push({ status: "added", key: displayKey, before: null, after: record, changedColumns: [] });
+        return;
+      }
+
+      matched.add(key);
+      const previous = beforeByKey.get(key);
+      const changedColumns = columns.all.filter(
+        (column) =>
+          !columns.added.includes(column) &&
+          !columns.removed.includes(column) &&
+          !DiffUtils.sameValue(previous[column], record[column]),
+      );
+      rows.push({
+        status: changedColumns.length > 0 ? "changed" : "unchanged",
+        key: displayKey,
+        before: previous,
+        after: record,
+        changedColumns: changedColumns,
+      });
+    });
+
+    beforeByKey.forEach((record, key) => {
+      if (matched.has(key)) return;
+      rows.push({
+        status: "removed",
+        key: keyColumn ? (record || {})[keyColumn] : Number(key) + 1,
+        before: record,
+        after: null,
+        changedColumns: [],
+      });
+    });
+
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    rows.forEach((row) => summary[row.status]++);
+
+    return { keyColumn: keyColumn, columns: columns, rows: rows, summary: summary };
+  }
+
+  /**
+   * Compares two cell values, treating missing and empty values alike
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if both values are the same
+   */
+  static sameValue(a, b) {
+    const normalize = (value) =>
+      value === undefined || value === null
+        ? ""
+        : typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
+    return normalize(a) === normalize(b);
+  }
+}
+
+// Export for use in other modules
+window.DiffUtils = DiffUtils;
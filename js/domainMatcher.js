@@ -0,0 +1,129 @@
+/**
+ * Domain matcher for IFS Clipboard Extension
+ * Matches URLs and hostnames against the trusted domain rules. A rule is an
+ * exact host ("ifs.example.com"), a wildcard ("*.example.com", which also
+ * matches example.com itself), optionally with a scheme ("https://...") and
+ * a port ("...:8080"). Rules without a scheme or port accept any.
+ */
+
+class DomainMatcher {
+  /**
+   * Schemes a rule may be restricted to
+   * @type {Array<string>}
+   */
+  static SCHEMES = ["http", "https"];
+
+  /**
+   * Parses a rule into its parts
+   * @param {string} rule - Rule text, e.g. "https://*.example.com:8080"
+   * @returns {{scheme: string|null, host: string, wildcard: boolean, port: string|null}|null} The parts, or null if the rule is invalid
+   */
+  static parseRule(rule) {
+    const match = /^(?:([a-z]+):\/\/)?(\*\.)?([a-z0-9.-]+)(?::(\d{1,5}))?\/?$/i.exec(
+      String(rule || "").trim(),
+    );
+    if (!match) return null;
+
+    const scheme = match[1] ? match[1].toLowerCase() : null;
+    const host = match[3].toLowerCase();
+    if (scheme && !DomainMatcher.SCHEMES.includes(scheme)) return null;
+    if (host.startsWith(".") || host.endsWith(".") || host.includes("..")) return null;
+
+    return {
+      scheme: scheme,
+      host: host,
+      wildcard: Boolean(match[2]),
+      port: match[4] || null,
+    };
+  }
+
+  /**
+   * Parses the thing being checked, a full URL or a bare hostname
+   * A bare hostname carries no scheme or port, so those are not checked for it.
+   * @param {string} target - URL or hostname
+   * @returns {{scheme: string|null, host: string, port: string|null}|null} The parts, or null if unparsable
+   */
+  static parseTarget(target) {
+    if (!target) return null;
+    const text = String(target).trim();
+
+    if (text.includes("://")) {
+      try {
+        const url = new URL(text);
+        const scheme = url.protocol.replace(":", "");
+        return {
+          scheme: scheme,
+          host: url.hostname.toLowerCase(),
+          port: url.port || (scheme === "https" ? "443" : scheme === "http" ? "80" : null),
+        };
+      } catch (e) {
+        return null;
+      }
+    }
+    return { scheme: null, host: text.toLowerCase(), port: null };
+  }
+
+  /**
+   * Checks whether a parsed target satisfies a parsed rule
+   * @param {Object} target - Result of parseTarget()
+   * @param {Object} rule - Result of parseRule()
+   * @returns {boolean} True if the rule matches
+   */
+  static matches(target, rule) {
+    const hostMatches = rule.wildcard
+      ? target.host === rule.host || target.host.endsWith(`.${rule.host}`)
+      : target.host === rule.host;
+    if (!hostMatches) return false;
+    if (rule.scheme && target.scheme && rule.scheme !== target.scheme) return false;
+    if (rule.port && target.port && rule.port !== target.port) return false;
+    return true;
+  }
+
+  /**
+   * Ranks a rule so that the most specific of several matching rules wins
+   * @param {Object} rule - Result of parseRule()
+   * @returns {number} Higher for more specific rules
+   */
+  static specificity(rule) {
+    return (rule.wildcard ? 0 : 1000) + rule.host.length * 4 + (rule.port ? 2 : 0) + (rule.scheme ? 1 : 0);
+  }
+
+  /**
+   * Finds the rule a URL or hostname matches
+   * @param {string|null} target - URL or hostname to check
+   * @param {Array<string>} rules - Trusted domain rules
+   * @returns {string|null} The most specific matching rule, or null if none matches
+   */
+  static match(target, rules) {
+    const parsedTarget = DomainMatcher.parseTarget(target);
+    if (!parsedTarget || !parsedTarget.host) return null;
+
+    let best = null;
+    let bestSpecificity = -1;
+    (rules || []).forEach((rule) => {
+      const parsedRule = DomainMatcher.parseRule(rule);
+      if (!parsedRule || !DomainMatcher.matches(parsedTarget, parsedRule)) return;
+
+      const ruleSpecificity = DomainMatcher.specificity(parsedRule);
+      if (ruleSpecificity > bestSpecificity) {
+        best = rule;
+        bestSpecificity = ruleSpecificity;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Converts a rule into a content script match pattern
+   * @param {string} rule - Trusted domain rule
+   * @returns {string|null} The match pattern, or null if the rule is invalid
+   */
+  static toMatchPattern(rule) {
+    const parsed = DomainMatcher.parseRule(rule);
+    if (!parsed) return null;
+    return `${parsed.scheme || "*"}://${parsed.wildcard ? "*." : ""}${parsed.host}${parsed.port ? `:${parsed.port}` : ""}/*`;
+  }
+}
+
+// Export for use in other modules (side panel, permission page and service worker)
+self.DomainMatcher = DomainMatcher;
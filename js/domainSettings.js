@@ -0,0 +1,398 @@
+/**
+ * Domain settings for IFS Clipboard Extension
+ * Stores per-domain configuration for trusted domains, such as the
+ * environment group a domain belongs to and its sync role, and the domains
+ * the user refused access to. Shared by the side panel, the permission page
+ * and the service worker.
+ */
+
+class DomainSettings {
+  /**
+   * Storage keys holding the trusted and denied domains and their settings
+   * @type {Array<string>}
+   */
+  static STORAGE_KEYS = ["allowedDomains", "domainSettings", "environmentGroups", "deniedDomains"];
+
+  /**
+   * Group used for domains that were never assigned to one
+   * @type {string}
+   */
+  static DEFAULT_GROUP = "Default";
+
+  /**
+   * Sync roles a domain can have, with their display labels
+   * "send" domains publish their copies but never receive data (e.g. production),
+   * "receive" domains accept data but their copies are not published and
+   * "isolated" domains do neither.
+   * @type {Object<string, string>}
+   */
+  static ROLES = {
+    both: "Send & receive",
+    send: "Send only",
+    receive: "Receive only",
+    isolated: "Isolated",
+  };
+
+  /**
+   * Role used for domains that were never assigned one
+   * @type {string}
+   */
+  static DEFAULT_ROLE = "both";
+
+  /**
+   * Environment types a domain can be tagged with, with their default colours
+   * @type {Object<string, {label: string, color: string}>}
+   */
+  static ENV_TYPES = {
+    DEV: { label: "Development", color: "#2e7d32" },
+    TEST: { label: "Test", color: "#1565c0" },
+    UAT: { label: "User acceptance", color: "#6a1b9a" },
+    CFG: { label: "Configuration", color: "#ef6c00" },
+    PROD: { label: "Production", color: "#c62828" },
+  };
+
+  /**
+   * Loads trusted domains together with their settings
+   * @returns {Promise<{allowedDomains: Array<string>, domainSettings: Object<string, Object>, environmentGroups: Array<string>, deniedDomains: Array<string>}>}
+   */
+  static load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(DomainSettings.STORAGE_KEYS, (result) => {
+        resolve(DomainSettings.normalize(result));
+      });
+    });
+  }
+
+  /**
+   * Fills in defaults for a raw storage result
+   * @param {Object} result - Storage result for STORAGE_KEYS
+   * @returns {{allowedDomains: Array<string>, domainSettings: Object<string, Object>, environmentGroups: Array<string>, deniedDomains: Array<string>}}
+   */
+  static normalize(result) {
+    const environmentGroups = (result.environmentGroups || []).slice();
+    if (!environmentGroups.includes(DomainSettings.DEFAULT_GROUP)) {
+      environmentGroups.unshift(DomainSettings.DEFAULT_GROUP);
+    }
+
+    return {
+      allowedDomains: result.allowedDomains || [],
+      domainSettings: result.domainSettings || {},
+      environmentGroups: environmentGroups,
+      deniedDomains: result.deniedDomains || [],
+    };
+  }
+
+  /**
+   * Finds the trusted domain rule that a hostname or URL belongs to
+   * Pass the full URL where there is one, so scheme and port rules apply; a
+   * bare hostname matches every rule for its host. A rule resolves to itself.
+   * @param {string|null} hostname - Hostname, URL or trusted domain rule to look up
+   * @param {Array<string>} allowedDomains - Trusted domain rules
+   * @returns {string|null} The matching trusted domain rule or null
+   */
+  static findTrustedDomain(hostname, allowedDomains) {
+    if (hostname && (allowedDomains || []).includes(hostname)) return hostname;
+    return DomainMatcher.match(hostname, allowedDomains);
+  }
+
+  /**
+   * Checks whether the user refused access for a hostname
+   * Denied hostnames are stored exactly as they were shown on the permission page.
+   * @param {string|null} hostname - Hostname to check
+   * @param {Object} settings - Result of load()
+   * @returns {boolean} True if the hostname is denied
+   */
+  static isDenied(hostname, settings) {
+    return DomainMatcher.match(hostname, settings.deniedDomains) !== null;
+  }
+
+  /**
+   * Returns the environment group of a trusted domain
+   * @param {string|null} domain - Trusted domain
+   * @param {Object} settings - Result of load()
+   * @returns {string} Group name
+   */
+  static getGroup(domain, settings) {
+    const domainSettings = domain && settings.domainSettings[domain];
+    const group = domainSettings && domainSettings.group;
+
+    // Domains whose group was deleted fall back to the default group
+    if (group && settings.environmentGroups.includes(group)) {
+      return group;
+    }
+    return DomainSettings.DEFAULT_GROUP;
+  }
+
+  /**
+   * Returns the sync role of a trusted domain
+   * @param {string|null} domain - Trusted domain
+   * @param {Object} settings - Result of load()
+   * @returns {string} One of the keys of ROLES
+   */
+  static getRole(domain, settings) {
+    const domainSettings = domain && settings.domainSettings[domain];
+    const role = domainSettings && domainSettings.role;
+    return role && DomainSettings.ROLES[role] ? role : DomainSettings.DEFAULT_ROLE;
+  }
+
+  /**
+   * Describes the environment of a hostname for display
+   * @param {string|null} hostname - Hostname to describe
+   * @param {Object} settings - Result of load()
+   * @returns {{domain: string, label: string, envType: string, color: string|null}|null} The environment, or null if the hostname is not trusted
+   */
+  static getEnvironment(hostname, settings) {
+    const domain = DomainSettings.findTrustedDomain(hostname, settings.allowedDomains);
+    if (!domain) return null;
+
+    const domainSettings = settings.domainSettings[domain] || {};
+    const envType = DomainSettings.ENV_TYPES[domainSettings.envType] ? domainSettings.envType : "";
+    return {
+      domain: domain,
+      label: (domainSettings.label || "").trim() || domain,
+      envType: envType,
+      color: domainSettings.color || (envType ? DomainSettings.ENV_TYPES[envType].color : null),
+    };
+  }
+
+  /**
+   * Formats a hostname as its label and environment type, e.g. "Finance UAT (UAT)"
+   * @param {string|null} hostname - Hostname to format
+   * @param {Object} settings - Result of load()
+   * @returns {string} The description, or the hostname itself if it is not trusted
+   */
+  static describe(hostname, settings) {
+    const environment = DomainSettings.getEnvironment(hostname, settings);
+    if (!environment) return hostname || "";
+    return environment.envType ? `${environment.label} (${environment.envType})` : environment.label;
+  }
+
+  /**
+   * Checks whether a hostname belongs to a protected domain, which is only
+   * written to after the user confirms
+   * @param {string|null} hostname - Hostname to check
+   * @param {Object} settings - Result of load()
+   * @returns {boolean} True if the hostname's trusted domain is protected
+   */
+  static isProtected(hostname, settings) {
+    const domain = DomainSettings.findTrustedDomain(hostname, settings.allowedDomains);
+    return domain !== null && Boolean((settings.domainSettings[domain] || {}).protected);
+  }
+
+  /**
+   * Checks whether clipboard changes from a hostname may be published
+   * Hostnames outside the trusted list (e.g. the side panel on a chrome:// page)
+   * are not restricted here; trust is checked separately.
+   * @param {string|null} hostname - Hostname to check
+   * @param {Object} settings - Result of load()
+   * @returns {boolean} True if the hostname may send
+   */
+  static canSend(hostname, settings) {
+    const domain = DomainSettings.findTrustedDomain(hostname, settings.allowedDomains);
+    const role = DomainSettings.getRole(domain, settings);
+    return role === "both" || role === "send";
+  }
+
+  /**
+   * Checks whether clipboard data may be written into a hostname's tabs
+   * @param {string|null} hostname - Hostname to check
+   * @param {Object} settings - Result of load()
+   * @returns {boolean} True if the hostname may receive
+   */
+  static canReceive(hostname, settings) {
+    const domain = DomainSettings.findTrustedDomain(hostname, settings.allowedDomains);
+    const role = DomainSettings.getRole(domain, settings);
+    return role === "both" || role === "receive";
+  }
+
+  /**
+   * Returns the trusted domains a sync from the source hostname may write to:
+   * domains in the source's environment group whose role allows receiving.
+   * Nothing is returned when the source's role does not allow sending.
+   * @param {string|null} sourceHostname - Hostname the data came from
+   * @param {Object} settings - Result of load()
+   * @returns {{group: string, domains: Array<string>, blockedReason: string|null}}
+   */
+  static getSyncTargets(sourceHostname, settings) {
+    const sourceGroup = DomainSettings.getDomainsInSourceGroup(sourceHostname, settings);
+
+    if (!DomainSettings.canSend(sourceHostname, settings)) {
+      const sourceDomain = DomainSettings.findTrustedDomain(
+        sourceHostname,
+        settings.allowedDomains,
+      );
+      const role = DomainSettings.getRole(sourceDomain, settings);
+      return {
+        group: sourceGroup.group,
+        domains: [],
+        blockedReason: `${sourceDomain} is ${DomainSettings.ROLES[role].toLowerCase()} and cannot send`,
+      };
+    }
+
+    return {
+      group: sourceGroup.group,
+      domains: sourceGroup.domains.filter((domain) =>
+        DomainSettings.canReceive(domain, settings),
+      ),
+      blockedReason: null,
+    };
+  }
+
+  /**
+   * Returns the trusted domains that share the source hostname's group
+   * A missing or untrusted source is treated as the default group.
+   * @param {string|null} sourceHostname - Hostname the data came from
+   * @param {Object} settings - Result of load()
+   * @returns {{group: string, domains: Array<string>}} The group and its domains
+   */
+  static getDomainsInSourceGroup(sourceHostname, settings) {
+    const sourceDomain = DomainSettings.findTrustedDomain(
+      sourceHostname,
+      settings.allowedDomains,
+    );
+    const group = DomainSettings.getGroup(sourceDomain, settings);
+
+    return {
+      group: group,
+      domains: settings.allowedDomains.filter(
+        (domain) => DomainSettings.getGroup(domain, settings) === group,
+      ),
+    };
+  }
+
+  /**
+   * Checks whether two hostnames belong to the same environment group
+   * @param {string|null} hostnameA - First hostname
+   * @param {string|null} hostnameB - Second hostname
+   * @param {Object} settings - Result of load()
+   * @returns {boolean} True if both resolve to the same group
+   */
+  static isSameGroup(hostnameA, hostnameB, settings) {
+    const domainA = DomainSettings.findTrustedDomain(hostnameA, settings.allowedDomains);
+    const domainB = DomainSettings.findTrustedDomain(hostnameB, settings.allowedDomains);
+    return (
+      DomainSettings.getGroup(domainA, settings) ===
+      DomainSettings.getGroup(domainB, settings)
+    );
+  }
+
+  /**
+   * Updates the stored settings of a single domain
+   * @param {string} domain - Trusted domain
+   * @param {Object} changes - Settings to merge in
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async updateDomain(domain, changes) {
+    const settings = await DomainSettings.load();
+    const domainSettings = Object.assign({}, settings.domainSettings);
+    domainSettings[domain] = Object.assign({}, domainSettings[domain], changes);
+    await chrome.storage.local.set({ domainSettings: domainSettings });
+  }
+
+  /**
+   * Removes the stored settings of a domain (used when it is no longer trusted)
+   * @param {string} domain - Trusted domain
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async removeDomain(domain) {
+    const settings = await DomainSettings.load();
+    const domainSettings = Object.assign({}, settings.domainSettings);
+    delete domainSettings[domain];
+    await chrome.storage.local.set({ domainSettings: domainSettings });
+  }
+
+  /**
+   * Trusts a domain, reversing an earlier denial
+   * @param {string} domain - Hostname to trust
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async allowDomain(domain) {
+    const settings = await DomainSettings.load();
+    await chrome.storage.local.set({
+      allowedDomains: settings.allowedDomains.includes(domain)
+        ? settings.allowedDomains
+        : settings.allowedDomains.concat(domain),
+      deniedDomains: settings.deniedDomains.filter((d) => d.toLowerCase() !== domain.toLowerCase()),
+    });
+  }
+
+  /**
+   * Denies a domain so the permission page no longer asks for it; a trusted
+   * domain loses its trust and settings
+   * @param {string} domain - Hostname to deny
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async denyDomain(domain) {
+    const settings = await DomainSettings.load();
+    const domainSettings = Object.assign({}, settings.domainSettings);
+    delete domainSettings[domain];
+
+    await chrome.storage.local.set({
+      allowedDomains: settings.allowedDomains.filter((d) => d !== domain),
+      domainSettings: domainSettings,
+      deniedDomains: DomainSettings.isDenied(domain, settings)
+        ? settings.deniedDomains
+        : settings.deniedDomains.concat(domain),
+    });
+  }
+
+  /**
+   * Forgets a denial so the permission page asks again on the next visit
+   * @param {string} domain - Denied hostname
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async forgetDenied(domain) {
+    const settings = await DomainSettings.load();
+    await chrome.storage.local.set({
+      deniedDomains: settings.deniedDomains.filter((d) => d.toLowerCase() !== domain.toLowerCase()),
+    });
+  }
+
+  /**
+   * Adds a named environment group
+   * @param {string} name - Group name
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async addGroup(name) {
+    const groupName = (name || "").trim();
+    if (!groupName) throw new Error("Group name is required");
+
+    const settings = await DomainSettings.load();
+    if (settings.environmentGroups.includes(groupName)) {
+      throw new Error(`Group "${groupName}" already exists`);
+    }
+
+    await chrome.storage.local.set({
+      environmentGroups: settings.environmentGroups.concat(groupName),
+    });
+  }
+
+  /**
+   * Removes an environment group; its domains return to the default group
+   * @param {string} name - Group name
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async removeGroup(name) {
+    if (name === DomainSettings.DEFAULT_GROUP) {
+      throw new Error("The default group cannot be removed");
+    }
+
+    const settings = await DomainSettings.load();
+    const domainSettings = Object.assign({}, settings.domainSettings);
+    Object.keys(domainSettings).forEach((domain) => {
+      if (domainSettings[domain].group === name) {
+        domainSettings[domain] = Object.assign({}, domainSettings[domain], {
+          group: DomainSettings.DEFAULT_GROUP,
+        });
+      }
+    });
+
+    await chrome.storage.local.set({
+      environmentGroups: settings.environmentGroups.filter((g) => g !== name),
+      domainSettings: domainSettings,
+    });
+  }
+}
+
+// Export for use in other modules (side panel and service worker)
+self.DomainSettings = DomainSettings;
@@ -2,75 +2,458 @@
  * Excel utility functions for importing and exporting data
  */
 
+/**
+ * Name of the hidden sheet that carries the clipboard metadata and column
+ * types of an export, so that a re-import restores the original copy
+ * @type {string}
+ */
+const METADATA_SHEET = "_ifs_metadata";
+
+/**
+ * Name of the sheet holding the exported records
+ * @type {string}
+ */
+const DATA_SHEET = "Clipboard Data";
+
+/**
+ * Name of the visible sheet describing an export
+ * @type {string}
+ */
+const INFO_SHEET = "Export Info";
+
+/**
+ * Identifies workbooks written by exportToExcel
+ * @type {string}
+ */
+const EXPORT_FORMAT = "ifs-clipboard-export";
+
+/**
+ * Text columns written as real Excel dates, with the pattern their values
+ * must match and the number format shown in Excel
+ * @type {Object<string, {pattern: RegExp, numberFormat: string}>}
+ */
+const DATE_TYPES = {
+  date: { pattern: /^\d{4}-\d{2}-\d{2}$/, numberFormat: "yyyy-mm-dd" },
+  datetime: { pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/, numberFormat: "yyyy-mm-dd hh:mm:ss" },
+};
+
+/**
+ * Excel serial number of 1970-01-01
+ * @type {number}
+ */
+const EXCEL_EPOCH_OFFSET = 25569;
+
+/**
+ * Applies the masking policies of the data's source domain before it is
+ * written to a file; an export always leaves the domain
+ * @param {Array<Object>} data - Array of objects to export
+ * @param {string|null} sourceDomain - Hostname the data came from
+ * @returns {Promise<Array<Object>>} - Promise that resolves with the masked data
+ */
+async function maskExportData(data, sourceDomain) {
+  const [policies, settings] = await Promise.all([
+    MaskingPolicies.load(),
+    DomainSettings.load(),
+  ]);
+  const trustedSourceDomain = DomainSettings.findTrustedDomain(
+    sourceDomain,
+    settings.allowedDomains,
+  );
+  const result = await MaskingPolicies.maskRecords(
+    data,
+    MaskingPolicies.getPoliciesForDomain(policies, trustedSourceDomain),
+  );
+
+  if (result.masked.length > 0) {
+    console.log(`Masked ${result.masked.length} value(s) before export`);
+  }
+  return result.records;
+}
+
 /**
  * Exports data to Excel with filename based on luname column
+ * Values are written as typed cells under a styled, frozen header row with
+ * autofilter and fitted column widths, followed by an info sheet.
  * @param {Array<Object>} data - Array of objects to export
+ * @param {Object} [options] - Export options
+ * @param {string|null} [options.sourceDomain] - Hostname the data came from, whose masking policies apply
+ * @param {string|null} [options.metadata] - TcclClipboardMetadata to store in the hidden metadata sheet
  * @returns {Promise<void>} - Promise that resolves when export is complete
  */
-function exportToExcel(data) {
+function exportToExcel(data, options = {}) {
   return new Promise((resolve, reject) => {
     if (!data || data.length === 0) {
       reject(new Error("No clipboard data available to export"));
       return;
     }
     
-    try {
+    maskExportData(data, options.sourceDomain || null).then((exportData) => {
       // Create a new workbook
       const wb = XLSX.utils.book_new();
       
       // Convert clipboard data to worksheet
-      const ws = XLSX.utils.json_to_sheet(data);
+      const columnTypes = getColumnTypes(exportData);
+      const ws = XLSX.utils.json_to_sheet(toSheetValues(exportData, columnTypes), {
+        // Keep columns whose cells are all blank
+        header: Object.keys(columnTypes),
+      });
+      ws['!autofilter'] = { ref: ws['!ref'] };
+      ws['!cols'] = getColumnWidths(exportData, columnTypes);
       
       // Add the worksheet to the workbook
-      XLSX.utils.book_append_sheet(wb, ws, "Clipboard Data");
+      XLSX.utils.book_append_sheet(wb, ws, DATA_SHEET);
+
+      // Describe the export on a visible sheet for whoever receives the file
+      const luname = HistoryStore.getLuname(exportData, options.metadata) || "";
+      XLSX.utils.book_append_sheet(wb, buildInfoSheet({
+        sourceDomain: options.sourceDomain || "",
+        luname: luname,
+        rowCount: exportData.length,
+        columnCount: Object.keys(columnTypes).length,
+      }), INFO_SHEET);
+
+      // Add the hidden sheet that lets a re-import restore metadata and types
+      const metadataSheet = buildMetadataSheet({
+        format: EXPORT_FORMAT,
+        version: 1,
+        dataSheet: DATA_SHEET,
+        sourceDomain: options.sourceDomain || "",
+        luname: luname,
+        exportedAt: new Date().toISOString(),
+        metadata: options.metadata || "",
+        columnTypes: JSON.stringify(columnTypes),
+      });
+      XLSX.utils.book_append_sheet(wb, metadataSheet, METADATA_SHEET);
+      XLSX.utils.book_set_sheet_visibility(wb, METADATA_SHEET, 1);
       
       // Generate filename using luname if available
-      let filename = "IFS_Clipboard_Export";
-      
-      // Check if the luname column exists in the first record
-      if (data[0] && 'luname' in data[0]) {
-        // Get the value from the first row's luname column
-        const lunameValue = data[0]['luname'];
-        
-        if (lunameValue) {
-          // Sanitize filename - remove characters that aren't safe for filenames
-          const sanitizedLuname = String(lunameValue)
-            .replace(/[\\/:*?"<>|]/g, '_') // Replace unsafe characters
-            .replace(/\s+/g, '_')          // Replace whitespace with underscore
-            .substring(0, 50);             // Limit length
-          
-          if (sanitizedLuname) {
-            filename += `_${sanitizedLuname}`;
-          }
-        }
-      }
+      const filename = buildExportFileName(exportData, "xlsx");
       
-      // Add timestamp for uniqueness
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      filename += `_${timestamp}.xlsx`;
-      
-      // Write the file
-      XLSX.writeFile(wb, filename);
+      // Write the file with a styled header row, frozen on the data sheet
+      const bytes = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+      downloadFile(
+        styleWorkbook(bytes, { headerSheets: [1, 2], frozenSheets: [1] }),
+        filename,
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
       
       console.log(`Excel export completed successfully as ${filename}`);
       resolve();
-    } catch (error) {
+    }).catch((error) => {
       console.error("Error exporting to Excel:", error);
       reject(error);
+    });
+  });
+}
+
+/**
+ * Builds the info sheet listing where and when the data was exported
+ * @param {{sourceDomain: string, luname: string, rowCount: number, columnCount: number}} info - Export details
+ * @returns {Object} - SheetJS worksheet
+ */
+function buildInfoSheet(info) {
+  const now = new Date();
+  const localNow = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+  const ws = XLSX.utils.aoa_to_sheet([
+    ["Property", "Value"],
+    ["Source domain", info.sourceDomain],
+    ["Luname", info.luname],
+    ["Exported at", { t: "n", v: toExcelDate(localNow.toISOString().substring(0, 19)), z: DATE_TYPES.datetime.numberFormat }],
+    ["Rows", info.rowCount],
+    ["Columns", info.columnCount],
+  ]);
+  ws['!cols'] = [{ wch: 16 }, { wch: Math.min(Math.max(info.sourceDomain.length, info.luname.length, 20) + 2, 60) }];
+  return ws;
+}
+
+/**
+ * Fits the column widths to the longest value of each column
+ * @param {Array<Object>} data - Exported records
+ * @param {Object<string, string>} columnTypes - Result of getColumnTypes
+ * @returns {Array<{wch: number}>} - Widths in characters, between 8 and 60
+ */
+function getColumnWidths(data, columnTypes) {
+  return Object.keys(columnTypes).map((column) => {
+    let width = String(column).length;
+    data.forEach((record) => {
+      const value = record[column];
+      if (value === undefined || value === null) return;
+      const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+      width = Math.max(width, text.length);
+    });
+    return { wch: Math.min(Math.max(width + 2, 8), 60) };
+  });
+}
+
+/**
+ * Converts a date text such as "2024-05-31" or "2024-05-31T08:30:00" to an
+ * Excel serial number; the text is taken as is, without time zone shifts
+ * @param {string} text - Date text matching one of DATE_TYPES
+ * @returns {number} - Excel serial number
+ */
+function toExcelDate(text) {
+  const parts = text.split(/[-T:]/).map(Number);
+  const time = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3] || 0, parts[4] || 0, parts[5] || 0);
+  return time / 86400000 + EXCEL_EPOCH_OFFSET;
+}
+
+/**
+ * Converts an Excel serial number back to date text
+ * @param {number} serial - Excel serial number
+ * @param {string} type - "date" or "datetime"
+ * @returns {string} - Date text in the shape of the type's pattern
+ */
+function fromExcelDate(serial, type) {
+  const seconds = Math.round((serial - EXCEL_EPOCH_OFFSET) * 86400);
+  return new Date(seconds * 1000).toISOString().substring(0, type === "date" ? 10 : 19);
+}
+
+/**
+ * Styles the header rows and freezes panes of a written workbook
+ * SheetJS Community Edition writes neither cell styles nor frozen panes, so
+ * the generated XML is patched inside the zip.
+ * @param {ArrayBuffer|Uint8Array} bytes - Workbook written by XLSX.write
+ * @param {{headerSheets: Array<number>, frozenSheets: Array<number>}} options - 1-based sheet numbers to style and freeze
+ * @returns {Uint8Array} - The patched workbook
+ */
+function styleWorkbook(bytes, options) {
+  const zip = XLSX.CFB.read(new Uint8Array(bytes), { type: "array" });
+  const readEntry = (path) => new TextDecoder().decode(XLSX.CFB.find(zip, path).content);
+  const writeEntry = (path, xml) => {
+    const entry = XLSX.CFB.find(zip, path);
+    entry.content = new TextEncoder().encode(xml);
+    entry.size = entry.content.length;
+  };
+
+  // Bold white text on the extension's green, with a border below
+  let styles = readEntry("/xl/styles.xml");
+  const addToList = (tag, item) => {
+    const match = styles.match(new RegExp(`<${tag} count="(\\d+)">`));
+    const index = Number(match[1]);
+    styles = styles
+      .replace(match[0], `<${tag} count="${index + 1}">`)
+      .replace(`</${tag}>`, `${item}</${tag}>`);
+    return index;
+  };
+  const fontId = addToList("fonts", '<font><b/><sz val="12"/><color rgb="FFFFFFFF"/><name val="Calibri"/><family val="2"/><scheme val="minor"/></font>');
+  const fillId = addToList("fills", '<fill><patternFill patternType="solid"><fgColor rgb="FF4CAF50"/><bgColor indexed="64"/></patternFill></fill>');
+  const borderId = addToList("borders", '<border><left/><right/><top/><bottom style="thin"><color auto="1"/></bottom><diagonal/></border>');
+  const headerStyle = addToList(
+    "cellXfs",
+    `<xf numFmtId="0" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>`,
+  );
+  writeEntry("/xl/styles.xml", styles);
+
+  options.headerSheets.forEach((sheetNumber) => {
+    const path = `/xl/worksheets/sheet${sheetNumber}.xml`;
+    let xml = readEntry(path).replace(/<row r="1"[^>]*>.*?<\/row>/, (row) =>
+      row.replace(/<c r="([A-Z]+1)"( s="\d+")?/g, `<c r="$1" s="${headerStyle}"`),
+    );
+    if (options.frozenSheets.includes(sheetNumber)) {
+      xml = xml.replace(
+        /<sheetView workbookViewId="0"\/>/,
+        '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView>',
+      );
     }
+    writeEntry(path, xml);
   });
+
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array", compression: true });
 }
 
 /**
- * Imports data from Excel file
- * @returns {Promise<Array<Object>>} - Promise that resolves with the imported data
+ * Export formats besides Excel, with their file extension and MIME type
+ * @type {Object<string, {extension: string, mimeType: string}>}
+ */
+const TEXT_EXPORT_FORMATS = {
+  csv: { extension: "csv", mimeType: "text/csv" },
+  tsv: { extension: "tsv", mimeType: "text/tab-separated-values" },
+  json: { extension: "json", mimeType: "application/json" },
+};
+
+/**
+ * Builds the export filename from the luname of the first record
+ * @param {Array<Object>} data - Exported records
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - Filename with a timestamp for uniqueness
+ */
+function buildExportFileName(data, extension) {
+  let filename = "IFS_Clipboard_Export";
+  
+  // Check if the luname column exists in the first record
+  if (data[0] && 'luname' in data[0]) {
+    // Get the value from the first row's luname column
+    const lunameValue = data[0]['luname'];
+    
+    if (lunameValue) {
+      // Sanitize filename - remove characters that aren't safe for filenames
+      const sanitizedLuname = String(lunameValue)
+        .replace(/[\\/:*?"<>|]/g, '_') // Replace unsafe characters
+        .replace(/\s+/g, '_')          // Replace whitespace with underscore
+        .substring(0, 50);             // Limit length
+      
+      if (sanitizedLuname) {
+        filename += `_${sanitizedLuname}`;
+      }
+    }
+  }
+  
+  // Add timestamp for uniqueness
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${filename}_${timestamp}.${extension}`;
+}
+
+/**
+ * Exports data in the chosen format
+ * CSV asks for its delimiter, encoding and quoting first; TSV is written as
+ * UTF-8 without a byte order mark, ready for pasting.
+ * @param {Array<Object>} data - Array of objects to export
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format="xlsx"] - "xlsx", "csv", "tsv" or "json"
+ * @param {string|null} [options.sourceDomain] - Hostname the data came from, whose masking policies apply
+ * @param {string|null} [options.metadata] - TcclClipboardMetadata to include where the format allows
+ * @returns {Promise<void>} - Promise that resolves when export is complete or cancelled
+ */
+async function exportToFile(data, options = {}) {
+  const format = options.format || "xlsx";
+  if (format === "xlsx") {
+    return exportToExcel(data, options);
+  }
+  if (!TEXT_EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (!data || data.length === 0) {
+    throw new Error("No clipboard data available to export");
+  }
+
+  let textOptions = { delimiter: "\t", encoding: "utf-8", bom: false, quoteAll: false };
+  if (format === "csv") {
+    textOptions = await chooseCsvExportOptions();
+    if (!textOptions) return;
+  }
+
+  const exportData = await maskExportData(data, options.sourceDomain || null);
+  let content;
+  if (format === "json") {
+    content = JSON.stringify(
+      {
+        format: EXPORT_FORMAT,
+        version: 1,
+        sourceDomain: options.sourceDomain || "",
+        luname: HistoryStore.getLuname(exportData, options.metadata) || "",
+        exportedAt: new Date().toISOString(),
+        metadata: parseMetadata(options.metadata),
+        records: exportData,
+      },
+      null,
+      2,
+    );
+  } else {
+    const columns = Object.keys(getColumnTypes(exportData));
+    const rows = [columns].concat(exportData.map((record) => columns.map((column) => record[column])));
+    content = TextFormats.toDelimited(rows, textOptions);
+  }
+
+  const filename = buildExportFileName(exportData, TEXT_EXPORT_FORMATS[format].extension);
+  downloadFile(
+    TextFormats.encode(content, textOptions.encoding, textOptions.bom),
+    filename,
+    `${TEXT_EXPORT_FORMATS[format].mimeType};charset=${textOptions.encoding}`,
+  );
+  console.log(`${format.toUpperCase()} export completed successfully as ${filename}`);
+}
+
+/**
+ * Parses clipboard metadata for embedding in a JSON export
+ * @param {string|null} metadata - TcclClipboardMetadata JSON string
+ * @returns {*} - The parsed metadata, the raw string if it is not JSON, or null
+ */
+function parseMetadata(metadata) {
+  if (!metadata) return null;
+  try {
+    return JSON.parse(metadata);
+  } catch (e) {
+    return metadata;
+  }
+}
+
+/**
+ * Saves bytes as a file through a temporary download link
+ * @param {Uint8Array} bytes - File content
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(bytes, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Builds the options markup of a select
+ * @param {Object<string, string>} choices - Values with their labels
+ * @param {string} selected - Selected value
+ * @returns {string} - Option elements
+ */
+function selectOptions(choices, selected) {
+  return Object.keys(choices).map((value) => {
+    const escape = DialogUtils.escapeHtml;
+    return `<option value="${escape(value)}" ${value === selected ? "selected" : ""}>${escape(choices[value])}</option>`;
+  }).join("");
+}
+
+/**
+ * Asks for the CSV delimiter, encoding, byte order mark and quoting
+ * @returns {Promise<{delimiter: string, encoding: string, bom: boolean, quoteAll: boolean}|null>} - The options, or null when cancelled
+ */
+function chooseCsvExportOptions() {
+  return DialogUtils.showContent({
+    title: "Export to CSV",
+    confirmLabel: "Export",
+    html: `
+      <label class="dialog-field">Delimiter
+        <select name="delimiter">${selectOptions(TextFormats.DELIMITERS, ",")}</select>
+      </label>
+      <label class="dialog-field">Encoding
+        <select name="encoding">${selectOptions(TextFormats.ENCODINGS, "utf-8")}</select>
+      </label>
+      <label class="format-option">
+        <input type="checkbox" name="bom" checked> Start with a byte order mark (lets Excel detect UTF-8)
+      </label>
+      <label class="format-option">
+        <input type="checkbox" name="quoteAll"> Quote every value
+      </label>
+    `,
+    onSubmit: (form) => ({
+      delimiter: form.elements.delimiter.value,
+      encoding: form.elements.encoding.value,
+      bom: form.elements.bom.checked,
+      quoteAll: form.elements.quoteAll.checked,
+    }),
+  });
+}
+
+/**
+ * Imports data from an Excel, CSV, TSV or JSON file
+ * Text files ask for their delimiter and encoding first, and workbooks with
+ * several sheets show a picker to choose the sheet to import,
+ * and foreign column headers can be mapped to attribute names. The clipboard
+ * is not written before the user confirms the import preview; sheets saved
+ * to the library from the sheet picker are kept when the import is cancelled.
+ * @returns {Promise<{records: Array<Object>|null, savedSheets: number}>} - Promise that resolves with the imported data, or null records when cancelled, and the number of sheets saved to the library
  */
 function importFromExcel() {
   return new Promise((resolve, reject) => {
     // Create a hidden file input element
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = '.xlsx, .xls, .csv';
+    fileInput.accept = '.xlsx, .xls, .csv, .tsv, .txt, .json';
     fileInput.style.display = 'none';
     document.body.appendChild(fileInput);
 
@@ -96,116 +479,23 @@ function importFromExcel() {
        * @param {ProgressEvent} e - The load event
        */
       reader.onload = function(e) {
-        try {
-          // Parse workbook
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, {type: 'array'});
-          
-          // Get first sheet
-          const firstSheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[firstSheetName];
-          
-          // Convert to JSON
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, {header: 1});
-          
-          // Process the data
-          const clipboardData = processExcelData(jsonData);
-          
-          // NEW CODE: Sync the imported data across tabs
-          const jsonString = JSON.stringify(clipboardData);
-          
-          /**
-           * Callback for tab query
-           * @param {Array<chrome.tabs.Tab>} tabs - Array of tabs matching the query
-           */
-          chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs && tabs.length > 0) {
-              const activeTab = tabs[0];
-              
-              /**
-               * Function to retrieve metadata from active tab
-               * @return {string|null} The metadata from localStorage or null
-               */
-              function getTabMetadata() {
-                return localStorage.getItem("TcclClipboardMetadata");
-              }
-              
-              /**
-               * Callback for metadata retrieval
-               * @param {Array} results - Results from script execution
-               */
-              chrome.scripting.executeScript({
-                target: { tabId: activeTab.id },
-                function: getTabMetadata
-              }, (results) => {
-                let metadata = null;
-                if (results && results[0] && results[0].result) {
-                  metadata = results[0].result;
-                }
-                
-                /**
-                 * Function to update localStorage in active tab
-                 * @param {string} data - JSON string to store
-                 * @param {string|null} meta - Metadata to store
-                 * @return {boolean} Success status
-                 */
-                function updateActiveTabStorage(data, meta) {
-                  try {
-                    localStorage.setItem("IFS-Aurena-CopyPasteRecordStorage", data);
-                    if (meta) {
-                      localStorage.setItem("TcclClipboardMetadata", meta);
-                    }
-                    return true;
-                  } catch (error) {
-                    console.error("Error updating active tab after Excel import:", error);
-                    return false;
-                  }
-                }
-                
-                // First sync to active tab immediately to prevent race conditions
-                chrome.scripting.executeScript({
-                  target: { tabId: activeTab.id },
-                  function: updateActiveTabStorage,
-                  args: [jsonString, metadata]
-                });
-                
-                // Sync to all tabs using the background tab approach
-                if (typeof window.syncClipboardViaBackgroundTab === "function") {
-                  // Use the global sync function
-                  window.syncClipboardViaBackgroundTab(jsonString, metadata);
-                  console.log("Excel import synced across tabs using background tab sync");
-                } else {
-                  // Fall back to the service worker method
-                  console.warn("Background tab sync function not available, using fallback method");
-                  
-                  /**
-                   * Callback for sync response
-                   * @param {Object} response - Response from service worker
-                   */
-                  function handleSyncResponse(response) {
-                    console.log("Excel import sync status:", response?.message || "Unknown");
-                  }
-                  
-                  // Use the message passing API to sync via service worker
-                  chrome.runtime.sendMessage({
-                    action: "syncClipboardData",
-                    data: jsonString,
-                    metadata: metadata
-                  }, handleSyncResponse);
-                }
-              });
-            }
-          });
-          
+        // Remove the file input element
+        document.body.removeChild(fileInput);
+
+        const summary = { savedSheets: 0 };
+        previewImport(e.target.result, file.name, summary).then((result) => {
+          if (!result) {
+            resolve({ records: null, savedSheets: summary.savedSheets });
+            return;
+          }
+          applyImportedData(result.records, file.name, result.metadata);
+
           // Resolve the promise with the processed data
-          resolve(clipboardData);
-        } catch (error) {
+          resolve({ records: result.records, savedSheets: summary.savedSheets });
+        }).catch((error) => {
           console.error("Error importing from Excel:", error);
           reject(error);
-        } finally {
-          // Remove the file input element
-          document.body.removeChild(fileInput);
-        }
+        });
       };
       
       /**
@@ -222,6 +512,563 @@ function importFromExcel() {
   });
 }
 
+/**
+ * Reads the rows of a sheet as a 2D array, skipping empty rows
+ * @param {Object} worksheet - SheetJS worksheet
+ * @returns {Array<Array>} - Rows, the first being the header row
+ */
+function readSheetRows(worksheet) {
+  return XLSX.utils
+    .sheet_to_json(worksheet, {header: 1})
+    .filter((row) => row.some((cell) => cell !== undefined && cell !== null && cell !== ""));
+}
+
+/**
+ * Converts a sheet of a workbook into clipboard records
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Name of the sheet to convert
+ * @returns {Array<Object>} - Processed data in clipboard format
+ */
+function sheetToRecords(workbook, sheetName) {
+  return processExcelData(readSheetRows(workbook.Sheets[sheetName]));
+}
+
+/**
+ * Reads the current clipboard from extension storage
+ * @returns {Promise<{records: Array<Object>, metadata: string|null}>} - Current records and metadata
+ */
+function loadCurrentClipboard() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(
+      ["IFS-Aurena-CopyPasteRecordStorage", "TcclClipboardMetadata"],
+      (result) => {
+        resolve({
+          records: HistoryStore.parseRecords(result["IFS-Aurena-CopyPasteRecordStorage"] || "[]"),
+          metadata: result["TcclClipboardMetadata"] || null,
+        });
+      },
+    );
+  });
+}
+
+/**
+ * Converts the chosen sheet into clipboard records
+ * Sheets written by exportToExcel get their metadata and column types back,
+ * and their blank cells are empty clipboard values rather than missing ones;
+ * other sheets go through the header mapping wizard first.
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Name of the chosen sheet
+ * @param {string} fileName - Name of the imported file
+ * @param {{records: Array<Object>, metadata: string|null}} current - Current clipboard
+ * @returns {Promise<{records: Array<Object>, metadata: string|null, missingCells?: Array<Array<string>>}|null>} - The records, file metadata and blank cells of sheets read from raw rows, or null when cancelled
+ */
+async function readSelectedSheet(workbook, sheetName, fileName, current) {
+  const exportInfo = readExportInfo(workbook);
+  if (exportInfo && exportInfo.dataSheet === sheetName) {
+    return {
+      records: restoreColumnTypes(sheetToRecords(workbook, sheetName), exportInfo.columnTypes),
+      metadata: exportInfo.metadata,
+    };
+  }
+
+  const rows = await HeaderMapping.mapRows(readSheetRows(workbook.Sheets[sheetName]), fileName, current);
+  if (!rows) return null;
+  return { records: processExcelData(rows), metadata: null, missingCells: ImportPreview.findMissingCells(rows) };
+}
+
+/**
+ * Tells how an imported file is read from its extension
+ * @param {string} fileName - Name of the imported file
+ * @returns {string} - "json", "text" for delimited text, or "workbook"
+ */
+function getImportFormat(fileName) {
+  const extension = String(fileName).split(".").pop().toLowerCase();
+  if (extension === "json") return "json";
+  if (["csv", "tsv", "txt"].includes(extension)) return "text";
+  return "workbook";
+}
+
+/**
+ * Reads an imported file and shows the import preview
+ * Only a replacing import takes over metadata stored in the file; appended
+ * and merged rows keep the metadata of the current clipboard.
+ * @param {ArrayBuffer} buffer - File content
+ * @param {string} fileName - Name of the imported file
+ * @param {{savedSheets: number}} summary - Receives the number of sheets saved to the library, which stay saved when the import is cancelled
+ * @returns {Promise<{records: Array<Object>, metadata: string|null}|null>} - The new clipboard and file metadata, or null when cancelled
+ */
+async function previewImport(buffer, fileName, summary) {
+  const current = await loadCurrentClipboard();
+  const format = getImportFormat(fileName);
+  const imported = format === "json"
+    ? await readJsonFile(buffer, fileName, current)
+    : format === "text"
+      ? await readTextFile(buffer, fileName, current)
+      : await readWorkbookFile(buffer, fileName, current, summary);
+  if (!imported) return null;
+
+  const choice = await ImportPreview.show({
+    fileName: fileName,
+    records: imported.records,
+    current: current.records,
+    metadata: current.metadata,
+    missingCells: imported.missingCells,
+  });
+  if (!choice) return null;
+
+  return {
+    records: choice.records,
+    metadata: choice.mode === "replace" ? imported.metadata : null,
+  };
+}
+
+/**
+ * Reads the chosen sheet of an Excel file
+ * @param {ArrayBuffer} buffer - File content
+ * @param {string} fileName - Name of the imported file
+ * @param {{records: Array<Object>, metadata: string|null}} current - Current clipboard
+ * @param {{savedSheets: number}} summary - Receives the number of sheets saved to the library
+ * @returns {Promise<{records: Array<Object>, metadata: string|null, missingCells?: Array<Array<string>>}|null>} - The records, file metadata and blank cells of sheets read from raw rows, or null when cancelled
+ */
+async function readWorkbookFile(buffer, fileName, current, summary) {
+  const workbook = XLSX.read(new Uint8Array(buffer), {type: 'array'});
+
+  // Let the user pick the sheet that becomes the clipboard
+  const selection = await chooseSheet(workbook, fileName);
+  if (!selection) return null;
+
+  // Finish saving before the import writes its own history entry
+  if (selection.saveAll) {
+    summary.savedSheets = await saveSheetsToLibrary(workbook, fileName);
+  }
+  return readSelectedSheet(workbook, selection.sheetName, fileName, current);
+}
+
+/**
+ * Reads a CSV, TSV or plain text file with the options the user picks
+ * @param {ArrayBuffer} buffer - File content
+ * @param {string} fileName - Name of the imported file
+ * @param {{records: Array<Object>, metadata: string|null}} current - Current clipboard
+ * @returns {Promise<{records: Array<Object>, metadata: null, missingCells: Array<Array<string>>}|null>} - The records and their blank cells, or null when cancelled
+ */
+async function readTextFile(buffer, fileName, current) {
+  const options = await chooseTextImportOptions(buffer, fileName);
+  if (!options) return null;
+
+  const rows = await HeaderMapping.mapRows(parseTextRows(buffer, options), fileName, current);
+  if (!rows) return null;
+  return { records: processExcelData(rows), metadata: null, missingCells: ImportPreview.findMissingCells(rows) };
+}
+
+/**
+ * Parses delimited text into rows like the ones read from a sheet
+ * @param {ArrayBuffer} buffer - File content
+ * @param {{delimiter: string, encoding: string, quote: string, detectTypes: boolean}} options - Import options
+ * @returns {Array<Array>} - Rows, the first being the header row
+ */
+function parseTextRows(buffer, options) {
+  const rows = TextFormats.parseDelimited(TextFormats.decode(buffer, options.encoding), {
+    delimiter: options.delimiter,
+    quote: options.quote,
+  });
+  if (!options.detectTypes) return rows;
+  return rows.map((row, index) => (index === 0 ? row : row.map(TextFormats.parseCellValue)));
+}
+
+/**
+ * Asks how to read a delimited text file, previewing the first rows
+ * @param {ArrayBuffer} buffer - File content
+ * @param {string} fileName - Name of the imported file
+ * @returns {Promise<{delimiter: string, encoding: string, quote: string, detectTypes: boolean}|null>} - The options, or null when cancelled
+ */
+function chooseTextImportOptions(buffer, fileName) {
+  const encodings = Object.assign({ auto: "Detect (byte order mark or UTF-8)" }, TextFormats.ENCODINGS);
+  const delimiter = fileName.toLowerCase().endsWith(".tsv")
+    ? "\t"
+    : TextFormats.detectDelimiter(TextFormats.decode(buffer));
+
+  const readOptions = (form) => ({
+    delimiter: form.elements.delimiter.value,
+    encoding: form.elements.encoding.value,
+    quote: form.elements.quote.value,
+    detectTypes: form.elements.detectTypes.checked,
+  });
+
+  return DialogUtils.showContent({
+    title: `Import ${fileName}`,
+    confirmLabel: "Continue",
+    html: `
+      <label class="dialog-field">Delimiter
+        <select name="delimiter">${selectOptions(TextFormats.DELIMITERS, delimiter)}</select>
+      </label>
+      <label class="dialog-field">Encoding
+        <select name="encoding">${selectOptions(encodings, "auto")}</select>
+      </label>
+      <label class="dialog-field">Quote character
+        <select name="quote">${selectOptions({ '"': 'Double quote (")', "'": "Single quote (')", "": "None" }, '"')}</select>
+      </label>
+      <label class="format-option">
+        <input type="checkbox" name="detectTypes" checked> Read numbers and true/false as values
+      </label>
+      <div class="format-preview"></div>
+    `,
+    onOpen: (dialog) => {
+      const form = dialog.querySelector("form");
+      const preview = dialog.querySelector(".format-preview");
+      const escape = DialogUtils.escapeHtml;
+
+      const update = () => {
+        const rows = parseTextRows(buffer, readOptions(form)).slice(0, 6);
+        preview.innerHTML = `<table>${rows.map((row, index) => `<tr>${
+          row.map((cell) => (index === 0 ? `<th>${escape(cell)}</th>` : `<td>${escape(cell)}</td>`)).join("")
+        }</tr>`).join("")}</table>`;
+      };
+      form.querySelectorAll("select, input").forEach((input) => input.addEventListener("change", update));
+      update();
+    },
+    onSubmit: readOptions,
+  });
+}
+
+/**
+ * Reads a JSON file: either a list of records or an export written by
+ * exportToFile, whose metadata is restored
+ * @param {ArrayBuffer} buffer - File content
+ * @param {string} fileName - Name of the imported file
+ * @param {{records: Array<Object>, metadata: string|null}} current - Current clipboard
+ * @returns {Promise<{records: Array<Object>, metadata: string|null}|null>} - The records and file metadata, or null when cancelled
+ */
+async function readJsonFile(buffer, fileName, current) {
+  let parsed;
+  try {
+    parsed = JSON.parse(TextFormats.decode(buffer));
+  } catch (error) {
+    throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+  }
+
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.records;
+  if (!Array.isArray(records) || records.some((record) => !record || typeof record !== "object")) {
+    throw new Error(`${fileName} does not hold a list of records`);
+  }
+
+  // Same normalization as sheets: header row of all keys, then the values
+  const columns = DiffUtils.getColumns(records);
+  let rows = [columns].concat(records.map((record) => columns.map((column) => record[column])));
+
+  if (parsed.format === EXPORT_FORMAT) {
+    const metadata = parsed.metadata;
+    return {
+      records: processExcelData(rows),
+      metadata: metadata === null || metadata === undefined
+        ? null
+        : typeof metadata === "string" ? metadata : JSON.stringify(metadata),
+    };
+  }
+
+  rows = await HeaderMapping.mapRows(rows, fileName, current);
+  if (!rows) return null;
+  return { records: processExcelData(rows), metadata: null };
+}
+
+/**
+ * Lists the sheets of a workbook with their row count and headers
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {Array<{name: string, rowCount: number, headers: Array<string>}>} - Sheet summaries
+ */
+function getSheetSummaries(workbook) {
+  return getDataSheetNames(workbook).map((name) => {
+    const rows = readSheetRows(workbook.Sheets[name]);
+    return {
+      name: name,
+      rowCount: Math.max(rows.length - 1, 0),
+      headers: rows.length > 0 ? rows[0].filter((header) => header !== undefined && header !== "").map(String) : [],
+    };
+  });
+}
+
+/**
+ * Asks which sheet of a workbook to import
+ * Single-sheet workbooks are imported without asking.
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} fileName - Name of the imported file
+ * @returns {Promise<{sheetName: string, saveAll: boolean}|null>} - The selection, or null when cancelled
+ */
+function chooseSheet(workbook, fileName) {
+  const sheets = getSheetSummaries(workbook);
+  if (sheets.length === 1) {
+    return Promise.resolve({ sheetName: sheets[0].name, saveAll: false });
+  }
+
+  const escape = DialogUtils.escapeHtml;
+
+  // Preselect the first sheet that has data
+  const firstWithData = sheets.find((sheet) => sheet.rowCount > 0) || sheets[0];
+  const sheetOptions = sheets.map((sheet) => {
+    const preview = sheet.headers.slice(0, 6).join(", ") + (sheet.headers.length > 6 ? ", ..." : "");
+    return `
+      <label class="sheet-option">
+        <input type="radio" name="sheet" value="${escape(sheet.name)}" ${sheet === firstWithData ? "checked" : ""}>
+        <span class="sheet-name">${escape(sheet.name)}</span>
+        <span class="sheet-rows">${sheet.rowCount} row(s)</span>
+        <span class="sheet-headers">${escape(preview || "No headers")}</span>
+      </label>
+    `;
+  }).join("");
+
+  return DialogUtils.showContent({
+    title: `Import from ${fileName}`,
+    confirmLabel: "Import",
+    html: `
+      <p class="sheet-hint">Choose the sheet that becomes the clipboard:</p>
+      ${sheetOptions}
+      <label class="sheet-save-all">
+        <input type="checkbox" name="saveAll"> Also save every sheet to the Library
+      </label>
+    `,
+    onSubmit: (form) => ({
+      sheetName: form.elements.sheet.value,
+      saveAll: form.elements.saveAll.checked,
+    }),
+  });
+}
+
+/**
+ * Saves every non-empty sheet of a workbook as a library snapshot
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} fileName - Name of the imported file
+ * @returns {Promise<number>} - Number of snapshots saved
+ */
+async function saveSheetsToLibrary(workbook, fileName) {
+  const exportInfo = readExportInfo(workbook);
+  let saved = 0;
+  for (const sheetName of getDataSheetNames(workbook)) {
+    const isExportedSheet = exportInfo && exportInfo.dataSheet === sheetName;
+    let records = sheetToRecords(workbook, sheetName);
+    if (records.length === 0) continue;
+    if (isExportedSheet) {
+      records = restoreColumnTypes(records, exportInfo.columnTypes);
+    }
+
+    try {
+      await HistoryStore.saveSnapshot({
+        name: `${fileName} \u2013 ${sheetName}`,
+        description: `Sheet "${sheetName}" imported from ${fileName}`,
+        tags: ["import", sheetName],
+        records: records,
+        metadata: isExportedSheet ? exportInfo.metadata : null,
+      });
+      saved++;
+    } catch (error) {
+      console.error(`Failed to save sheet ${sheetName} to the library:`, error);
+    }
+  }
+  return saved;
+}
+
+/**
+ * Records an import in the history and pushes it through the sync engine
+ * @param {Array<Object>} clipboardData - Imported records
+ * @param {string} fileName - Name of the imported file, stored in the history
+ * @param {string|null} [fileMetadata] - Metadata read from the file; the clipboard's current metadata is kept otherwise
+ */
+function applyImportedData(clipboardData, fileName, fileMetadata = null) {
+  const jsonString = JSON.stringify(clipboardData);
+
+  chrome.storage.local.get("TcclClipboardMetadata").then((stored) => {
+    const metadata = fileMetadata || stored["TcclClipboardMetadata"] || null;
+
+    // Record the import with the file it came from; the sync engine stores
+    // the records and writes them to every trusted tab in the group, the
+    // active one included, and lists the receiving domains on the entry
+    return window.recordAndPush(
+      { operation: "import", records: clipboardData, metadata: metadata, sourceUrl: fileName },
+      jsonString,
+      metadata,
+    );
+  }).catch((error) => console.error("Sync error after import:", error));
+}
+
+/**
+ * Lists the sheets that hold records, leaving out the metadata sheet and
+ * the info sheet of an export
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {Array<string>} - Sheet names
+ */
+function getDataSheetNames(workbook) {
+  const isExport = Boolean(readExportInfo(workbook));
+  return workbook.SheetNames.filter(
+    (name) => name !== METADATA_SHEET && !(isExport && name === INFO_SHEET),
+  );
+}
+
+/**
+ * Determines the value type of every column
+ * Columns holding values of different types are reported as "mixed" and are
+ * left to SheetJS on import.
+ * @param {Array<Object>} data - Clipboard records
+ * @returns {Object<string, string>} - Column name to "string", "date", "datetime", "number", "boolean", "null", "json" or "mixed"
+ */
+function getColumnTypes(data) {
+  const typesByColumn = {};
+  data.forEach((record) => {
+    Object.keys(record).forEach((column) => {
+      const value = record[column];
+      const type = value === null
+        ? "null"
+        : typeof value === "object"
+          ? "json"
+          : typeof value;
+      if (!typesByColumn[column]) typesByColumn[column] = new Set();
+      typesByColumn[column].add(type);
+    });
+  });
+
+  const columnTypes = {};
+  Object.keys(typesByColumn).forEach((column) => {
+    const types = typesByColumn[column];
+    columnTypes[column] = types.size === 1 ? types.values().next().value : "mixed";
+
+    // Text columns holding only valid dates become date columns
+    if (columnTypes[column] === "string") {
+      const dateType = Object.keys(DATE_TYPES).find((type) =>
+        data.every((record) => {
+          const value = record[column];
+          return value === undefined || (
+            DATE_TYPES[type].pattern.test(value) &&
+            fromExcelDate(toExcelDate(value), type) === value
+          );
+        }),
+      );
+      if (dateType) columnTypes[column] = dateType;
+    }
+  });
+  return columnTypes;
+}
+
+/**
+ * Converts records into values SheetJS can write
+ * JSON columns are written as text and null cells are left blank. Dates and
+ * text that reads back as the same number become real dates and numbers.
+ * @param {Array<Object>} data - Clipboard records
+ * @param {Object<string, string>} columnTypes - Result of getColumnTypes
+ * @returns {Array<Object>} - Records ready for json_to_sheet
+ */
+function toSheetValues(data, columnTypes) {
+  return data.map((record) => {
+    const row = {};
+    Object.keys(columnTypes).forEach((column) => {
+      const value = record[column];
+      const type = columnTypes[column];
+      if (value !== null && typeof value === "object") {
+        row[column] = JSON.stringify(value);
+      } else if (DATE_TYPES[type] && value !== undefined) {
+        row[column] = { t: "n", v: toExcelDate(value), z: DATE_TYPES[type].numberFormat };
+      } else if (type === "string" && Number.isFinite(Number(value)) && String(Number(value)) === value) {
+        // Restored to text on re-import through the "string" column type
+        row[column] = Number(value);
+      } else if (value !== null) {
+        row[column] = value;
+      }
+    });
+    return row;
+  });
+}
+
+/**
+ * Converts imported cell values back to the types recorded at export
+ * @param {Array<Object>} records - Records read from the data sheet
+ * @param {Object<string, string>} columnTypes - Column types from the metadata sheet
+ * @returns {Array<Object>} - Records with their original value types
+ */
+function restoreColumnTypes(records, columnTypes) {
+  return records.map((record) => {
+    const restored = {};
+    Object.keys(record).forEach((column) => {
+      restored[column] = convertCellValue(record[column], columnTypes[column]);
+    });
+    return restored;
+  });
+}
+
+/**
+ * Converts a single cell value to a column type
+ * @param {*} value - Imported cell value
+ * @param {string|undefined} type - Recorded column type
+ * @returns {*} - The converted value, or the value itself if it does not fit the type
+ */
+function convertCellValue(value, type) {
+  const isBlank = value === undefined || value === null || value === "";
+
+  switch (type) {
+    case "string":
+      return isBlank ? "" : String(value);
+    case "number":
+      return !isBlank && !isNaN(Number(value)) ? Number(value) : value;
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (String(value).toLowerCase() === "true") return true;
+      if (String(value).toLowerCase() === "false") return false;
+      return value;
+    case "null":
+      return isBlank ? null : value;
+    case "date":
+    case "datetime":
+      if (typeof value === "number") return fromExcelDate(value, type);
+      return isBlank ? "" : String(value);
+    case "json":
+      if (isBlank) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Builds the metadata sheet as key/value rows
+ * @param {Object<string, *>} info - Values to store
+ * @returns {Object} - SheetJS worksheet
+ */
+function buildMetadataSheet(info) {
+  const rows = [["key", "value"]];
+  Object.keys(info).forEach((key) => rows.push([key, info[key]]));
+  return XLSX.utils.aoa_to_sheet(rows);
+}
+
+/**
+ * Reads the metadata sheet of a workbook written by exportToExcel
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {{dataSheet: string, metadata: string|null, sourceDomain: string, luname: string, columnTypes: Object<string, string>}|null} - Export details, or null for other workbooks
+ */
+function readExportInfo(workbook) {
+  const worksheet = workbook.Sheets[METADATA_SHEET];
+  if (!worksheet) return null;
+
+  const info = {};
+  XLSX.utils.sheet_to_json(worksheet, {header: 1}).slice(1).forEach((row) => {
+    if (row[0]) info[row[0]] = row[1] === undefined ? "" : row[1];
+  });
+  if (info.format !== EXPORT_FORMAT) return null;
+
+  let columnTypes = {};
+  try {
+    columnTypes = JSON.parse(info.columnTypes || "{}");
+  } catch (e) {
+    console.warn("Ignoring unreadable column types in the metadata sheet");
+  }
+
+  return {
+    dataSheet: info.dataSheet || DATA_SHEET,
+    metadata: info.metadata ? String(info.metadata) : null,
+    sourceDomain: info.sourceDomain || "",
+    luname: info.luname || "",
+    columnTypes: columnTypes,
+  };
+}
+
 /**
  * Processes Excel data into clipboard format
  * @param {Array<Array>} jsonData - 2D array of Excel data (rows and columns)
@@ -272,6 +1119,7 @@ function updatePageLocalStorage(jsonData) {
 // Export functions for use in other modules
 window.ExcelUtils = {
   exportToExcel,
+  exportToFile,
   importFromExcel,
   updatePageLocalStorage
 };
\ No newline at end of file
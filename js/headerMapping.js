@@ -0,0 +1,372 @@
+/**
+ * Header mapping for IFS Clipboard Extension
+ * Maps the column headers of foreign spreadsheets ("Customer No",
+ * "Name (EN)", ...) to IFS attribute names before the rows are turned into
+ * clipboard records. Mappings are remembered per luname and recognized by
+ * their set of headers, so that the next import from the same template only
+ * needs a confirmation, also when the sheet has no luname column.
+ */
+
+class HeaderMapping {
+  /**
+   * Storage key holding the saved mappings, keyed by lowercase luname
+   * @type {string}
+   */
+  static STORAGE_KEY = "headerMappings";
+
+  /**
+   * Loads all saved mappings
+   * @returns {Promise<Object<string, Object>>} Mappings keyed by lowercase luname
+   */
+  static load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(HeaderMapping.STORAGE_KEY, (result) => {
+        resolve(result[HeaderMapping.STORAGE_KEY] || {});
+      });
+    });
+  }
+
+  /**
+   * Saves the mapping of a luname, replacing any previous one
+   * @param {string} luname - Luname the mapping belongs to
+   * @param {Object} mapping - Mapping to store
+   * @param {Object<string, string>} mapping.columns - Spreadsheet header to attribute, "" to ignore the column
+   * @param {Array<{column: string, value: string}>} mapping.constants - Columns added with a fixed value
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async save(luname, mapping) {
+    const key = String(luname || "").trim().toLowerCase();
+    if (!key) throw new Error("A luname is required to remember a mapping");
+
+    const mappings = await HeaderMapping.load();
+    mappings[key] = {
+      luname: String(luname).trim(),
+      columns: mapping.columns,
+      constants: mapping.constants,
+      updatedAt: new Date().toISOString(),
+    };
+    await chrome.storage.local.set({ [HeaderMapping.STORAGE_KEY]: mappings });
+  }
+
+  /**
+   * Builds the signature of a set of spreadsheet headers, the same whatever
+   * the column order
+   * @param {Array<string>} headers - Spreadsheet headers
+   * @returns {string} The signature
+   */
+  static getSignature(headers) {
+    return JSON.stringify(headers.map(String).sort());
+  }
+
+  /**
+   * Finds the saved mapping made for exactly these headers
+   * When several lunames share the headers, the one of the clipboard wins,
+   * then the most recently saved.
+   * @param {Object<string, Object>} mappings - Saved mappings, as returned by load()
+   * @param {Array<string>} headers - Spreadsheet headers
+   * @param {string} [preferredLuname=""] - Luname to prefer, usually the clipboard's
+   * @returns {Object|null} The saved mapping, or null when none fits
+   */
+  static findByHeaders(mappings, headers, preferredLuname = "") {
+    const signature = HeaderMapping.getSignature(headers);
+    const matches = Object.values(mappings)
+      .filter((mapping) => HeaderMapping.getSignature(Object.keys(mapping.columns || {})) === signature)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    const preferred = matches.find((mapping) => mapping.luname.toLowerCase() === preferredLuname.toLowerCase());
+    return preferred || matches[0] || null;
+  }
+
+  /**
+   * Reduces a header or attribute name to lowercase letters and digits,
+   * leaving out parenthesized suffixes such as "(EN)"
+   * @param {*} name - Header or attribute name
+   * @returns {string} Normalized name
+   */
+  static normalizeName(name) {
+    return String(name)
+      .replace(/\([^)]*\)/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  /**
+   * Suggests the attribute a spreadsheet header most likely stands for
+   * @param {string} header - Spreadsheet header
+   * @param {Array<string>} attributes - Known attribute names
+   * @returns {string|null} Matching attribute, or null when nothing fits
+   */
+  static suggestTarget(header, attributes) {
+    const normalized = HeaderMapping.normalizeName(header);
+    if (!normalized) return null;
+
+    const exact = attributes.find((attribute) => HeaderMapping.normalizeName(attribute) === normalized);
+    if (exact) return exact;
+
+    // "Customer" still suggests "CustomerId", and "Order No Ref" suggests "OrderNo"
+    if (normalized.length < 3) return null;
+    return (
+      attributes.find((attribute) => {
+        const candidate = HeaderMapping.normalizeName(attribute);
+        return candidate.length >= 3 && (candidate.startsWith(normalized) || normalized.startsWith(candidate));
+      }) || null
+    );
+  }
+
+  /**
+   * Collects the attribute names known from the current clipboard
+   * Record keys come first, followed by names found in the metadata: object
+   * keys and "name"/"attribute" values anywhere in its JSON.
+   * @param {Array<Object>} records - Current clipboard records
+   * @param {string|null} metadata - TcclClipboardMetadata JSON string
+   * @returns {Array<string>} Attribute names without duplicates
+   */
+  static getAttributeNames(records, metadata) {
+    const names = [];
+    const addName = (name) => {
+      if (typeof name === "string" && name && !names.includes(name)) names.push(name);
+    };
+
+    (records || []).forEach((record) => {
+      if (record && typeof record === "object") Object.keys(record).forEach(addName);
+    });
+
+    let parsed = null;
+    try {
+      parsed = metadata ? JSON.parse(metadata) : null;
+    } catch (e) {
+      // Metadata is not JSON; only the record keys are known
+    }
+
+    const visit = (value, depth) => {
+      if (!value || typeof value !== "object" || depth > 4) return;
+      if (Array.isArray(value)) {
+        value.forEach((item) => visit(item, depth + 1));
+        return;
+      }
+      const nameKeys = ["name", "attribute", "attributeName"];
+      nameKeys.forEach((key) => addName(value[key]));
+      Object.keys(value).forEach((key) => {
+        if (depth > 0 && !nameKeys.includes(key) && /^[A-Za-z][A-Za-z0-9_]*$/.test(key)) addName(key);
+        visit(value[key], depth + 1);
+      });
+    };
+    visit(parsed, 0);
+
+    return names;
+  }
+
+  /**
+   * Rewrites the rows of a sheet according to a mapping
+   * Ignored columns are dropped and constant columns are appended, replacing
+   * any mapped column of the same name.
+   * @param {Array<Array>} rows - Sheet rows, the first being the header row
+   * @param {Object} mapping - Mapping as passed to save()
+   * @returns {Array<Array>} Rows with the attribute names as header row
+   */
+  static applyMapping(rows, mapping) {
+    if (!rows || rows.length === 0) return rows;
+
+    const constants = (mapping.constants || []).filter((constant) => constant.column);
+    const constantColumns = constants.map((constant) => constant.column);
+
+    const kept = [];
+    rows[0].forEach((header, index) => {
+      if (header === undefined || header === null || header === "") return;
+      const target = Object.prototype.hasOwnProperty.call(mapping.columns, header)
+        ? mapping.columns[header]
+        : String(header);
+      if (target && !constantColumns.includes(target)) kept.push({ index: index, target: target });
+    });
+
+    const headerRow = kept.map((column) => column.target).concat(constantColumns);
+    const dataRows = rows.slice(1).map((row) =>
+      kept
+        .map((column) => (column.index < row.length ? row[column.index] : ""))
+        .concat(constants.map((constant) => constant.value)),
+    );
+    return [headerRow].concat(dataRows);
+  }
+
+  /**
+   * Lets the user map the columns of a sheet before it is imported
+   * Sheets whose headers are all known attributes are imported as they are,
+   * unless a mapping was saved for them. A sheet with a luname column uses
+   * the mapping of that luname; any other sheet the mapping saved for the
+   * same headers, as the clipboard may hold records of another luname.
+   * @param {Array<Array>} rows - Sheet rows, the first being the header row
+   * @param {string} fileName - Name of the imported file
+   * @param {{records: Array<Object>, metadata: string|null}} current - Current clipboard
+   * @returns {Promise<Array<Array>|null>} Mapped rows, or null when cancelled
+   */
+  static async mapRows(rows, fileName, current) {
+    if (!rows || rows.length === 0) return rows;
+
+    const headers = rows[0]
+      .filter((header) => header !== undefined && header !== null && header !== "")
+      .map(String);
+    const mappings = await HeaderMapping.load();
+    const attributes = HeaderMapping.getAttributeNames(current.records, current.metadata);
+
+    // The luname of the sheet itself wins over the one on the clipboard
+    const lunameIndex = rows[0].findIndex((header) => HeaderMapping.normalizeName(header) === "luname");
+    const sheetRow = lunameIndex >= 0 ? rows.slice(1).find((row) => row[lunameIndex]) : null;
+    const clipboardLuname = HistoryStore.getLuname(current.records, current.metadata) || "";
+    let luname;
+    let saved;
+    if (sheetRow) {
+      luname = String(sheetRow[lunameIndex]);
+      saved = mappings[luname.toLowerCase()] || null;
+    } else {
+      saved = HeaderMapping.findByHeaders(mappings, headers, clipboardLuname);
+      luname = saved ? saved.luname : clipboardLuname;
+    }
+
+    if (!saved && headers.every((header) => attributes.includes(header))) {
+      return rows;
+    }
+
+    const mapping = await HeaderMapping.showWizard({
+      fileName: fileName,
+      headers: headers,
+      samples: HeaderMapping.getSamples(rows),
+      attributes: attributes,
+      luname: luname,
+      saved: saved,
+    });
+    if (!mapping) return null;
+
+    if (mapping.remember && mapping.luname) {
+      HeaderMapping.save(mapping.luname, mapping).catch((error) =>
+        console.error("Failed to save header mapping:", error),
+      );
+    }
+    return HeaderMapping.applyMapping(rows, mapping);
+  }
+
+  /**
+   * Returns the first non-empty value of every header, for display
+   * @param {Array<Array>} rows - Sheet rows, the first being the header row
+   * @returns {Object<string, string>} Sample value by header
+   * @private
+   */
+  static getSamples(rows) {
+    const samples = {};
+    rows[0].forEach((header, index) => {
+      const row = rows.slice(1).find((r) => r[index] !== undefined && r[index] !== null && r[index] !== "");
+      samples[header] = row ? String(row[index]) : "";
+    });
+    return samples;
+  }
+
+  /**
+   * Shows the mapping wizard
+   * @param {Object} options - Wizard options
+   * @param {string} options.fileName - Name of the imported file
+   * @param {Array<string>} options.headers - Spreadsheet headers
+   * @param {Object<string, string>} options.samples - Sample value by header
+   * @param {Array<string>} options.attributes - Known attribute names
+   * @param {string} options.luname - Luname the mapping is saved for
+   * @param {Object|null} options.saved - Mapping saved earlier for the luname
+   * @returns {Promise<{columns: Object<string, string>, constants: Array<Object>, luname: string, remember: boolean}|null>} The mapping, or null when cancelled
+   * @private
+   */
+  static showWizard(options) {
+    const escape = DialogUtils.escapeHtml;
+    const saved = options.saved;
+
+    const columnRows = options.headers
+      .map((header, index) => {
+        const hasSaved = saved && Object.prototype.hasOwnProperty.call(saved.columns, header);
+        const target = hasSaved
+          ? saved.columns[header]
+          : HeaderMapping.suggestTarget(header, options.attributes) || header;
+        const ignored = hasSaved && !target;
+        return `
+          <tr class="mapping-column" data-index="${index}">
+            <td>
+              <span class="mapping-header">${escape(header)}</span>
+              <span class="mapping-sample">${escape(options.samples[header] || "")}</span>
+            </td>
+            <td><input class="mapping-target" list="mapping-attributes" value="${escape(target || header)}" ${ignored ? "disabled" : ""}></td>
+            <td><label><input type="checkbox" class="mapping-ignore" ${ignored ? "checked" : ""}> Ignore</label></td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    const datalist = options.attributes
+      .map((attribute) => `<option value="${escape(attribute)}"></option>`)
+      .join("");
+
+    return DialogUtils.showContent({
+      title: `Map columns of ${options.fileName}`,
+      confirmLabel: "Import",
+      html: `
+        ${saved ? `<p class="mapping-hint">Using the mapping saved for ${escape(saved.luname)}.</p>` : ""}
+        <table class="mapping-table">
+          <tr><th>Spreadsheet column</th><th>Attribute</th><th></th></tr>
+          ${columnRows}
+        </table>
+        <datalist id="mapping-attributes">${datalist}</datalist>
+        <div class="mapping-constants"></div>
+        <button type="button" class="mapping-add-constant show-more-btn">Add Constant</button>
+        <label class="dialog-field">Luname
+          <input name="luname" value="${escape(options.luname)}" placeholder="Needed to remember the mapping">
+        </label>
+        <label class="mapping-remember">
+          <input type="checkbox" name="remember" checked> Remember this mapping for the luname
+        </label>
+      `,
+      onOpen: (dialog) => {
+        const constants = dialog.querySelector(".mapping-constants");
+        const addConstant = (column, value) => {
+          const row = document.createElement("div");
+          row.className = "mapping-constant";
+          row.innerHTML = `
+            <input class="mapping-constant-column" list="mapping-attributes" placeholder="Attribute" value="${escape(column)}">
+            <input class="mapping-constant-value" placeholder="Value" value="${escape(value)}">
+            <button type="button" class="mapping-constant-remove" title="Remove constant">&times;</button>
+          `;
+          row.querySelector(".mapping-constant-remove").addEventListener("click", () => row.remove());
+          constants.appendChild(row);
+        };
+
+        ((saved && saved.constants) || []).forEach((constant) => addConstant(constant.column, constant.value));
+        dialog.querySelector(".mapping-add-constant").addEventListener("click", () => addConstant("", ""));
+
+        dialog.querySelectorAll(".mapping-column").forEach((row) => {
+          const target = row.querySelector(".mapping-target");
+          row.querySelector(".mapping-ignore").addEventListener("change", (event) => {
+            target.disabled = event.target.checked;
+          });
+        });
+      },
+      onSubmit: (form) => {
+        const columns = {};
+        form.querySelectorAll(".mapping-column").forEach((row) => {
+          const header = options.headers[Number(row.dataset.index)];
+          const ignored = row.querySelector(".mapping-ignore").checked;
+          columns[header] = ignored ? "" : row.querySelector(".mapping-target").value.trim() || header;
+        });
+
+        const constants = [];
+        form.querySelectorAll(".mapping-constant").forEach((row) => {
+          const column = row.querySelector(".mapping-constant-column").value.trim();
+          if (column) {
+            constants.push({ column: column, value: row.querySelector(".mapping-constant-value").value });
+          }
+        });
+
+        return {
+          columns: columns,
+          constants: constants,
+          luname: form.elements.luname.value.trim(),
+          remember: form.elements.remember.checked,
+        };
+      },
+    });
+  }
+}
+
+// Export for use in other modules
+window.HeaderMapping = HeaderMapping;
@@ -1,6 +1,7 @@
 /**
  * History Manager for IFS Clipboard Extension
- * Handles the storage and display of clipboard history
+ * Handles the display of clipboard history and the snapshot library;
+ * both are persisted by HistoryStore and shared between side panel windows
  */
 
 class HistoryManager {
@@ -8,79 +9,196 @@ class HistoryManager {
    * Initialize a new HistoryManager
    * @param {HTMLElement} historyContainer - DOM element to render history in
    * @param {Function} renderCallback - Callback function to render clipboard data
+   * @param {HTMLElement} [libraryContainer] - DOM element to render the snapshot library in
    */
-  constructor(historyContainer, renderCallback) {
+  constructor(historyContainer, renderCallback, libraryContainer = null) {
     this.historyContainer = historyContainer;
     this.renderCallback = renderCallback;
-    this.previousRecords = null;
+    this.libraryContainer = libraryContainer;
     this.historyItems = [];
-    this.MAX_HISTORY_ITEMS = 10;
+    this.libraryItems = [];
+    this.libraryFilter = "";
     this.expandedHistoryTables = new Set();
     this.currentRecords = null; // Track current clipboard state
+    this.writable = true; // Whether the active tab may change the clipboard
+    this.domainSettings = DomainSettings.normalize({}); // Labels and colours of trusted domains
+
+    this.loadHistory();
+    this.loadLibrary();
+    DomainSettings.load().then((settings) => {
+      this.domainSettings = settings;
+      this.renderHistory();
+    });
+
+    // Entries added by the service worker or another window
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") return;
+
+      if (changes[HistoryStore.STORAGE_KEY]) {
+        this.historyItems = changes[HistoryStore.STORAGE_KEY].newValue || [];
+        this.renderHistory();
+      }
+      if (changes[HistoryStore.LIBRARY_KEY]) {
+        this.libraryItems = changes[HistoryStore.LIBRARY_KEY].newValue || [];
+        this.renderLibrary();
+      }
+      if (DomainSettings.STORAGE_KEYS.some((key) => changes[key])) {
+        DomainSettings.load().then((settings) => {
+          this.domainSettings = settings;
+          this.renderHistory();
+        });
+      }
+    });
   }
 
   /**
-   * Update history when records change
-   * @param {Array<Object>} records - Current clipboard records
+   * Load the library snapshots and render them
+   * @returns {Promise<void>} Resolves when rendered
    */
-  updateHistory(records) {
-    // Save the current records
-    this.currentRecords = records;
+  loadLibrary() {
+    return HistoryStore.loadLibrary().then((items) => {
+      this.libraryItems = items;
+      this.renderLibrary();
+    });
+  }
 
-    // Convert records to string for comparison
-    const recordsString = JSON.stringify(records);
-
-    // Check if records have changed
-    if (
-      this.previousRecords !== null &&
-      recordsString !== this.previousRecords
-    ) {
-      // Create a new history item
-      const timestamp = new Date().toLocaleString();
-
-      // Parse the previous records to display
-      const prevRecordsObj = JSON.parse(this.previousRecords);
-
-      // Create a summary of the previous state
-      let summary = "";
-      if (prevRecordsObj && prevRecordsObj.length > 0) {
-        summary = `${prevRecordsObj.length} record(s)`;
-      } else {
-        summary = "Empty records";
-      }
+  /**
+   * Ask for the snapshot details and save records to the library
+   * @param {Array<Object>} records - Records to save
+   * @param {string|null} metadata - TcclClipboardMetadata stored with the records
+   * @param {string|null} sourceDomain - Hostname the records came from
+   * @returns {Promise<Object|null>} - The stored snapshot, or null when cancelled
+   */
+  async saveToLibrary(records, metadata, sourceDomain) {
+    const values = await DialogUtils.showForm({
+      title: "Save to Library",
+      confirmLabel: "Save",
+      fields: [
+        { name: "name", label: "Name", required: true, placeholder: "e.g. Standard customer" },
+        { name: "description", label: "Description", type: "textarea" },
+        { name: "tags", label: "Tags", placeholder: "Comma separated" },
+        {
+          name: "luname",
+          label: "Luname",
+          value: HistoryStore.getLuname(records, metadata) || "",
+        },
+      ],
+    });
+    if (!values) return null;
 
-      // Add to history
-      this.historyItems.unshift({
-        timestamp,
-        summary,
-        data: prevRecordsObj,
-      });
+    try {
+      return await HistoryStore.saveSnapshot(
+        Object.assign(values, {
+          records: records,
+          metadata: metadata,
+          sourceDomain: sourceDomain,
+        }),
+      );
+    } catch (error) {
+      alert("Failed to save snapshot: " + error.message);
+      return null;
+    }
+  }
 
-      // Limit history size
-      if (this.historyItems.length > this.MAX_HISTORY_ITEMS) {
-        this.historyItems.pop();
-      }
+  /**
+   * Save the current clipboard, with its stored metadata, to the library
+   * @returns {Promise<Object|null>} - The stored snapshot, or null when cancelled
+   */
+  saveCurrentToLibrary() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(["TcclClipboardMetadata", "clipboardSource"], (result) => {
+        const source = result.clipboardSource || {};
+        resolve(
+          this.saveToLibrary(
+            this.currentRecords,
+            result["TcclClipboardMetadata"] || null,
+            source.domain || null,
+          ),
+        );
+      });
+    });
+  }
 
-      // Update history display
-      this.renderHistory();
-    } else if (this.previousRecords === null) {
-      // First time - just render the history with the current data
+  /**
+   * Load the persisted history entries and render them
+   * @returns {Promise<void>} Resolves when rendered
+   */
+  loadHistory() {
+    return HistoryStore.load().then((items) => {
+      this.historyItems = items;
       this.renderHistory();
-    }
+    });
+  }
+
+  /**
+   * Update the current version shown above the history
+   * @param {Array<Object>} records - Current clipboard records
+   */
+  updateHistory(records) {
+    // Only re-render when the current records actually changed
+    if (JSON.stringify(records) === JSON.stringify(this.currentRecords)) return;
+
+    this.currentRecords = records;
+    this.renderHistory();
+  }
+
+  /**
+   * Record an operation made from the side panel in the history
+   * The active tab is stored as the source of the operation.
+   * @param {Object} item - History entry details
+   * @param {string} item.operation - One of the keys of HistoryStore.OPERATIONS
+   * @param {Array<Object>} [item.records] - Clipboard records of the operation
+   * @param {string|null} [item.metadata] - Clipboard metadata JSON string
+   * @param {string} [item.sourceUrl] - Source URL, e.g. an imported file, in place of the active tab's
+   * @returns {Promise<Object>} The stored entry
+   */
+  addHistoryItem(item) {
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const activeTab = tabs && tabs[0];
+        const sourceUrl =
+          activeTab && activeTab.url && /^https?:/.test(activeTab.url) ? activeTab.url : null;
+
+        resolve(
+          HistoryStore.add({
+            operation: item.operation,
+            records: item.records,
+            metadata: item.metadata || null,
+            sourceDomain: sourceUrl ? new URL(sourceUrl).hostname : null,
+            sourceUrl: item.sourceUrl !== undefined ? item.sourceUrl : sourceUrl,
+          }),
+        );
+      });
+    });
+  }
 
-    // Update previous records
-    this.previousRecords = recordsString;
+  /**
+   * Enables or disables restoring, which is only possible from a trusted tab
+   * @param {boolean} writable - Whether the active tab may change the clipboard
+   */
+  setWritable(writable) {
+    this.writable = writable;
+    [this.historyContainer, this.libraryContainer].forEach((container) => {
+      if (container) container.classList.toggle("read-only", !writable);
+    });
   }
 
   /**
    * Restore a previous clipboard state
    * @param {Array<Object>} historyData - Data to restore
+   * @param {string|null} [metadata] - Metadata stored with the data; when missing the active tab's metadata is used
    * @returns {Promise<Array<Object>>} - Promise that resolves with the restored data or rejects with an error
    */
-  restoreFromHistory(historyData) {
+  restoreFromHistory(historyData, metadata = null) {
     if (!historyData) return Promise.reject(new Error("No history data"));
+    if (!this.writable) return Promise.reject(new Error("Open a trusted domain to restore"));
 
     return new Promise((resolve, reject) => {
+      if (metadata) {
+        this.continueRestore(historyData, metadata, resolve, reject);
+        return;
+      }
+
       try {
         // Get current metadata before restoring from history
         /**
@@ -144,100 +262,19 @@ class HistoryManager {
       if (this.renderCallback) {
         this.renderCallback(historyData);
       }
-      
-      /**
-       * Query for active tab to update localStorage
-       * @param {Array<chrome.tabs.Tab>} tabs - Array of tabs matching the query
-       */
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs && tabs.length > 0) {
-          const activeTab = tabs[0];
-          const jsonString = JSON.stringify(historyData);
-          
-          /**
-           * Function to update localStorage in the active tab
-           * @param {string} data - JSON string to store
-           * @param {string|null} meta - Metadata to store
-           * @returns {boolean} Success indicator
-           */
-          function updateTabStorage(data, meta) {
-            try {
-              localStorage.setItem(
-                "IFS-Aurena-CopyPasteRecordStorage",
-                data,
-              );
-              if (meta) {
-                localStorage.setItem("TcclClipboardMetadata", meta);
-              }
-              return true;
-            } catch (error) {
-              console.error(
-                "Error updating active tab's localStorage:",
-                error,
-              );
-              return false;
-            }
-          }
-          
-          /**
-           * Error handler for script execution
-           * @param {Error} error - The error that occurred
-           */
-          function handleScriptError(error) {
-            console.error("Failed to update active tab:", error);
-          }
-          
-          chrome.scripting.executeScript({
-              target: { tabId: activeTab.id },
-              function: updateTabStorage,
-              args: [jsonString, metadata]
-            })
-            .catch(handleScriptError);
-        }
-      });
-
-      // Sync using the background tab approach
-      // We need to pass both the JSON string and any existing metadata
-      const jsonString = JSON.stringify(historyData);
 
-      // Check if we have access to the syncViaBackgroundTab function
-      if (typeof window.syncClipboardViaBackgroundTab === "function") {
-        // Use the global sync function
-        window.syncClipboardViaBackgroundTab(jsonString, metadata);
-        console.log(
-          "Restored clipboard state from history using background tab sync",
-        );
-        resolve(historyData);
-      } else {
-        // Fall back to the previous method
-        console.warn(
-          "Background tab sync function not available, using fallback method",
-        );
-        
-        /**
-         * Handle successful sync
-         * @param {Object} result - The sync result
-         */
-        function handleSyncSuccess(result) {
-          console.log("Restored clipboard state from history", historyData);
-          console.log(`Sync status: ${result.message}`);
-          resolve(historyData);
-        }
-        
-        /**
-         * Handle sync error
-         * @param {Error} err - The error that occurred
-         */
-        function handleSyncError(err) {
-          console.error("Sync error during history restore:", err);
-          // Still resolve since the local restore worked
-          resolve(historyData);
-        }
-        
-        StorageUtils.updateAcrossTrustedDomains(jsonString)
-          .then(handleSyncSuccess)
-          .catch(handleSyncError);
-      }
+      // The sync engine stores the records and writes them to every trusted
+      // tab in the group, the active one included, and lists the receiving
+      // domains on the restore entry
+      window
+        .recordAndPush(
+          { operation: "restore", records: historyData, metadata: metadata },
+          JSON.stringify(historyData),
+          metadata,
+        )
+        .catch((error) => console.error("Sync error during history restore:", error));
+      console.log("Restored clipboard state from history", historyData);
+      resolve(historyData);
     } catch (err) {
       console.error("Error during history restore:", err);
       reject(err);
@@ -348,6 +385,7 @@ class HistoryManager {
           <div class="history-header" data-expand="${currentExpandId}">
             <div class="history-timestamp">CURRENT VERSION</div>
             <div class="history-content">${this.currentRecords.length} record(s)</div>
+            <div class="library-btn" id="current-save-library" title="Save to Library">Save</div>
             <div class="current-version-badge">Current</div>
             <div class="expand-icon ${wasCurrentExpanded ? "expand-icon-up" : "expand-icon-down"}"></div>
           </div>
@@ -364,26 +402,30 @@ class HistoryManager {
         historyHTML = "<p>No history available yet</p>";
       }
     } else {
-      this.historyItems.forEach((item, index) => {
+      this.historyItems.forEach((item) => {
         // Create a unique ID for the expandable content
-        const expandId = `history-expand-${index}`;
-        const restoreId = `history-restore-${index}`;
-        const historyTableId = `history-table-${index}`;
+        const expandId = `history-expand-${item.id}`;
+        const restoreId = `history-restore-${item.id}`;
 
         // Check if this history item was expanded
         const wasExpanded =
           document.getElementById(expandId)?.style.display === "block";
 
+        const canRestore = item.records && item.records.length > 0;
+
         historyHTML += `
-          <div class="history-item">
+          <div class="history-item history-${item.operation}">
             <div class="history-header" data-expand="${expandId}">
-              <div class="history-timestamp">${item.timestamp}</div>
-              <div class="history-content">${item.summary}</div>
-              <div class="restore-btn" id="${restoreId}">Restore</div>
+              <div class="history-timestamp">${new Date(item.timestamp).toLocaleString()}</div>
+              <div class="history-content">${DialogUtils.escapeHtml(this.getSummary(item))}</div>
+              <div class="library-btn" id="history-diff-${item.id}" title="Compare with the current clipboard or another entry">Diff</div>
+              ${canRestore ? `<div class="library-btn" id="history-library-${item.id}" title="Save to Library">Save</div>` : ""}
+              ${canRestore ? `<div class="restore-btn" id="${restoreId}">Restore</div>` : ""}
               <div class="expand-icon ${wasExpanded ? "expand-icon-up" : "expand-icon-down"}"></div>
             </div>
             <div id="${expandId}" class="history-details" style="display: ${wasExpanded ? "block" : "none"};">
-              ${this.createHistoryDetailsTable(item.data, index)}
+              ${this.createProvenance(item)}
+              ${this.createHistoryDetailsTable(item.records, item.id)}
             </div>
           </div>
         `;
@@ -396,20 +438,131 @@ class HistoryManager {
     this.addEventListeners();
   }
 
+  /**
+   * Build the one-line summary of a history entry
+   * @param {Object} item - History entry
+   * @returns {string} - Summary text
+   */
+  getSummary(item) {
+    const label = HistoryStore.OPERATIONS[item.operation] || item.operation;
+    const count = item.records ? item.records.length : 0;
+    let summary = item.operation === "clear" ? label : `${label}: ${count} record(s)`;
+
+    if (item.luname) summary += ` \u00b7 ${item.luname}`;
+    if (item.sourceDomain) summary += ` \u00b7 ${item.sourceDomain}`;
+    return summary;
+  }
+
+  /**
+   * Create the provenance block of a history entry
+   * @param {Object} item - History entry
+   * @returns {string} - HTML for the provenance details
+   */
+  createProvenance(item) {
+    // Values are markup; domains are shown with their environment label
+    const source = item.sourceDomain
+      ? `${this.createEnvironmentChip(item.sourceDomain)} ${item.sourceUrl ? DialogUtils.escapeHtml(item.sourceUrl) : ""}`
+      : DialogUtils.escapeHtml(item.sourceUrl || "Unknown");
+    const rows = [
+      ["Operation", DialogUtils.escapeHtml(HistoryStore.OPERATIONS[item.operation] || item.operation)],
+      ["Time", DialogUtils.escapeHtml(new Date(item.timestamp).toLocaleString())],
+      ["Source", source],
+    ];
+    if (item.targetDomains && item.targetDomains.length > 0) {
+      rows.push(["Received by", item.targetDomains.map((domain) => this.createEnvironmentChip(domain)).join(" ")]);
+    }
+    if (item.luname) rows.push(["Luname", DialogUtils.escapeHtml(item.luname)]);
+    if (item.metadata) rows.push(["Metadata", DialogUtils.escapeHtml(item.metadata)]);
+
+    return `
+      <dl class="history-provenance">
+        ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join("")}
+      </dl>
+    `;
+  }
+
+  /**
+   * Create a chip showing a domain's label and environment type in its colour
+   * Hostnames that are not trusted are shown as plain text.
+   * @param {string} hostname - Hostname to show
+   * @returns {string} - HTML for the chip
+   */
+  createEnvironmentChip(hostname) {
+    const environment = DomainSettings.getEnvironment(hostname, this.domainSettings);
+    if (!environment) {
+      return `<span class="env-chip env-chip-plain">${DialogUtils.escapeHtml(hostname)}</span>`;
+    }
+
+    const color = /^#[0-9a-f]{6}$/i.test(environment.color || "") ? environment.color : "#607d8b";
+    return `
+      <span class="env-chip" style="background-color: ${color}" title="${DialogUtils.escapeHtml(environment.domain)}">
+        ${DialogUtils.escapeHtml(environment.label)}${environment.envType ? ` <b>${environment.envType}</b>` : ""}
+      </span>
+    `.trim();
+  }
+
   /**
    * Add event listeners to history elements
    * Sets up expand/collapse, restore, and show more/less functionality
    */
   addEventListeners() {
+    this.addExpandListeners(this.historyContainer);
+
+    // Save the current version to the library
+    const saveCurrentBtn = document.getElementById("current-save-library");
+    if (saveCurrentBtn) {
+      saveCurrentBtn.addEventListener("click", (e) => {
+        e.stopPropagation(); // Prevent triggering the expand/collapse
+        this.saveCurrentToLibrary();
+      });
+    }
+
+    // Add click handlers for restore buttons (only for actual history items, not current)
+    this.historyItems.forEach((item) => {
+      const restoreBtn = document.getElementById(`history-restore-${item.id}`);
+      if (restoreBtn) {
+        /**
+         * Handle click on restore button
+         * @param {Event} e - Click event
+         */
+        restoreBtn.addEventListener("click", (e) => {
+          e.stopPropagation(); // Prevent triggering the expand/collapse
+          this.restoreFromHistory(item.records, item.metadata);
+        });
+      }
+
+      const diffBtn = document.getElementById(`history-diff-${item.id}`);
+      if (diffBtn) {
+        diffBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.showDiff(`history:${item.id}`, "current");
+        });
+      }
+
+      const libraryBtn = document.getElementById(`history-library-${item.id}`);
+      if (libraryBtn) {
+        libraryBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.saveToLibrary(item.records, item.metadata, item.sourceDomain);
+        });
+      }
+    });
+  }
+
+  /**
+   * Add expand/collapse and show more/less handlers to the items of a container
+   * @param {HTMLElement} container - History or library container
+   */
+  addExpandListeners(container) {
     // Add click handlers for expandable history items
-    document.querySelectorAll(".history-header").forEach((header) => {
+    container.querySelectorAll(".history-header").forEach((header) => {
       /**
        * Handle click on history header to expand/collapse
        * @param {Event} e - Click event
        */
       header.addEventListener("click", (e) => {
-        // Don't expand if clicked on the restore button
-        if (e.target.classList.contains("restore-btn")) return;
+        // Don't expand if clicked on one of the header buttons
+        if (e.target.closest(".restore-btn, .library-btn")) return;
 
         const expandId = header.dataset.expand;
         const detailsElement = document.getElementById(expandId);
@@ -427,23 +580,8 @@ class HistoryManager {
       });
     });
 
-    // Add click handlers for restore buttons (only for actual history items, not current)
-    this.historyItems.forEach((item, index) => {
-      const restoreBtn = document.getElementById(`history-restore-${index}`);
-      if (restoreBtn) {
-        /**
-         * Handle click on restore button
-         * @param {Event} e - Click event
-         */
-        restoreBtn.addEventListener("click", (e) => {
-          e.stopPropagation(); // Prevent triggering the expand/collapse
-          this.restoreFromHistory(item.data);
-        });
-      }
-    });
-
     // Add click handlers for the Show More buttons in history tables
-    document.querySelectorAll(".show-more-history-btn").forEach((btn) => {
+    container.querySelectorAll(".show-more-history-btn").forEach((btn) => {
       /**
        * Handle click on show more/less button
        * @param {Event} e - Click event
@@ -471,13 +609,275 @@ class HistoryManager {
   }
 
   /**
-   * Initialize history if needed
-   * Sets up initial state if history is empty
+   * List everything that can be compared: the current clipboard, the
+   * history entries and the library snapshots
+   * @returns {Array<{value: string, label: string, records: Array<Object>}>} - Diff sources
    */
-  initHistory() {
-    if (this.previousRecords === null) {
-      this.previousRecords = "[]";
+  getDiffSources() {
+    const sources = [
+      { value: "current", label: "Current clipboard", records: this.currentRecords || [] },
+    ];
+    this.historyItems.forEach((item) => {
+      sources.push({
+        value: `history:${item.id}`,
+        label: `${new Date(item.timestamp).toLocaleString()} \u2013 ${this.getSummary(item)}`,
+        records: item.records || [],
+      });
+    });
+    this.libraryItems.forEach((snapshot) => {
+      sources.push({
+        value: `library:${snapshot.id}`,
+        label: `Library \u2013 ${snapshot.name}`,
+        records: snapshot.records,
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Open the diff view comparing two sets of records
+   * @param {string} beforeValue - Diff source shown as the old state
+   * @param {string} afterValue - Diff source shown as the new state
+   * @returns {Promise<void>} - Resolves when the diff view is closed
+   */
+  async showDiff(beforeValue, afterValue) {
+    const sources = this.getDiffSources();
+    const sourceOptions = (selected) =>
+      sources
+        .map(
+          (source) =>
+            `<option value="${source.value}" ${source.value === selected ? "selected" : ""}>${DialogUtils.escapeHtml(source.label)}</option>`,
+        )
+        .join("");
+
+    await DialogUtils.showContent({
+      title: "Compare records",
+      confirmLabel: "Close",
+      cancellable: false,
+      html: `
+        <label class="dialog-field">Old<select class="diff-before">${sourceOptions(beforeValue)}</select></label>
+        <label class="dialog-field">New<select class="diff-after">${sourceOptions(afterValue)}</select></label>
+        <label class="dialog-field">Match rows by<select class="diff-key"></select></label>
+        <label class="diff-unchanged-toggle"><input type="checkbox" class="diff-unchanged"> Show unchanged rows</label>
+        <div class="diff-result"></div>
+      `,
+      onOpen: (dialog) => {
+        const beforeSelect = dialog.querySelector(".diff-before");
+        const afterSelect = dialog.querySelector(".diff-after");
+        const keySelect = dialog.querySelector(".diff-key");
+        const unchangedToggle = dialog.querySelector(".diff-unchanged");
+        const result = dialog.querySelector(".diff-result");
+        const recordsOf = (value) => sources.find((source) => source.value === value).records;
+
+        // Refill the key columns when the compared sets change
+        const updateKeyOptions = () => {
+          const before = recordsOf(beforeSelect.value);
+          const after = recordsOf(afterSelect.value);
+          const afterColumns = DiffUtils.getColumns(after);
+          const shared = DiffUtils.getColumns(before).filter((c) => afterColumns.includes(c));
+          const selected = shared.includes(keySelect.value)
+            ? keySelect.value
+            : DiffUtils.suggestKeyColumn(before, after) || "";
+
+          keySelect.innerHTML =
+            `<option value="">Row order</option>` +
+            shared
+              .map(
+                (column) =>
+                  `<option value="${DialogUtils.escapeHtml(column)}" ${column === selected ? "selected" : ""}>${DialogUtils.escapeHtml(column)}</option>`,
+              )
+              .join("");
+        };
+
+        const update = () => {
+          const diff = DiffUtils.diffRecords(
+            recordsOf(beforeSelect.value),
+            recordsOf(afterSelect.value),
+            keySelect.value || null,
+          );
+          result.innerHTML = this.createDiffTable(diff, unchangedToggle.checked);
+        };
+
+        [beforeSelect, afterSelect].forEach((select) =>
+          select.addEventListener("change", () => {
+            updateKeyOptions();
+            update();
+          }),
+        );
+        keySelect.addEventListener("change", update);
+        unchangedToggle.addEventListener("change", update);
+
+        updateKeyOptions();
+        update();
+      },
+    });
+  }
+
+  /**
+   * Create the HTML for a diff result
+   * @param {Object} diff - Result of DiffUtils.diffRecords
+   * @param {boolean} showUnchanged - Whether to list unchanged rows
+   * @returns {string} - HTML for the summary and the diff table
+   */
+  createDiffTable(diff, showUnchanged) {
+    const { summary, columns } = diff;
+    let html = `
+      <p class="diff-summary">
+        <span class="diff-added">${summary.added} added</span>
+        <span class="diff-removed">${summary.removed} removed</span>
+        <span class="diff-changed">${summary.changed} changed</span>
+        <span>${summary.unchanged} unchanged</span>
+      </p>
+    `;
+
+    if (columns.added.length > 0) {
+      html += `<p class="diff-columns">Columns added: ${DialogUtils.escapeHtml(columns.added.join(", "))}</p>`;
+    }
+    if (columns.removed.length > 0) {
+      html += `<p class="diff-columns">Columns removed: ${DialogUtils.escapeHtml(columns.removed.join(", "))}</p>`;
+    }
+
+    const rows = diff.rows.filter((row) => showUnchanged || row.status !== "unchanged");
+    if (rows.length === 0) {
+      return html + "<p>No row differences</p>";
+    }
+
+    const cell = (value) => DialogUtils.escapeHtml(value === undefined || value === null ? "" : value);
+    const headerClass = (column) =>
+      columns.added.includes(column)
+        ? "diff-added"
+        : columns.removed.includes(column)
+          ? "diff-removed"
+          : "";
+
+    html += '<div class="diff-table"><table><tr><th></th>';
+    html += `<th>${DialogUtils.escapeHtml(diff.keyColumn || "Row")}</th>`;
+    columns.all.forEach((column) => {
+      html += `<th class="${headerClass(column)}">${DialogUtils.escapeHtml(column)}</th>`;
+    });
+    html += "</tr>";
+
+    const marks = { added: "+", removed: "\u2212", changed: "~", unchanged: "" };
+    rows.forEach((row) => {
+      const record = row.after || row.before;
+      html += `<tr class="diff-row-${row.status}"><td>${marks[row.status]}</td><td>${cell(row.key)}</td>`;
+      columns.all.forEach((column) => {
+        if (row.changedColumns.includes(column)) {
+          html += `<td class="diff-changed" title="${cell(row.before[column])} \u2192 ${cell(row.after[column])}">
+            <del>${cell(row.before[column])}</del> ${cell(row.after[column])}</td>`;
+        } else {
+          html += `<td>${cell(record[column])}</td>`;
+        }
+      });
+      html += "</tr>";
+    });
+    html += "</table></div>";
+
+    return html;
+  }
+
+  /**
+   * Render the library snapshots matching the current filter
+   */
+  renderLibrary() {
+    if (!this.libraryContainer) return;
+
+    // The filter input is created once so that it keeps focus while typing
+    let list = this.libraryContainer.querySelector(".library-list");
+    if (!list) {
+      this.libraryContainer.innerHTML = `
+        <input type="text" class="library-filter" placeholder="Filter by name, tag or luname">
+        <div class="library-list"></div>
+      `;
+      list = this.libraryContainer.querySelector(".library-list");
+      this.libraryContainer.querySelector(".library-filter").addEventListener("input", (e) => {
+        this.libraryFilter = e.target.value.trim().toLowerCase();
+        this.renderLibrary();
+      });
+    }
+
+    const filter = this.libraryFilter;
+    const snapshots = this.libraryItems.filter(
+      (snapshot) =>
+        !filter ||
+        [snapshot.name, snapshot.luname || "", snapshot.description]
+          .concat(snapshot.tags)
+          .some((text) => text.toLowerCase().includes(filter)),
+    );
+
+    if (this.libraryItems.length === 0) {
+      list.innerHTML =
+        "<p>No snapshots saved yet. Use Save on the current version or a history entry.</p>";
+      return;
+    }
+    if (snapshots.length === 0) {
+      list.innerHTML = "<p>No snapshots match the filter</p>";
+      return;
     }
+
+    let libraryHTML = "";
+    snapshots.forEach((snapshot) => {
+      const expandId = `library-expand-${snapshot.id}`;
+      const wasExpanded = document.getElementById(expandId)?.style.display === "block";
+      const tags = snapshot.tags
+        .map((tag) => `<span class="snapshot-tag">${DialogUtils.escapeHtml(tag)}</span>`)
+        .join("");
+
+      libraryHTML += `
+        <div class="history-item library-item">
+          <div class="history-header" data-expand="${expandId}">
+            <div class="history-content">
+              <strong>${DialogUtils.escapeHtml(snapshot.name)}</strong>
+              ${snapshot.luname ? ` &middot; ${DialogUtils.escapeHtml(snapshot.luname)}` : ""}
+              &middot; ${snapshot.records.length} record(s) ${tags}
+            </div>
+            <div class="restore-btn" data-snapshot="${snapshot.id}">Restore</div>
+            <div class="expand-icon ${wasExpanded ? "expand-icon-up" : "expand-icon-down"}"></div>
+          </div>
+          <div id="${expandId}" class="history-details" style="display: ${wasExpanded ? "block" : "none"};">
+            ${snapshot.description ? `<p class="snapshot-description">${DialogUtils.escapeHtml(snapshot.description)}</p>` : ""}
+            <dl class="history-provenance">
+              <dt>Saved</dt><dd>${new Date(snapshot.createdAt).toLocaleString()}</dd>
+              <dt>Source</dt><dd>${DialogUtils.escapeHtml(snapshot.sourceDomain || "Unknown")}</dd>
+              ${snapshot.metadata ? `<dt>Metadata</dt><dd>${DialogUtils.escapeHtml(snapshot.metadata)}</dd>` : ""}
+            </dl>
+            ${this.createHistoryDetailsTable(snapshot.records, snapshot.id)}
+            <button class="domain-remove snapshot-delete" data-snapshot="${snapshot.id}">Delete snapshot</button>
+          </div>
+        </div>
+      `;
+    });
+    list.innerHTML = libraryHTML;
+
+    this.addExpandListeners(list);
+
+    list.querySelectorAll(".restore-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation(); // Prevent triggering the expand/collapse
+        const snapshot = this.libraryItems.find((s) => s.id === btn.dataset.snapshot);
+        if (snapshot) {
+          this.restoreFromHistory(snapshot.records, snapshot.metadata);
+        }
+      });
+    });
+
+    list.querySelectorAll(".snapshot-delete").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const snapshot = this.libraryItems.find((s) => s.id === btn.dataset.snapshot);
+        if (snapshot && confirm(`Delete snapshot "${snapshot.name}"?`)) {
+          HistoryStore.removeSnapshot(snapshot.id);
+        }
+      });
+    });
+  }
+
+  /**
+   * Initialize history when there is no clipboard data
+   * Clears the current version and shows the stored entries
+   */
+  initHistory() {
+    this.currentRecords = null;
+    this.renderHistory();
   }
 }
 
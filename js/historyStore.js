@@ -0,0 +1,324 @@
+/**
+ * History store for IFS Clipboard Extension
+ * Persists clipboard history entries in extension storage so that they
+ * survive restarts and are shared by every side panel window. Each entry
+ * records the operation that produced it together with its provenance.
+ * Also keeps the library of named snapshots, which are never evicted.
+ * Shared by the side panel and the service worker; only the service worker
+ * writes, and pages send it their writes so that none is lost to another.
+ */
+
+class HistoryStore {
+  /**
+   * Storage key holding the history entries, newest first
+   * @type {string}
+   */
+  static STORAGE_KEY = "clipboardHistory";
+
+  /**
+   * Maximum number of entries kept
+   * @type {number}
+   */
+  static MAX_ITEMS = 50;
+
+  /**
+   * Storage key holding the library snapshots
+   * @type {string}
+   */
+  static LIBRARY_KEY = "clipboardLibrary";
+
+  /**
+   * Operations recorded in the history, with their display labels
+   * @type {Object<string, string>}
+   */
+  static OPERATIONS = {
+    copy: "Copied",
+    import: "Imported",
+    restore: "Restored",
+    edit: "Edited",
+    clear: "Cleared",
+    // A domain received the clipboard on a later page load; a push's own
+    // deliveries are listed as the targets of the entry that produced it
+    "sync-received": "Received via sync",
+  };
+
+  /**
+   * Methods that pages ask the service worker to run
+   * @type {Array<string>}
+   */
+  static WRITE_METHODS = ["add", "addTargets", "saveSnapshot", "removeSnapshot"];
+
+  /**
+   * Serializes the writes of the service worker
+   * @type {Promise<void>}
+   * @private
+   */
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Tells whether this context writes the history itself, which only the
+   * service worker does
+   * @returns {boolean} True in the service worker
+   * @private
+   */
+  static ownsStorage() {
+    return typeof importScripts === "function";
+  }
+
+  /**
+   * Asks the service worker to run a write method
+   * @param {string} method - One of WRITE_METHODS
+   * @param {Array} args - Arguments of the method
+   * @returns {Promise<*>} The method's result
+   * @private
+   */
+  static async requestWrite(method, args) {
+    const result = await SyncProtocol.send(SyncProtocol.TYPES.HISTORY, { method: method, args: args });
+    if (!result.success) throw new Error(result.message);
+    return result.value;
+  }
+
+  /**
+   * Runs a write requested by a page, in the service worker
+   * @param {{method: string, args: Array}} payload - Request payload
+   * @returns {Promise<Object>} A SyncProtocol result with the method's result in `value`
+   */
+  static async handleRequest(payload) {
+    const result = SyncProtocol.createResult(SyncProtocol.TYPES.HISTORY);
+    if (!HistoryStore.WRITE_METHODS.includes(payload.method)) {
+      result.message = `Unknown history write: ${payload.method}`;
+      return result;
+    }
+    result.value = await HistoryStore[payload.method](...(payload.args || []));
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * Loads all history entries
+   * @returns {Promise<Array<Object>>} The stored entries, newest first
+   */
+  static load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(HistoryStore.STORAGE_KEY, (result) => {
+        resolve(result[HistoryStore.STORAGE_KEY] || []);
+      });
+    });
+  }
+
+  /**
+   * Adds an entry to the history
+   * @param {Object} entry - Entry details
+   * @param {string} entry.operation - One of the keys of OPERATIONS
+   * @param {Array<Object>} [entry.records] - Clipboard records of the entry
+   * @param {string|null} [entry.metadata] - Clipboard metadata JSON string
+   * @param {string|null} [entry.sourceDomain] - Hostname the records came from
+   * @param {string|null} [entry.sourceUrl] - URL the records came from
+   * @param {Array<string>} [entry.targetDomains] - Domains that received the records
+   * @returns {Promise<Object>} The stored entry
+   */
+  static add(entry) {
+    if (!HistoryStore.ownsStorage()) return HistoryStore.requestWrite("add", [entry]);
+    if (!HistoryStore.OPERATIONS[entry.operation]) {
+      return Promise.reject(new Error(`Unknown history operation: ${entry.operation}`));
+    }
+
+    const records = Array.isArray(entry.records) ? entry.records : [];
+    const stored = {
+      id: `history-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      operation: entry.operation,
+      timestamp: new Date().toISOString(),
+      sourceDomain: entry.sourceDomain || null,
+      sourceUrl: entry.sourceUrl || null,
+      targetDomains: entry.targetDomains || [],
+      luname: HistoryStore.getLuname(records, entry.metadata),
+      metadata: entry.metadata || null,
+      records: records,
+    };
+
+    const write = HistoryStore.writeQueue.then(async () => {
+      const entries = await HistoryStore.load();
+      await HistoryStore.save([stored].concat(entries).slice(0, HistoryStore.MAX_ITEMS));
+      return stored;
+    });
+
+    // Keep the queue going even if this write fails
+    HistoryStore.writeQueue = write.then(
+      () => undefined,
+      (error) => console.error("Failed to store history entry:", error),
+    );
+    return write;
+  }
+
+  /**
+   * Adds domains that received an entry's records to its targets
+   * @param {string} entryId - Id of the entry, as returned by add()
+   * @param {Array<string>} domains - Domains that received the records
+   * @returns {Promise<void>} Resolves when saved, also when the entry was evicted meanwhile
+   */
+  static addTargets(entryId, domains) {
+    if (!HistoryStore.ownsStorage()) return HistoryStore.requestWrite("addTargets", [entryId, domains]);
+    const write = HistoryStore.writeQueue.then(async () => {
+      const entries = await HistoryStore.load();
+      const entry = entries.find((candidate) => candidate.id === entryId);
+      if (!entry) return;
+      entry.targetDomains = Array.from(new Set((entry.targetDomains || []).concat(domains)));
+      await HistoryStore.save(entries);
+    });
+
+    // Keep the queue going even if this write fails
+    HistoryStore.writeQueue = write.then(
+      () => undefined,
+      (error) => console.error("Failed to store history targets:", error),
+    );
+    return write;
+  }
+
+  /**
+   * Saves the full entry list, dropping the oldest half when storage is full
+   * @param {Array<Object>} entries - Entries to store, newest first
+   * @returns {Promise<void>} Resolves when saved
+   * @private
+   */
+  static async save(entries) {
+    try {
+      await chrome.storage.local.set({ [HistoryStore.STORAGE_KEY]: entries });
+    } catch (error) {
+      if (entries.length <= 1) throw error;
+      console.warn("History storage is full, dropping the oldest entries");
+      await chrome.storage.local.set({
+        [HistoryStore.STORAGE_KEY]: entries.slice(0, Math.ceil(entries.length / 2)),
+      });
+    }
+  }
+
+  /**
+   * Loads all library snapshots
+   * @returns {Promise<Array<Object>>} The stored snapshots, newest first
+   */
+  static loadLibrary() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(HistoryStore.LIBRARY_KEY, (result) => {
+        resolve(result[HistoryStore.LIBRARY_KEY] || []);
+      });
+    });
+  }
+
+  /**
+   * Saves records as a named library snapshot
+   * @param {Object} snapshot - Snapshot details
+   * @param {string} snapshot.name - Snapshot name
+   * @param {string} [snapshot.description] - Free text description
+   * @param {Array<string>|string} [snapshot.tags] - Tags, or a comma separated string
+   * @param {string} [snapshot.luname] - Luname; read from the records when empty
+   * @param {Array<Object>} snapshot.records - Clipboard records
+   * @param {string|null} [snapshot.metadata] - TcclClipboardMetadata JSON string
+   * @param {string|null} [snapshot.sourceDomain] - Hostname the records came from
+   * @returns {Promise<Object>} The stored snapshot
+   */
+  static saveSnapshot(snapshot) {
+    if (!HistoryStore.ownsStorage()) return HistoryStore.requestWrite("saveSnapshot", [snapshot]);
+    const name = (snapshot.name || "").trim();
+    if (!name) return Promise.reject(new Error("A snapshot name is required"));
+    if (!Array.isArray(snapshot.records) || snapshot.records.length === 0) {
+      return Promise.reject(new Error("There are no records to save"));
+    }
+
+    const tags = Array.isArray(snapshot.tags)
+      ? snapshot.tags
+      : String(snapshot.tags || "").split(",");
+    const stored = {
+      id: `snapshot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name,
+      description: (snapshot.description || "").trim(),
+      tags: tags.map((tag) => tag.trim()).filter(Boolean),
+      luname:
+        (snapshot.luname || "").trim() ||
+        HistoryStore.getLuname(snapshot.records, snapshot.metadata),
+      metadata: snapshot.metadata || null,
+      sourceDomain: snapshot.sourceDomain || null,
+      createdAt: new Date().toISOString(),
+      records: snapshot.records,
+    };
+
+    const write = HistoryStore.writeQueue.then(async () => {
+      const snapshots = await HistoryStore.loadLibrary();
+      // Unlike history entries, snapshots are never dropped to make room
+      await chrome.storage.local.set({
+        [HistoryStore.LIBRARY_KEY]: [stored].concat(snapshots),
+      });
+      return stored;
+    });
+
+    HistoryStore.writeQueue = write.then(
+      () => undefined,
+      (error) => console.error("Failed to store library snapshot:", error),
+    );
+    return write;
+  }
+
+  /**
+   * Removes a library snapshot
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static removeSnapshot(snapshotId) {
+    if (!HistoryStore.ownsStorage()) return HistoryStore.requestWrite("removeSnapshot", [snapshotId]);
+    const write = HistoryStore.writeQueue.then(async () => {
+      const snapshots = await HistoryStore.loadLibrary();
+      await chrome.storage.local.set({
+        [HistoryStore.LIBRARY_KEY]: snapshots.filter((snapshot) => snapshot.id !== snapshotId),
+      });
+    });
+
+    // Keep the queue going even if this write fails
+    HistoryStore.writeQueue = write.then(
+      () => undefined,
+      (error) => console.error("Failed to remove library snapshot:", error),
+    );
+    return write;
+  }
+
+  /**
+   * Reads the luname from the records, or from the metadata when the
+   * records do not carry it
+   * @param {Array<Object>} records - Clipboard records
+   * @param {string|null} metadata - Clipboard metadata JSON string
+   * @returns {string|null} The luname or null if unknown
+   */
+  static getLuname(records, metadata) {
+    const record = records.find((r) => r && typeof r === "object" && r.luname);
+    if (record) return String(record.luname);
+
+    if (metadata) {
+      try {
+        const parsed = typeof metadata === "string" ? JSON.parse(metadata) : metadata;
+        const key =
+          parsed && typeof parsed === "object"
+            ? Object.keys(parsed).find((k) => k.toLowerCase() === "luname")
+            : null;
+        if (key && parsed[key]) return String(parsed[key]);
+      } catch (e) {
+        // Metadata is not JSON; nothing to read
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parses a serialized clipboard payload for storing in the history
+   * @param {string|null} recordsJson - JSON string of clipboard records
+   * @returns {Array<Object>} The records, or an empty list if unparsable
+   */
+  static parseRecords(recordsJson) {
+    try {
+      const records = JSON.parse(recordsJson);
+      return Array.isArray(records) ? records : [];
+    } catch (e) {
+      return [];
+    }
+  }
+}
+
+// Export for use in other modules (side panel and service worker)
+self.HistoryStore = HistoryStore;
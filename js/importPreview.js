@@ -0,0 +1,444 @@
+/**
+ * Import preview for IFS Clipboard Extension
+ * Shows imported rows before anything is written, flags problems against
+ * the current clipboard and lets the user replace the clipboard, append to
+ * it or merge into it by a key column.
+ */
+
+class ImportPreview {
+  /**
+   * Ways of combining imported rows with the current clipboard, with their labels
+   * @type {Object<string, string>}
+   */
+  static MODES = {
+    replace: "Replace the clipboard",
+    append: "Append rows",
+    merge: "Merge by key column",
+  };
+
+  /**
+   * Number of rows shown in the preview table
+   * @type {number}
+   */
+  static MAX_PREVIEW_ROWS = 50;
+
+  /**
+   * Reads field definitions from the clipboard metadata
+   * Any object in the metadata JSON with a "name" or "attribute" is taken as
+   * a field; its "type"/"dataType" and "required"/"mandatory" are read.
+   * @param {string|null} metadata - TcclClipboardMetadata JSON string
+   * @returns {Object<string, {type: string|null, required: boolean}>} Fields by name
+   */
+  static getMetadataFields(metadata) {
+    const fields = {};
+    let parsed = null;
+    try {
+      parsed = metadata ? JSON.parse(metadata) : null;
+    } catch (e) {
+      return fields;
+    }
+
+    const visit = (value, depth) => {
+      if (!value || typeof value !== "object" || depth > 5) return;
+      if (Array.isArray(value)) {
+        value.forEach((item) => visit(item, depth + 1));
+        return;
+      }
+
+      const name = value.name || value.attribute || value.attributeName;
+      if (typeof name === "string" && name) {
+        fields[name] = {
+          type: ImportPreview.toValueType(value.type || value.dataType),
+          required: Boolean(value.required || value.mandatory),
+        };
+      }
+      Object.keys(value).forEach((key) => visit(value[key], depth + 1));
+    };
+    visit(parsed, 0);
+
+    return fields;
+  }
+
+  /**
+   * Maps a metadata data type to the value type checked on import
+   * @param {*} dataType - Data type from the metadata, e.g. "Number" or "Date"
+   * @returns {string|null} "number", "boolean", "date" or null when anything goes
+   */
+  static toValueType(dataType) {
+    const type = String(dataType || "").toLowerCase();
+    if (/^(number|integer|decimal|float|double)$/.test(type)) return "number";
+    if (type === "boolean") return "boolean";
+    if (/^(date|timestamp|datetime|time)$/.test(type)) return "date";
+    return null;
+  }
+
+  /**
+   * Determines the expected value type of every column
+   * Types declared in the metadata win; otherwise a column of the current
+   * clipboard holding only numbers or only booleans expects that type.
+   * @param {Array<Object>} current - Current clipboard records
+   * @param {Object<string, Object>} fields - Result of getMetadataFields
+   * @returns {Object<string, string>} Expected type by column
+   */
+  static getExpectedTypes(current, fields) {
+    const seen = {};
+    current.forEach((record) => {
+      Object.keys(record || {}).forEach((column) => {
+        const value = record[column];
+        if (value === undefined || value === null || value === "") return;
+        if (!seen[column]) seen[column] = new Set();
+        seen[column].add(typeof value);
+      });
+    });
+
+    const expected = {};
+    Object.keys(seen).forEach((column) => {
+      const types = Array.from(seen[column]);
+      if (types.length === 1 && (types[0] === "number" || types[0] === "boolean")) {
+        expected[column] = types[0];
+      }
+    });
+    Object.keys(fields).forEach((name) => {
+      if (fields[name].type) expected[name] = fields[name].type;
+    });
+    return expected;
+  }
+
+  /**
+   * Checks whether a value fits an expected type
+   * @param {*} value - Imported cell value
+   * @param {string} type - Expected type
+   * @returns {boolean} True if the value fits, blank values always do
+   */
+  static fitsType(value, type) {
+    if (value === undefined || value === null || value === "") return true;
+    switch (type) {
+      case "number":
+        return typeof value === "number" || !isNaN(Number(value));
+      case "boolean":
+        return typeof value === "boolean" || /^(true|false)$/i.test(String(value));
+      case "date":
+        return !isNaN(Date.parse(value));
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Lists the blank or missing cells of every row read from a sheet or text file
+   * Follows processExcelData, which fills those cells with "" so the records
+   * alone cannot tell them apart from a column the row has.
+   * @param {Array<Array>} rows - Raw rows, the first being the header row
+   * @returns {Array<Array<string>>} Blank columns of each record processExcelData makes from the rows
+   */
+  static findMissingCells(rows) {
+    if (!rows || rows.length < 2) return [];
+    const headers = rows[0];
+    return rows
+      .slice(1)
+      .filter((row) => row.length > 0)
+      .map((row) =>
+        headers.filter((header, index) => {
+          if (!header) return false;
+          const value = row[index];
+          return value === undefined || value === null || String(value).trim() === "";
+        }),
+      );
+  }
+
+  /**
+   * Validates imported records against the current clipboard
+   * @param {Array<Object>} records - Imported records
+   * @param {Array<Object>} current - Current clipboard records
+   * @param {string|null} metadata - Current TcclClipboardMetadata JSON string
+   * @param {string|null} keyColumn - Column that identifies a row
+   * @param {Array<Array<string>>} [missingCells] - Result of findMissingCells for records read from raw rows; otherwise a row misses the columns it has no key for
+   * @returns {{issues: Array<{type: string, row: number|null, column: string|null, message: string}>, extraColumns: Array<string>, missingColumns: Array<string>}}
+   */
+  static validate(records, current, metadata, keyColumn, missingCells) {
+    const issues = [];
+    const fields = ImportPreview.getMetadataFields(metadata);
+    const expectedTypes = ImportPreview.getExpectedTypes(current, fields);
+    const importedColumns = DiffUtils.getColumns(records);
+    const currentColumns = DiffUtils.getColumns(current);
+
+    const required = Object.keys(fields).filter((name) => fields[name].required);
+    if (keyColumn && !required.includes(keyColumn)) required.push(keyColumn);
+
+    // Column level differences only make sense against a non-empty clipboard
+    const extraColumns = current.length > 0
+      ? importedColumns.filter((column) => !currentColumns.includes(column))
+      : [];
+    const missingColumns = current.length > 0
+      ? currentColumns.filter((column) => !importedColumns.includes(column))
+      : [];
+    extraColumns.forEach((column) => {
+      issues.push({ type: "extra", row: null, column: column, message: `Column "${column}" is not on the current clipboard` });
+    });
+    missingColumns.forEach((column) => {
+      issues.push({ type: "missing", row: null, column: column, message: `Column "${column}" of the current clipboard is missing` });
+    });
+
+    const keyRows = new Map();
+    records.forEach((record, index) => {
+      const row = index + 1;
+
+      const absent = missingCells
+        ? missingCells[index] || []
+        : importedColumns.filter((column) => !(column in record));
+      if (absent.length > 0) {
+        issues.push({ type: "missing", row: row, column: null, message: `Row ${row} has no ${absent.join(", ")}` });
+      }
+
+      required.forEach((column) => {
+        const value = record[column];
+        if (value === undefined || value === null || String(value).trim() === "") {
+          issues.push({ type: "blank", row: row, column: column, message: `Row ${row}: required "${column}" is blank` });
+        }
+      });
+
+      Object.keys(expectedTypes).forEach((column) => {
+        if (column in record && !ImportPreview.fitsType(record[column], expectedTypes[column])) {
+          issues.push({
+            type: "type",
+            row: row,
+            column: column,
+            message: `Row ${row}: "${record[column]}" in "${column}" is not a ${expectedTypes[column]}`,
+          });
+        }
+      });
+
+      if (keyColumn && record[keyColumn] !== undefined && record[keyColumn] !== "") {
+        const key = String(record[keyColumn]);
+        if (keyRows.has(key)) {
+          issues.push({
+            type: "duplicate",
+            row: row,
+            column: keyColumn,
+            message: `Row ${row}: ${keyColumn} "${key}" duplicates row ${keyRows.get(key)}`,
+          });
+        } else {
+          keyRows.set(key, row);
+        }
+      }
+    });
+
+    return { issues: issues, extraColumns: extraColumns, missingColumns: missingColumns };
+  }
+
+  /**
+   * Combines imported records with the current clipboard
+   * When merging, imported rows update the current row with the same key
+   * (keeping columns they do not have) and rows with a new key are appended.
+   * @param {Array<Object>} current - Current clipboard records
+   * @param {Array<Object>} records - Imported records
+   * @param {string} mode - One of the keys of MODES
+   * @param {string|null} keyColumn - Column to merge by
+   * @returns {{records: Array<Object>, updated: number, added: number}} The new clipboard and what changed
+   */
+  static combine(current, records, mode, keyColumn) {
+    if (mode === "append") {
+      return { records: current.concat(records), updated: 0, added: records.length };
+    }
+    if (mode !== "merge" || !keyColumn) {
+      return { records: records.slice(), updated: 0, added: records.length };
+    }
+
+    const result = current.map((record) => Object.assign({}, record));
+    const indexByKey = new Map();
+    result.forEach((record, index) => {
+      const key = record[keyColumn];
+      if (key !== undefined && key !== null && key !== "" && !indexByKey.has(String(key))) {
+        indexByKey.set(String(key), index);
+      }
+    });
+
+    let updated = 0;
+    let added = 0;
+    records.forEach((record) => {
+      const key = record[keyColumn];
+      const index = key === undefined || key === null || key === "" ? undefined : indexByKey.get(String(key));
+      if (index === undefined) {
+        result.push(Object.assign({}, record));
+        // Later imported rows with the same key update this one
+        if (key !== undefined && key !== null && key !== "") indexByKey.set(String(key), result.length - 1);
+        added++;
+      } else {
+        result[index] = Object.assign(result[index], record);
+        updated++;
+      }
+    });
+
+    return { records: result, updated: updated, added: added };
+  }
+
+  /**
+   * Suggests the key column of imported records, e.g. objid or objkey
+   * @param {Array<Object>} records - Imported records
+   * @param {Array<Object>} current - Current clipboard records
+   * @returns {string|null} Key column, or null when none is found
+   */
+  static suggestKeyColumn(records, current) {
+    const shared = current.length > 0 ? DiffUtils.suggestKeyColumn(current, records) : null;
+    if (shared) return shared;
+
+    const columns = DiffUtils.getColumns(records);
+    for (const candidate of DiffUtils.KEY_CANDIDATES) {
+      const match = columns.find((column) => column.toLowerCase() === candidate);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Shows the preview and waits for the user to pick how to import
+   * @param {Object} options - Preview options
+   * @param {string} options.fileName - Name of the imported file
+   * @param {Array<Object>} options.records - Imported records
+   * @param {Array<Object>} options.current - Current clipboard records
+   * @param {string|null} options.metadata - Current TcclClipboardMetadata JSON string
+   * @param {Array<Array<string>>} [options.missingCells] - Blank cells of records read from raw rows, see findMissingCells
+   * @returns {Promise<{mode: string, keyColumn: string|null, records: Array<Object>}|null>} The new clipboard, or null when cancelled
+   */
+  static show(options) {
+    const escape = DialogUtils.escapeHtml;
+    const records = options.records;
+    const current = options.current || [];
+    const columns = DiffUtils.getColumns(records);
+    let keyColumn = ImportPreview.suggestKeyColumn(records, current);
+
+    const keyOptions = columns
+      .map((column) => `<option value="${escape(column)}" ${column === keyColumn ? "selected" : ""}>${escape(column)}</option>`)
+      .join("");
+    const modeOptions = Object.keys(ImportPreview.MODES)
+      .map((mode) => `
+        <label class="preview-mode">
+          <input type="radio" name="mode" value="${mode}" ${mode === "replace" ? "checked" : ""}
+                 ${mode !== "replace" && current.length === 0 ? "disabled" : ""}>
+          ${escape(ImportPreview.MODES[mode])}
+        </label>
+      `)
+      .join("");
+
+    return DialogUtils.showContent({
+      title: `Import preview: ${options.fileName}`,
+      confirmLabel: "Import",
+      html: `
+        <div class="preview-issues"></div>
+        <div class="preview-grid"></div>
+        <fieldset class="preview-modes">
+          ${modeOptions}
+          <label class="preview-key">Key column
+            <select name="keyColumn"><option value="">(none)</option>${keyOptions}</select>
+          </label>
+        </fieldset>
+        <p class="preview-result"></p>
+      `,
+      onOpen: (dialog) => {
+        const form = dialog.querySelector("form");
+        const update = () => {
+          keyColumn = form.elements.keyColumn.value || null;
+          const mode = form.elements.mode.value;
+          const validation = ImportPreview.validate(
+            records,
+            current,
+            options.metadata,
+            keyColumn,
+            options.missingCells,
+          );
+
+          dialog.querySelector(".preview-issues").innerHTML =
+            ImportPreview.renderIssues(validation.issues);
+          dialog.querySelector(".preview-grid").innerHTML =
+            ImportPreview.renderRows(records, columns, validation);
+
+          const combined = ImportPreview.combine(current, records, mode, keyColumn);
+          const confirm = dialog.querySelector(".dialog-confirm");
+          confirm.disabled = mode === "merge" && !keyColumn;
+          dialog.querySelector(".preview-result").textContent = confirm.disabled
+            ? "Choose a key column to merge by."
+            : mode === "merge"
+              ? `${combined.updated} row(s) updated, ${combined.added} added; the clipboard will hold ${combined.records.length} row(s).`
+              : `The clipboard will hold ${combined.records.length} row(s).`;
+        };
+
+        form.querySelectorAll("input[name='mode'], select[name='keyColumn']").forEach((input) => {
+          input.addEventListener("change", update);
+        });
+        update();
+      },
+      onSubmit: (form) => {
+        const mode = form.elements.mode.value;
+        return {
+          mode: mode,
+          keyColumn: keyColumn,
+          records: ImportPreview.combine(current, records, mode, keyColumn).records,
+        };
+      },
+    });
+  }
+
+  /**
+   * Renders the issue summary
+   * @param {Array<Object>} issues - Issues from validate()
+   * @returns {string} Summary markup
+   * @private
+   */
+  static renderIssues(issues) {
+    if (issues.length === 0) {
+      return '<p class="preview-ok">No problems found.</p>';
+    }
+
+    const shown = issues.slice(0, 10)
+      .map((issue) => `<li class="preview-issue-${issue.type}">${DialogUtils.escapeHtml(issue.message)}</li>`)
+      .join("");
+    const more = issues.length > 10 ? `<li>and ${issues.length - 10} more</li>` : "";
+    return `<p class="preview-warning">${issues.length} problem(s) found:</p><ul>${shown}${more}</ul>`;
+  }
+
+  /**
+   * Renders the first imported rows with problem cells highlighted
+   * @param {Array<Object>} records - Imported records
+   * @param {Array<string>} columns - Imported columns
+   * @param {Object} validation - Result of validate()
+   * @returns {string} Table markup
+   * @private
+   */
+  static renderRows(records, columns, validation) {
+    const escape = DialogUtils.escapeHtml;
+    const cellIssues = new Map();
+    validation.issues.forEach((issue) => {
+      if (issue.row !== null && issue.column) {
+        cellIssues.set(`${issue.row}\u0000${issue.column}`, issue.message);
+      }
+    });
+
+    let html = "<table><tr><th>#</th>";
+    columns.forEach((column) => {
+      const extra = validation.extraColumns.includes(column);
+      html += `<th class="${extra ? "preview-extra-column" : ""}">${escape(column)}</th>`;
+    });
+    html += "</tr>";
+
+    records.slice(0, ImportPreview.MAX_PREVIEW_ROWS).forEach((record, index) => {
+      html += `<tr><td>${index + 1}</td>`;
+      columns.forEach((column) => {
+        const message = cellIssues.get(`${index + 1}\u0000${column}`);
+        const value = record[column];
+        html += `<td class="${message ? "preview-issue-cell" : ""}" title="${message ? escape(message) : ""}">${
+          escape(value === undefined || value === null ? "" : typeof value === "object" ? JSON.stringify(value) : value)
+        }</td>`;
+      });
+      html += "</tr>";
+    });
+    html += "</table>";
+
+    if (records.length > ImportPreview.MAX_PREVIEW_ROWS) {
+      html += `<p class="preview-more">Showing ${ImportPreview.MAX_PREVIEW_ROWS} of ${records.length} rows</p>`;
+    }
+    return html;
+  }
+}
+
+// Export for use in other modules
+window.ImportPreview = ImportPreview;
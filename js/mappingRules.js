@@ -0,0 +1,229 @@
+/**
+ * Value mapping rules for IFS Clipboard Extension
+ * Rewrites column values (company, site, contract, ...) when records move from
+ * one environment to another. Rules are defined per source/target domain pair
+ * and applied to the parsed clipboard records before they are written to a
+ * target tab. Shared by the side panel and the service worker.
+ */
+
+class MappingRules {
+  /**
+   * Storage key holding the rule list
+   * @type {string}
+   */
+  static STORAGE_KEY = "mappingRules";
+
+  /**
+   * Wildcard that matches any source or target domain
+   * @type {string}
+   */
+  static ANY_DOMAIN = "*";
+
+  /**
+   * Supported rule types, with their display labels
+   * @type {Object<string, string>}
+   */
+  static TYPES = {
+    value: "Value equals",
+    regex: "Regex replace",
+  };
+
+  /**
+   * Loads all mapping rules
+   * @returns {Promise<Array<Object>>} The stored rules
+   */
+  static load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(MappingRules.STORAGE_KEY, (result) => {
+        resolve(result[MappingRules.STORAGE_KEY] || []);
+      });
+    });
+  }
+
+  /**
+   * Saves the full rule list
+   * @param {Array<Object>} rules - Rules to store
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static save(rules) {
+    return chrome.storage.local.set({ [MappingRules.STORAGE_KEY]: rules });
+  }
+
+  /**
+   * Adds a rule after validating it
+   * @param {Object} rule - Rule without an id
+   * @param {string} rule.sourceDomain - Trusted source domain or ANY_DOMAIN
+   * @param {string} rule.targetDomain - Trusted target domain or ANY_DOMAIN
+   * @param {string} rule.column - Column (record key) the rule applies to
+   * @param {string} rule.type - One of the keys of TYPES
+   * @param {string} rule.match - Value to match, or regular expression source
+   * @param {string} rule.replace - Replacement value
+   * @returns {Promise<Object>} The stored rule
+   */
+  static async add(rule) {
+    if (!rule.column) throw new Error("A column is required");
+    if (!MappingRules.TYPES[rule.type]) throw new Error("Unknown rule type");
+    if (rule.type === "regex") {
+      // Throws a SyntaxError for invalid expressions
+      new RegExp(rule.match, "g");
+    }
+
+    const stored = Object.assign({ enabled: true }, rule, {
+      id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    });
+    const rules = await MappingRules.load();
+    await MappingRules.save(rules.concat(stored));
+    return stored;
+  }
+
+  /**
+   * Removes a rule
+   * @param {string} ruleId - Rule id
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async remove(ruleId) {
+    const rules = await MappingRules.load();
+    await MappingRules.save(rules.filter((rule) => rule.id !== ruleId));
+  }
+
+  /**
+   * Enables or disables a rule
+   * @param {string} ruleId - Rule id
+   * @param {boolean} enabled - New state
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async setEnabled(ruleId, enabled) {
+    const rules = await MappingRules.load();
+    await MappingRules.save(
+      rules.map((rule) =>
+        rule.id === ruleId ? Object.assign({}, rule, { enabled: enabled }) : rule,
+      ),
+    );
+  }
+
+  /**
+   * Returns the enabled rules for a source/target domain pair
+   * Values never change within their own domain, so wildcard rules do not
+   * apply when the target is the source.
+   * @param {Array<Object>} rules - All rules
+   * @param {string|null} sourceDomain - Trusted source domain
+   * @param {string} targetDomain - Trusted target domain
+   * @returns {Array<Object>} Matching rules in definition order
+   */
+  static getRulesForPair(rules, sourceDomain, targetDomain) {
+    if (sourceDomain && targetDomain === sourceDomain) return [];
+    return rules.filter(
+      (rule) =>
+        rule.enabled !== false &&
+        (rule.sourceDomain === MappingRules.ANY_DOMAIN || rule.sourceDomain === sourceDomain) &&
+        (rule.targetDomain === MappingRules.ANY_DOMAIN || rule.targetDomain === targetDomain),
+    );
+  }
+
+  /**
+   * Applies rules to a list of records without modifying the input
+   * @param {Array<Object>} records - Parsed clipboard records
+   * @param {Array<Object>} rules - Rules to apply, in order
+   * @returns {{records: Array<Object>, changes: Array<{row: number, column: string, from: *, to: *, ruleId: string}>}}
+   */
+  static applyRules(records, rules) {
+    const changes = [];
+    if (!Array.isArray(records) || rules.length === 0) {
+      return { records: records, changes: changes };
+    }
+
+    const mapped = records.map((record, rowIndex) => {
+      if (!record || typeof record !== "object") return record;
+
+      const copy = Object.assign({}, record);
+      rules.forEach((rule) => {
+        if (!(rule.column in copy)) return;
+
+        const original = copy[rule.column];
+        const updated = MappingRules.applyRule(rule, original);
+        if (updated !== original) {
+          copy[rule.column] = updated;
+          changes.push({
+            row: rowIndex,
+            column: rule.column,
+            from: original,
+            to: updated,
+            ruleId: rule.id,
+          });
+        }
+      });
+      return copy;
+    });
+
+    return { records: mapped, changes: changes };
+  }
+
+  /**
+   * Applies a single rule to one cell value
+   * Numbers stay numbers when the replacement is numeric.
+   * @param {Object} rule - Rule to apply
+   * @param {*} value - Cell value
+   * @returns {*} The mapped value, or the original value if the rule did not match
+   */
+  static applyRule(rule, value) {
+    if (value === null || value === undefined || typeof value === "object") {
+      return value;
+    }
+
+    const text = String(value);
+    let result;
+
+    if (rule.type === "value") {
+      if (text !== String(rule.match)) return value;
+      result = String(rule.replace);
+    } else if (rule.type === "regex") {
+      try {
+        result = text.replace(new RegExp(rule.match, "g"), rule.replace);
+      } catch (e) {
+        console.error(`Invalid regex in mapping rule ${rule.id}:`, e);
+        return value;
+      }
+      if (result === text) return value;
+    } else {
+      return value;
+    }
+
+    if (typeof value === "number" && result.trim() !== "" && !isNaN(Number(result))) {
+      return Number(result);
+    }
+    return result;
+  }
+
+  /**
+   * Maps a serialized clipboard payload for one target domain
+   * Tabs of the source domain itself receive the payload unchanged, as do
+   * payloads that cannot be parsed.
+   * @param {string} recordsJson - JSON string of clipboard records
+   * @param {Array<Object>} rules - All rules
+   * @param {string|null} sourceDomain - Trusted source domain
+   * @param {string} targetDomain - Trusted target domain
+   * @returns {{data: string, changes: Array<Object>}} Payload for the target and applied changes
+   */
+  static mapPayload(recordsJson, rules, sourceDomain, targetDomain) {
+    const pairRules = MappingRules.getRulesForPair(rules, sourceDomain, targetDomain);
+    if (pairRules.length === 0) {
+      return { data: recordsJson, changes: [] };
+    }
+
+    let records;
+    try {
+      records = JSON.parse(recordsJson);
+    } catch (e) {
+      return { data: recordsJson, changes: [] };
+    }
+
+    const result = MappingRules.applyRules(records, pairRules);
+    if (result.changes.length === 0) {
+      return { data: recordsJson, changes: [] };
+    }
+    return { data: JSON.stringify(result.records), changes: result.changes };
+  }
+}
+
+// Export for use in other modules (side panel and service worker)
+self.MappingRules = MappingRules;
@@ -0,0 +1,290 @@
+/**
+ * Masking policies for IFS Clipboard Extension
+ * Redacts sensitive columns (customer names, emails, phone numbers, bank
+ * accounts, ...) before clipboard records leave a domain, either through a
+ * sync into another domain or through an export. Policies are defined per
+ * source domain and match columns by name pattern and, optionally, by luname.
+ * Shared by the side panel and the service worker.
+ */
+
+class MaskingPolicies {
+  /**
+   * Storage key holding the policy list
+   * @type {string}
+   */
+  static STORAGE_KEY = "maskingPolicies";
+
+  /**
+   * Wildcard that matches any source domain
+   * @type {string}
+   */
+  static ANY_DOMAIN = "*";
+
+  /**
+   * Supported masking actions, with their display labels
+   * @type {Object<string, string>}
+   */
+  static ACTIONS = {
+    drop: "Drop column",
+    hash: "Hash",
+    fixed: "Fixed value",
+    partial: "Partial mask",
+  };
+
+  /**
+   * Number of trailing characters left visible by the partial mask
+   * @type {number}
+   */
+  static VISIBLE_CHARS = 4;
+
+  /**
+   * Loads all masking policies
+   * @returns {Promise<Array<Object>>} The stored policies
+   */
+  static load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(MaskingPolicies.STORAGE_KEY, (result) => {
+        resolve(result[MaskingPolicies.STORAGE_KEY] || []);
+      });
+    });
+  }
+
+  /**
+   * Saves the full policy list
+   * @param {Array<Object>} policies - Policies to store
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static save(policies) {
+    return chrome.storage.local.set({ [MaskingPolicies.STORAGE_KEY]: policies });
+  }
+
+  /**
+   * Adds a policy after validating it
+   * @param {Object} policy - Policy without an id
+   * @param {string} policy.domain - Trusted source domain or ANY_DOMAIN
+   * @param {string} policy.columnPattern - Column name pattern, "*" matches any characters
+   * @param {string} [policy.luname] - Only mask records of this luname (any when empty)
+   * @param {string} policy.action - One of the keys of ACTIONS
+   * @param {string} [policy.value] - Replacement for the "fixed" action
+   * @returns {Promise<Object>} The stored policy
+   */
+  static async add(policy) {
+    if (!policy.columnPattern) throw new Error("A column pattern is required");
+    if (!MaskingPolicies.ACTIONS[policy.action]) throw new Error("Unknown masking action");
+
+    const stored = Object.assign({ enabled: true, luname: "", value: "" }, policy, {
+      id: `mask-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    });
+    const policies = await MaskingPolicies.load();
+    await MaskingPolicies.save(policies.concat(stored));
+    return stored;
+  }
+
+  /**
+   * Removes a policy
+   * @param {string} policyId - Policy id
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async remove(policyId) {
+    const policies = await MaskingPolicies.load();
+    await MaskingPolicies.save(policies.filter((policy) => policy.id !== policyId));
+  }
+
+  /**
+   * Enables or disables a policy
+   * @param {string} policyId - Policy id
+   * @param {boolean} enabled - New state
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static async setEnabled(policyId, enabled) {
+    const policies = await MaskingPolicies.load();
+    await MaskingPolicies.save(
+      policies.map((policy) =>
+        policy.id === policyId ? Object.assign({}, policy, { enabled: enabled }) : policy,
+      ),
+    );
+  }
+
+  /**
+   * Returns the enabled policies that protect data of a source domain
+   * @param {Array<Object>} policies - All policies
+   * @param {string|null} sourceDomain - Trusted source domain
+   * @returns {Array<Object>} Matching policies in definition order
+   */
+  static getPoliciesForDomain(policies, sourceDomain) {
+    return policies.filter(
+      (policy) =>
+        policy.enabled !== false &&
+        (policy.domain === MaskingPolicies.ANY_DOMAIN || policy.domain === sourceDomain),
+    );
+  }
+
+  /**
+   * Checks whether a column name matches a policy's pattern (case-insensitive)
+   * @param {string} pattern - Column name pattern, "*" matches any characters
+   * @param {string} column - Column name
+   * @returns {boolean} True if the column matches
+   */
+  static matchesColumn(pattern, column) {
+    const source = String(pattern)
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`, "i").test(column);
+  }
+
+  /**
+   * Finds the first policy that applies to a column of a record
+   * @param {Array<Object>} policies - Policies of the source domain
+   * @param {string} column - Column name
+   * @param {Object} record - Clipboard record (its luname column is checked)
+   * @returns {Object|null} The policy, or null when the column is not masked
+   */
+  static findPolicy(policies, column, record) {
+    const luname = record && record.luname ? String(record.luname).toLowerCase() : "";
+
+    return (
+      policies.find(
+        (policy) =>
+          MaskingPolicies.matchesColumn(policy.columnPattern, column) &&
+          (!policy.luname || policy.luname.toLowerCase() === luname),
+      ) || null
+    );
+  }
+
+  /**
+   * Masks a list of records without modifying the input
+   * @param {Array<Object>} records - Parsed clipboard records
+   * @param {Array<Object>} policies - Policies of the source domain
+   * @returns {Promise<{records: Array<Object>, masked: Array<{row: number, column: string, action: string, policyId: string}>}>}
+   */
+  static async maskRecords(records, policies) {
+    const masked = [];
+    if (!Array.isArray(records) || policies.length === 0) {
+      return { records: records, masked: masked };
+    }
+
+    const result = [];
+    for (let rowIndex = 0; rowIndex < records.length; rowIndex++) {
+      const record = records[rowIndex];
+      if (!record || typeof record !== "object") {
+        result.push(record);
+        continue;
+      }
+
+      const copy = {};
+      for (const column of Object.keys(record)) {
+        const policy = MaskingPolicies.findPolicy(policies, column, record);
+        if (!policy) {
+          copy[column] = record[column];
+          continue;
+        }
+
+        masked.push({ row: rowIndex, column: column, action: policy.action, policyId: policy.id });
+        if (policy.action !== "drop") {
+          copy[column] = await MaskingPolicies.maskValue(policy, record[column]);
+        }
+      }
+      result.push(copy);
+    }
+
+    return { records: result, masked: masked };
+  }
+
+  /**
+   * Masks a single cell value
+   * Empty values are left empty so that masking does not invent data.
+   * @param {Object} policy - Policy to apply
+   * @param {*} value - Cell value
+   * @returns {Promise<*>} The masked value
+   */
+  static async maskValue(policy, value) {
+    if (value === null || value === undefined || value === "") {
+      return value;
+    }
+
+    switch (policy.action) {
+      case "hash":
+        return MaskingPolicies.hashValue(value);
+      case "fixed":
+        return policy.value || "";
+      case "partial":
+        return MaskingPolicies.partialMask(value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Hashes a value with SHA-256; equal inputs give equal outputs, so hashed
+   * columns can still be used to match rows
+   * @param {*} value - Value to hash
+   * @returns {Promise<string>} First 16 hex characters of the digest
+   */
+  static async hashValue(value) {
+    const bytes = new TextEncoder().encode(String(value));
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("")
+      .substring(0, 16);
+  }
+
+  /**
+   * Masks all but the last few letters and digits of a value, keeping
+   * separators; for emails the first character and the mail domain stay visible
+   * @param {*} value - Value to mask
+   * @returns {string} The partially masked value
+   */
+  static partialMask(value) {
+    const text = String(value);
+
+    const email = text.match(/^([^@\s]+)@(.+)$/);
+    if (email) {
+      return `${email[1].charAt(0)}${"*".repeat(Math.max(email[1].length - 1, 1))}@${email[2]}`;
+    }
+
+    const alphanumericCount = (text.match(/[a-z0-9]/gi) || []).length;
+    const visible =
+      alphanumericCount > MaskingPolicies.VISIBLE_CHARS ? MaskingPolicies.VISIBLE_CHARS : 0;
+    let remaining = alphanumericCount;
+
+    return text.replace(/[a-z0-9]/gi, (char) => {
+      remaining--;
+      return remaining < visible ? char : "*";
+    });
+  }
+
+  /**
+   * Masks a serialized clipboard payload before it leaves its source domain
+   * Tabs of the source domain itself receive the payload unchanged, as do
+   * payloads that cannot be parsed.
+   * @param {string} recordsJson - JSON string of clipboard records
+   * @param {Array<Object>} policies - All policies
+   * @param {string|null} sourceDomain - Trusted source domain
+   * @param {string|null} targetDomain - Trusted target domain, null for exports
+   * @returns {Promise<{data: string, masked: Array<Object>}>} Payload for the target and masked cells
+   */
+  static async maskPayload(recordsJson, policies, sourceDomain, targetDomain) {
+    const domainPolicies = MaskingPolicies.getPoliciesForDomain(policies, sourceDomain);
+    if (domainPolicies.length === 0 || (sourceDomain && targetDomain === sourceDomain)) {
+      return { data: recordsJson, masked: [] };
+    }
+
+    let records;
+    try {
+      records = JSON.parse(recordsJson);
+    } catch (e) {
+      return { data: recordsJson, masked: [] };
+    }
+
+    const result = await MaskingPolicies.maskRecords(records, domainPolicies);
+    if (result.masked.length === 0) {
+      return { data: recordsJson, masked: [] };
+    }
+    return { data: JSON.stringify(result.records), masked: result.masked };
+  }
+}
+
+// Export for use in other modules (side panel and service worker)
+self.MaskingPolicies = MaskingPolicies;
@@ -0,0 +1,39 @@
+/**
+ * Page storage hook for IFS Clipboard Extension
+ * Runs in the page's MAIN world so the IFS application's own
+ * localStorage.setItem calls are seen. It only signals which key was written;
+ * the isolated-world bridge in storage-watcher.js reads the value itself and
+ * relays it to the extension.
+ */
+
+(function () {
+  if (window.__ifsClipboardHookInstalled) return;
+  window.__ifsClipboardHookInstalled = true;
+
+  const HOOK_SOURCE = "ifs-clipboard-page-hook";
+  const WATCHED_KEYS = [
+    "IFS-Aurena-CopyPasteRecordStorage",
+    "TcclClipboardMetadata",
+  ];
+
+  const originalSetItem = Storage.prototype.setItem;
+
+  Storage.prototype.setItem = function (key, value) {
+    // Call the original method first so the page behaves exactly as before
+    const result = originalSetItem.apply(this, arguments);
+
+    try {
+      if (this === window.localStorage && WATCHED_KEYS.includes(String(key))) {
+        // Values are deliberately not included; the bridge reads them from storage
+        window.postMessage(
+          { source: HOOK_SOURCE, type: "storageWrite", key: String(key) },
+          location.origin,
+        );
+      }
+    } catch (e) {
+      // Never break the page's own storage write
+    }
+
+    return result;
+  };
+})();
@@ -1,6 +1,7 @@
 /**
  * Permission management for IFS Clipboard Extension
  * Handles UI for allowing/denying domains for clipboard sync
+ * Both decisions are stored and can be reversed from the side panel.
  */
 
 /**
@@ -133,52 +134,28 @@ document.addEventListener('DOMContentLoaded', function() {
         const domain = url.hostname; 
         
         /**
-         * Callback after retrieving allowed domains from storage
-         * @param {Object} result - Storage result containing allowedDomains
+         * Callback after the domain was trusted
          */
-        function updateAllowedDomains(result) {
-          const allowedDomains = result.allowedDomains || [];
+        function onDomainAllowed() {
+          console.log('Domain added to trusted list:', domain);
           
-          // Add domain if not already in list
-          if (!allowedDomains.includes(domain)) {
-            allowedDomains.push(domain);
-            
-            /**
-             * Callback after saving updated domains list
-             */
-            function onDomainsSaved() {
-              console.log('Domain added to trusted list:', domain);
-              
-              /**
-               * Callback after sending permission granted message
-               * @param {Object} response - Response from service worker
-               */
-              function onPermissionNotified(response) {
-                console.log("Permission granted response:", response);
-              }
-              
-              // Notify the service worker that permission has been granted
-              chrome.runtime.sendMessage({
-                action: "domainPermissionGranted", 
-                domain: domain
-              }, onPermissionNotified);
-            }
-            
-            // Save updated list
-            chrome.storage.local.set({allowedDomains: allowedDomains}, onDomainsSaved);
-          } else {
-            console.log('Domain already in trusted list:', domain);
-            
-            // Still notify the service worker (in case user re-allows an already allowed domain)
-            chrome.runtime.sendMessage({
-              action: "domainPermissionGranted", 
-              domain: domain
-            });
+          /**
+           * Callback after sending permission granted message
+           * @param {Object} response - Response from service worker
+           */
+          function onPermissionNotified(response) {
+            console.log("Permission granted response:", response);
           }
+          
+          // Notify the service worker that permission has been granted
+          chrome.runtime.sendMessage({
+            action: "domainPermissionGranted", 
+            domain: domain
+          }, onPermissionNotified);
         }
         
-        // Get existing allowed domains
-        chrome.storage.local.get('allowedDomains', updateAllowedDomains);
+        // Trust the domain, also when it was denied before
+        DomainSettings.allowDomain(domain).then(onDomainAllowed);
       }
     }
     
@@ -190,13 +167,35 @@ document.addEventListener('DOMContentLoaded', function() {
   
   /**
    * Handles click on the deny button
-   * Logs the denial and can be extended with additional behavior
+   * Remembers the denial so the domain is not prompted for again; it can be
+   * reversed in the side panel's domain section
    * @listens click
    */
   function handleDenyClick() {
-    // Just close the sidebar or take other appropriate action
-    console.log("Permission denied by user");
-    // You may want to add specific deny behavior here
+    /**
+     * Callback for active tab query
+     * @param {Array<chrome.tabs.Tab>} tabs - Array of tab objects matching the query
+     */
+    function processDeniedDomain(tabs) {
+      const currentTab = tabs[0];
+      if (currentTab && currentTab.url && 
+          !currentTab.url.startsWith('chrome://') &&
+          !currentTab.url.startsWith('chrome-extension://')) {
+        const domain = new URL(currentTab.url).hostname;
+        
+        DomainSettings.denyDomain(domain).then(() => {
+          console.log("Permission denied by user for:", domain);
+          
+          // Let the service worker show the side panel without prompting
+          chrome.runtime.sendMessage({
+            action: "domainPermissionDenied",
+            domain: domain
+          });
+        });
+      }
+    }
+    
+    chrome.tabs.query({ active: true, currentWindow: true }, processDeniedDomain);
   }
   
   // Handle deny button click
@@ -0,0 +1,242 @@
+/**
+ * Record editor for IFS Clipboard Extension
+ * Editable grid for the clipboard records shown in the side panel, with
+ * cell editing and row add/duplicate/delete. Changes are kept local until
+ * they are committed.
+ */
+
+class RecordEditor {
+  /**
+   * Create an editor for a set of records
+   * @param {HTMLElement} container - DOM element to render the grid in
+   * @param {Array<Object>} records - Records to edit (not modified)
+   * @param {Object} callbacks - Editor callbacks
+   * @param {function(Array<Object>): void} callbacks.onCommit - Called with the edited records
+   * @param {function(): void} callbacks.onCancel - Called when editing is cancelled
+   */
+  constructor(container, records, callbacks) {
+    this.container = container;
+    this.onCommit = callbacks.onCommit;
+    this.onCancel = callbacks.onCancel;
+    this.notice = "";
+
+    this.columns = [];
+    (records || []).forEach((record) => {
+      Object.keys(record || {}).forEach((column) => {
+        if (!this.columns.includes(column)) this.columns.push(column);
+      });
+    });
+
+    // Each edited row remembers the record it started from to flag changes
+    this.rows = (records || []).map((record) => ({
+      original: record,
+      values: Object.assign({}, record),
+    }));
+    this.initialCount = this.rows.length;
+
+    this.render();
+  }
+
+  /**
+   * Render the grid with its toolbar
+   */
+  render() {
+    let html = `
+      <div class="editor-toolbar">
+        <button class="editor-add-row show-more-btn">Add Row</button>
+        <span class="editor-spacer"></span>
+        <button class="editor-cancel dialog-cancel">Cancel</button>
+        <button class="editor-commit dialog-confirm">Commit</button>
+      </div>
+    `;
+    if (this.notice) {
+      html += `<p class="editor-notice">${DialogUtils.escapeHtml(this.notice)}</p>`;
+    }
+
+    html += '<div class="editor-grid"><table><tr><th></th>';
+    this.columns.forEach((column) => {
+      html += `<th>${DialogUtils.escapeHtml(column)}</th>`;
+    });
+    html += "</tr>";
+
+    this.rows.forEach((row, rowIndex) => {
+      html += `<tr class="${row.original ? "" : "editor-new-row"}">`;
+      html += `
+        <td class="editor-row-actions">
+          <button class="editor-duplicate" data-row="${rowIndex}" title="Duplicate row">&#x2398;</button>
+          <button class="editor-delete" data-row="${rowIndex}" title="Delete row">&times;</button>
+        </td>
+      `;
+      this.columns.forEach((column) => {
+        const value = row.values[column];
+        const edited = row.original && !this.isUnchanged(row.original[column], value);
+        html += `
+          <td class="${edited ? "editor-edited" : ""}">
+            <input class="editor-cell" data-row="${rowIndex}" data-column="${DialogUtils.escapeHtml(column)}"
+                   value="${DialogUtils.escapeHtml(RecordEditor.formatValue(value))}">
+          </td>
+        `;
+      });
+      html += "</tr>";
+    });
+    html += "</table></div>";
+
+    this.container.innerHTML = html;
+    this.addEventListeners();
+  }
+
+  /**
+   * Wire up the grid inputs and buttons
+   * @private
+   */
+  addEventListeners() {
+    this.container.querySelectorAll(".editor-cell").forEach((input) => {
+      input.addEventListener("input", () => {
+        const row = this.rows[Number(input.dataset.row)];
+        const column = input.dataset.column;
+        const original = row.original ? row.original[column] : undefined;
+        row.values[column] = RecordEditor.parseValue(input.value, original);
+
+        // Flag the cell without re-rendering, which would steal focus
+        input.parentElement.classList.toggle(
+          "editor-edited",
+          Boolean(row.original) && !this.isUnchanged(original, row.values[column]),
+        );
+      });
+    });
+
+    this.container.querySelectorAll(".editor-duplicate").forEach((button) => {
+      button.addEventListener("click", () => this.duplicateRow(Number(button.dataset.row)));
+    });
+    this.container.querySelectorAll(".editor-delete").forEach((button) => {
+      button.addEventListener("click", () => this.deleteRow(Number(button.dataset.row)));
+    });
+
+    this.container.querySelector(".editor-add-row").addEventListener("click", () => this.addRow());
+    this.container.querySelector(".editor-cancel").addEventListener("click", () => {
+      if (!this.isDirty() || confirm("Discard your changes?")) {
+        this.onCancel();
+      }
+    });
+    this.container.querySelector(".editor-commit").addEventListener("click", () => {
+      this.onCommit(this.getRecords());
+    });
+  }
+
+  /**
+   * Append an empty row
+   */
+  addRow() {
+    const values = {};
+    this.columns.forEach((column) => {
+      values[column] = "";
+    });
+    this.rows.push({ original: null, values: values });
+    this.render();
+  }
+
+  /**
+   * Insert a copy of a row below it
+   * @param {number} rowIndex - Row to duplicate
+   */
+  duplicateRow(rowIndex) {
+    this.rows.splice(rowIndex + 1, 0, {
+      original: null,
+      values: Object.assign({}, this.rows[rowIndex].values),
+    });
+    this.render();
+  }
+
+  /**
+   * Remove a row
+   * @param {number} rowIndex - Row to delete
+   */
+  deleteRow(rowIndex) {
+    this.rows.splice(rowIndex, 1);
+    this.render();
+  }
+
+  /**
+   * Show a message above the grid, e.g. when the clipboard changed meanwhile
+   * @param {string} message - Message to show
+   */
+  showNotice(message) {
+    if (this.notice === message) return;
+    this.notice = message;
+    this.render();
+  }
+
+  /**
+   * Get the edited records
+   * @returns {Array<Object>} - Records in grid order
+   */
+  getRecords() {
+    return this.rows.map((row) => Object.assign({}, row.values));
+  }
+
+  /**
+   * Check whether anything was changed
+   * @returns {boolean} - True if rows or cells differ from the original records
+   */
+  isDirty() {
+    return (
+      this.rows.length !== this.initialCount ||
+      this.rows.some(
+        (row) =>
+          !row.original ||
+          this.columns.some((column) => !this.isUnchanged(row.original[column], row.values[column])),
+      )
+    );
+  }
+
+  /**
+   * Compare an original cell value with an edited one
+   * @param {*} original - Original value
+   * @param {*} value - Edited value
+   * @returns {boolean} - True if both are the same
+   * @private
+   */
+  isUnchanged(original, value) {
+    return RecordEditor.formatValue(original) === RecordEditor.formatValue(value);
+  }
+
+  /**
+   * Convert a cell value to the text shown in its input
+   * Objects and arrays are shown as JSON so that they survive an edit.
+   * @param {*} value - Cell value
+   * @returns {string} - The text
+   */
+  static formatValue(value) {
+    if (value === undefined || value === null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Convert edited text back to the type of the original value
+   * Numbers and booleans stay numbers and booleans when the text allows it,
+   * and objects and arrays are read back from their JSON.
+   * @param {string} text - Edited text
+   * @param {*} original - Original cell value
+   * @returns {*} - The typed value
+   */
+  static parseValue(text, original) {
+    if (typeof original === "number" && text.trim() !== "" && !isNaN(Number(text))) {
+      return Number(text);
+    }
+    if (typeof original === "boolean" && (text === "true" || text === "false")) {
+      return text === "true";
+    }
+    if (original && typeof original === "object") {
+      if (text.trim() === "") return null;
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    }
+    return text;
+  }
+}
+
+// Export for use in other modules
+window.RecordEditor = RecordEditor;
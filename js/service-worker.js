@@ -2,84 +2,163 @@
 // allows the user to open the sidepanel by clicking the extension icon
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
+importScripts(
+  "/js/domainMatcher.js",
+  "/js/domainSettings.js",
+  "/js/mappingRules.js",
+  "/js/maskingPolicies.js",
+  "/js/historyStore.js",
+  "/js/syncProtocol.js",
+  "/js/syncOutbox.js",
+  "/js/syncStatusStore.js",
+  "/js/syncEngine.js",
+);
+
+const STORAGE_WATCHER_ID = "ifs-storage-watcher";
+const PAGE_HOOK_ID = "ifs-page-storage-hook";
+
+// Serializes watcher registrations, which would otherwise race to register
+// the same script IDs when the trusted domains change quickly
+let storageWatcherQueue = Promise.resolve();
+
 /**
- * Polls the active tab for local storage data if it's from a trusted domain
- * Checks current tab's URL against allowed domains and retrieves clipboard data if trusted
+ * Builds content script match patterns for the trusted domains
+ * @param {Array<string>} allowedDomains - Trusted domain hostnames
+ * @return {Array<string>} Match patterns covering every trusted domain
  */
-function pollLocalStorage() {
-  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-    if (
-      tabs[0] &&
-      tabs[0].url &&
-      (tabs[0].url.startsWith("http://") || tabs[0].url.startsWith("https://"))
-    ) {
-      // Check if this is a trusted domain
-      chrome.storage.local.get("allowedDomains", function (result) {
-        const allowedDomains = result.allowedDomains || [];
-        let isTrusted = false;
-
-        try {
-          const url = new URL(tabs[0].url);
-          const hostname = url.hostname;
-
-          for (const domain of allowedDomains) {
-            if (hostname.includes(domain) || domain.includes(hostname)) {
-              isTrusted = true;
-              break;
-            }
-          }
+function buildMatchPatterns(allowedDomains) {
+  return allowedDomains.map((domain) => DomainMatcher.toMatchPattern(domain)).filter(Boolean);
+}
 
-          if (isTrusted) {
-            chrome.scripting.executeScript({
-              target: { tabId: tabs[0].id },
-              function: getLocalStorageItems,
-            });
-          }
-        } catch (e) {
-          console.error("Error checking tab URL:", e);
-        }
-      });
-    }
-  });
+/**
+ * Registers the storage watcher content scripts for all trusted domains
+ * The page hook runs in the MAIN world to see the page's own writes and the
+ * watcher runs in the isolated world as its bridge to the extension.
+ * Replaces any previous registration so the match list follows allowedDomains.
+ * Calls run one after another, each with the trusted domains of its turn.
+ * @return {Promise<void>} A promise that resolves when registration is done
+ */
+function registerStorageWatcher() {
+  storageWatcherQueue = storageWatcherQueue.then(updateStorageWatcher);
+  return storageWatcherQueue;
 }
 
 /**
- * Retrieves clipboard storage data from the page's localStorage
- * Executed in the context of a web page via executeScript
- * @return {void} No return value, sends message to extension with storage data
+ * Replaces the storage watcher registration; only run through
+ * registerStorageWatcher()
+ * @return {Promise<void>} A promise that resolves when registration is done
  */
-function getLocalStorageItems() {
-  const recordsString = localStorage.getItem(
-    "IFS-Aurena-CopyPasteRecordStorage",
-  );
-  const metadataString = localStorage.getItem("TcclClipboardMetadata");
-
-  if (recordsString) {
-    // Send the data to the service worker
-    chrome.runtime.sendMessage({
-      action: "localStoragePolled",
-      data: recordsString,
-      metadata: metadataString,
-      timestamp: new Date().toISOString(),
-      domain: location.hostname,
-      url: location.href,
+async function updateStorageWatcher() {
+  try {
+    const result = await chrome.storage.local.get("allowedDomains");
+    const allowedDomains = result.allowedDomains || [];
+
+    const existing = await chrome.scripting.getRegisteredContentScripts({
+      ids: [STORAGE_WATCHER_ID, PAGE_HOOK_ID],
+    });
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({
+        ids: existing.map((script) => script.id),
+      });
+    }
+
+    if (allowedDomains.length === 0) {
+      console.log("No trusted domains, storage watcher not registered");
+      return;
+    }
+
+    const matches = buildMatchPatterns(allowedDomains);
+    await chrome.scripting.registerContentScripts([
+      {
+        id: PAGE_HOOK_ID,
+        matches: matches,
+        js: ["js/page-storage-hook.js"],
+        runAt: "document_start",
+        world: "MAIN",
+        persistAcrossSessions: true,
+      },
+      {
+        id: STORAGE_WATCHER_ID,
+        matches: matches,
+        js: ["js/storage-watcher.js"],
+        runAt: "document_start",
+        persistAcrossSessions: true,
+      },
+    ]);
+    console.log("Storage watcher registered for:", matches);
+
+    // Registered scripts only run on new page loads, so cover open tabs too
+    const tabs = await chrome.tabs.query({ url: matches });
+    tabs.forEach((tab) => {
+      chrome.scripting
+        .executeScript({
+          target: { tabId: tab.id },
+          files: ["js/storage-watcher.js"],
+        })
+        .then(() =>
+          chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: ["js/page-storage-hook.js"],
+            world: "MAIN",
+          }),
+        )
+        .catch((error) => {
+          console.warn(`Could not inject storage watcher into tab ${tab.id}:`, error);
+        });
     });
+  } catch (error) {
+    console.error("Error registering storage watcher:", error);
   }
 }
 
-// Listen for messages from the content script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "localStorageUpdated" && message.data) {
-    // Store the data in Chrome's storage for access by the sidepanel
-    chrome.storage.local.set({
-      "IFS-Aurena-CopyPasteRecordStorage": message.data,
-    });
+// Keep the watcher registration in step with the trusted domains list
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.allowedDomains) {
+    registerStorageWatcher();
+  }
+  if (areaName === "local" && (changes.allowedDomains || changes.domainSettings)) {
+    updateAllActionBadges();
   }
-  return true;
 });
 
-// Start polling local storage every 500ms
-setInterval(pollLocalStorage, 500);
+/**
+ * Shows the environment type of a tab's domain on the action badge, in the
+ * domain's colour, so production tabs stand out
+ * @param {chrome.tabs.Tab} tab - Tab to update
+ * @param {Object} settings - Result of DomainSettings.load()
+ */
+function updateActionBadge(tab, settings) {
+  let environment = null;
+  if (tab.url && /^https?:/.test(tab.url)) {
+    environment = DomainSettings.getEnvironment(tab.url, settings);
+  }
+
+  chrome.action.setBadgeText({ tabId: tab.id, text: environment ? environment.envType : "" });
+  if (environment && environment.color) {
+    chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: environment.color });
+  }
+}
+
+/**
+ * Refreshes the action badge of every open tab
+ * @return {Promise<void>} A promise that resolves when all badges are set
+ */
+async function updateAllActionBadges() {
+  try {
+    const [tabs, settings] = await Promise.all([chrome.tabs.query({}), DomainSettings.load()]);
+    tabs.forEach((tab) => updateActionBadge(tab, settings));
+  } catch (error) {
+    console.error("Error updating action badges:", error);
+  }
+}
+
+// Badges are per tab and reset on navigation
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === "complete") {
+    DomainSettings.load().then((settings) => updateActionBadge(tab, settings));
+  }
+});
+updateAllActionBadges();
 
 // Since chrome.sidePanel.onShown is undefined, we'll use a different approach
 // Use the chrome.action.onClicked event to handle when the extension icon is clicked
@@ -89,20 +168,6 @@ chrome.sidePanel.setOptions({
   path: "html/permission.html",
 });
 
-// Add a message listener to handle navigation requests from the permission page
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "checkPermission") {
-    checkAndSetSidePanelPage();
-  } else if (message.action === "domainPermissionGranted") {
-    // Update the sidePanel to the main page after permission is granted
-    chrome.sidePanel.setOptions({
-      path: "html/sidepanel.html",
-    });
-    sendResponse({ success: true });
-  }
-  return true;
-});
-
 /**
  * Checks if the current active tab is from a trusted domain and sets appropriate sidepanel
  * @return {Promise<void>} A promise that resolves when the sidepanel is set
@@ -133,19 +198,16 @@ async function checkAndSetSidePanelPage() {
     const domain = url.hostname;
     console.log("Current domain:", domain);
 
-    // Get allowed domains
-    const result = await chrome.storage.local.get("allowedDomains");
+    // Get allowed and denied domains
+    const result = await chrome.storage.local.get(["allowedDomains", "deniedDomains"]);
     const allowedDomains = result.allowedDomains || [];
     console.log("Allowed domains:", allowedDomains);
 
-    // Check if domain is trusted (using flexible matching)
-    let isTrusted = false;
-    for (const allowedDomain of allowedDomains) {
-      if (domain.includes(allowedDomain) || allowedDomain.includes(domain)) {
-        isTrusted = true;
-        console.log("Domain is trusted, matched with:", allowedDomain);
-        break;
-      }
+    // Check if the tab matches a trusted domain rule
+    const matchedRule = DomainMatcher.match(currentTab.url, allowedDomains);
+    const isTrusted = matchedRule !== null;
+    if (isTrusted) {
+      console.log("Domain is trusted, matched with:", matchedRule);
     }
 
     // Set appropriate page based on permissions
@@ -154,6 +216,12 @@ async function checkAndSetSidePanelPage() {
       chrome.sidePanel.setOptions({
         path: "html/sidepanel.html",
       });
+    } else if (DomainSettings.isDenied(currentTab.url, DomainSettings.normalize(result))) {
+      // The user already refused this domain; don't ask again
+      console.log("Loading main sidepanel for denied domain");
+      chrome.sidePanel.setOptions({
+        path: "html/sidepanel.html",
+      });
     } else {
       console.log("Loading permission page for untrusted domain");
       chrome.sidePanel.setOptions({
@@ -165,360 +233,138 @@ async function checkAndSetSidePanelPage() {
   }
 }
 
-// Handle extension installation
-chrome.runtime.onInstalled.addListener(() => {
-  // Initialize extension settings, including empty allowed domains list
-  chrome.storage.local.set({ allowedDomains: [] });
-});
-
 /**
- * Overrides localStorage.setItem method to monitor for clipboard data changes
- * Executed in the context of a web page via executeScript
- * @return {void} No return value, sends message to extension when clipboard data changes
+ * Stores a clipboard change reported by the storage watcher
+ * Copies made by the user (localStorageUpdated) are recorded in the history
+ * and pushed to the other tabs through the sync engine; changes noticed
+ * otherwise (localStorageCaptured) are only stored.
+ * @param {Object} message - Message from storage-watcher.js
+ * @param {chrome.runtime.MessageSender} sender - Sender of the message
+ * @return {Promise<void>} A promise that resolves when the change is handled
  */
-function watchStorageChanges() {
-  // Save the original setItem method
-  const originalSetItem = localStorage.setItem;
-
-  // Override the setItem method
-  localStorage.setItem = function (key, value) {
-    // Call the original method first
-    originalSetItem.apply(this, arguments);
-
-    // Check if the key is our clipboard storage
-    if (key === "IFS-Aurena-CopyPasteRecordStorage") {
-      // Get the metadata if it exists
-      const metadata = localStorage.getItem("TcclClipboardMetadata");
-
-      // Notify our extension about the change
-      chrome.runtime.sendMessage({
-        action: "localStorageUpdated",
-        data: value,
-        metadata: metadata, // Include metadata
-        timestamp: new Date().toISOString(),
-        source: "userAction", // Indicate this was from a user copy action
-        domain: location.hostname,
-        url: location.href,
-      });
+async function handleStorageChange(message, sender) {
+  // Prefer the sender tab's real URL over what the page reported
+  const senderUrl = sender.tab && sender.tab.url ? sender.tab.url : message.url || null;
+  let senderHostname = message.domain || null;
+  try {
+    if (senderUrl) {
+      senderHostname = new URL(senderUrl).hostname;
     }
-  };
+  } catch (e) {
+    console.error("Error reading sender URL:", e);
+  }
 
-  console.log(
-    "[IFS Clipboard] Storage change monitor installed at:",
-    location.href,
+  const result = await chrome.storage.local.get(
+    ["IFS-Aurena-CopyPasteRecordStorage"].concat(DomainSettings.STORAGE_KEYS),
   );
-}
+  const currentData = result["IFS-Aurena-CopyPasteRecordStorage"];
+  const settings = DomainSettings.normalize(result);
+
+  // Receive-only and isolated domains never publish their clipboard
+  // Looked up by URL, as rules may differ only by scheme or port
+  if (!DomainSettings.canSend(senderUrl || senderHostname, settings)) {
+    console.log(
+      `Ignoring clipboard change from ${senderHostname}: its sync role does not allow sending`,
+    );
+    return;
+  }
+
+  if (message.action === "localStorageCaptured") {
+    if (currentData === message.data) return;
+
+    // A synced tab reporting what the engine wrote into it, possibly masked
+    // or mapped, must not replace the clipboard it was made from
+    if (await SyncEngine.isDelivered(senderUrl, message.data, settings)) {
+      console.log(`Ignoring synced data reported back by ${senderHostname}`);
+      return;
+    }
 
-// Modified message handler to handle storage updates and sync
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (
-    message.action === "localStorageUpdated" ||
-    message.action === "localStoragePolled"
-  ) {
-    // Storage object to update
     const storageData = {
       "IFS-Aurena-CopyPasteRecordStorage": message.data,
+      // Remember where the clipboard came from to keep it inside its group
+      clipboardSource: {
+        domain: senderHostname,
+        url: senderUrl,
+        timestamp: message.timestamp || new Date().toISOString(),
+      },
     };
-
-    // Add metadata if available
     if (message.metadata) {
       storageData["TcclClipboardMetadata"] = message.metadata;
     }
+    await chrome.storage.local.set(storageData);
+    return;
+  }
 
-    // First, check if this data is different from what's already stored
-    chrome.storage.local.get(
-      ["IFS-Aurena-CopyPasteRecordStorage"],
-      function (result) {
-        const currentData = result["IFS-Aurena-CopyPasteRecordStorage"];
-
-        // Only proceed if data has changed or we're explicitly syncing
-        if (
-          currentData !== message.data ||
-          message.action === "localStorageUpdated"
-        ) {
-          console.log(
-            `Storage update from ${message.domain || "unknown"}, updating extension storage`,
-          );
-
-          // Store the data in Chrome's storage
-          chrome.storage.local.set(storageData, () => {
-            // Sync to other tabs if this was a user action or an explicit sync request
-            if (message.action === "localStorageUpdated") {
-              syncToAllTrustedTabs(
-                message.data,
-                message.metadata,
-                sender.tab ? sender.tab.id : null,
-              );
-            }
-          });
-        }
-      },
-    );
+  console.log(`Storage update from ${senderHostname || "unknown"}, syncing through the engine`);
+  let historyEntry = null;
+  if (currentData !== message.data) {
+    historyEntry = await HistoryStore.add({
+      operation: "copy",
+      records: HistoryStore.parseRecords(message.data),
+      metadata: message.metadata || null,
+      sourceDomain: senderHostname,
+      sourceUrl: senderUrl,
+    }).catch((error) => console.error("Failed to record copy in history:", error));
   }
 
-  // Handle the syncClipboardData message
-  if (message.action === "syncClipboardData") {
-    if (message.data) {
-      // First, get metadata from extension storage
-      chrome.storage.local.get(
-        ["TcclClipboardMetadata"],
-        function (metadataResult) {
-          const metadata = metadataResult["TcclClipboardMetadata"];
-
-          // Store in extension storage - already done, but ensure it's there
-          chrome.storage.local.set(
-            {
-              "IFS-Aurena-CopyPasteRecordStorage": message.data,
-            },
-            () => {
-              // Sync to all trusted tabs
-              chrome.storage.local.get("allowedDomains", function (result) {
-                const allowedDomains = result.allowedDomains || [];
-
-                if (allowedDomains.length === 0) {
-                  if (sendResponse)
-                    sendResponse({
-                      success: true,
-                      message: "No trusted domains to sync to",
-                    });
-                  return;
-                }
+  // Protected domains are skipped, since there is no side panel here to confirm them
+  await SyncEngine.push({
+    records: message.data,
+    metadata: message.metadata || null,
+    sourceDomain: senderHostname,
+    sourceUrl: senderUrl,
+    sourceTabId: sender.tab ? sender.tab.id : null,
+    historyId: historyEntry ? historyEntry.id : null,
+  });
+}
 
-                // Get all tabs
-                chrome.tabs.query({}, (tabs) => {
-                  // Filter tabs matching trusted domains
-                  const trustedTabs = tabs.filter((tab) => {
-                    if (!tab.url) return false;
-                    try {
-                      const url = new URL(tab.url);
-                      return allowedDomains.includes(url.hostname);
-                    } catch (e) {
-                      return false;
-                    }
-                  });
-
-                  if (trustedTabs.length === 0) {
-                    if (sendResponse)
-                      sendResponse({
-                        success: true,
-                        message: "No matching tabs to sync to",
-                      });
-                    return;
-                  }
-
-                  // Track sync operations
-                  let completed = 0;
-
-                  // Update localStorage for each tab
-                  trustedTabs.forEach((tab) => {
-                    chrome.scripting.executeScript(
-                      {
-                        target: { tabId: tab.id },
-                        function: function (data, meta) {
-                          try {
-                            localStorage.setItem(
-                              "IFS-Aurena-CopyPasteRecordStorage",
-                              data,
-                            );
-
-                            if (meta) {
-                              localStorage.setItem(
-                                "TcclClipboardMetadata",
-                                meta,
-                              );
-                            }
-
-                            return { success: true };
-                          } catch (error) {
-                            return { success: false };
-                          }
-                        },
-                        args: [message.data, metadata], // Pass both data and metadata
-                      },
-                      () => {
-                        completed++;
-
-                        // When all operations are complete, respond
-                        if (completed === trustedTabs.length && sendResponse) {
-                          sendResponse({
-                            success: true,
-                            message: `Synced to ${trustedTabs.length} tabs`,
-                          });
-                        }
-                      },
-                    );
-                  });
-                });
-              });
-            },
-          );
-        },
-      );
-      return true; // Indicates async response
-    }
+// One listener for every runtime message: sync requests, clipboard changes
+// from the storage watcher and navigation requests from the permission page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (SyncProtocol.isRequest(message)) {
+    SyncEngine.handleRequest(message, sender).then(sendResponse);
+    return true; // Indicates async response
+  }
+
+  if (message.action === "localStorageUpdated" || message.action === "localStorageCaptured") {
+    handleStorageChange(message, sender).catch((error) =>
+      console.error("Error handling clipboard change:", error),
+    );
+    return false;
   }
 
-  // Handle other message types (keep your existing handlers)
   if (message.action === "checkPermission") {
     checkAndSetSidePanelPage();
-  } else if (message.action === "domainPermissionGranted") {
-    // Update the sidePanel to the main page after permission is granted
+    return false;
+  }
+
+  if (message.action === "domainPermissionGranted" || message.action === "domainPermissionDenied") {
+    // Granted domains get the main page; denied domains are not prompted for again
     chrome.sidePanel.setOptions({
       path: "html/sidepanel.html",
     });
     sendResponse({ success: true });
+    return false;
   }
 
-  return true;
+  return false;
 });
 
-// Inject the storage watcher when a tab's URL matches an allowed domain
+// Sync the current clipboard into a trusted tab once it has loaded
+// (the storage watcher itself is injected by the registered content script)
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (
-    changeInfo.status === "complete" &&
-    tab.url &&
-    (tab.url.startsWith("http://") || tab.url.startsWith("https://"))
-  ) {
-    try {
-      const url = new URL(tab.url);
-      chrome.storage.local.get("allowedDomains", function (result) {
-        const allowedDomains = result.allowedDomains || [];
-        let isTrusted = false;
-
-        for (const domain of allowedDomains) {
-          if (url.hostname.includes(domain) || domain.includes(url.hostname)) {
-            isTrusted = true;
-            break;
-          }
-        }
-
-        if (isTrusted) {
-          console.log(
-            `Injecting storage watcher into trusted tab: ${tab.id} (${url.hostname})`,
-          );
-
-          // Inject the storage watcher
-          chrome.scripting
-            .executeScript({
-              target: { tabId: tabId },
-              function: watchStorageChanges,
-            })
-            .then(() => {
-              // After injecting the watcher, also sync the current clipboard data to this tab
-              chrome.storage.local.get(
-                ["IFS-Aurena-CopyPasteRecordStorage", "TcclClipboardMetadata"],
-                function (result) {
-                  const clipboardData =
-                    result["IFS-Aurena-CopyPasteRecordStorage"];
-                  const metadata = result["TcclClipboardMetadata"];
-
-                  var SyncMetadata = metadata ? metadata : null;
-                  if (clipboardData) {
-                    chrome.scripting.executeScript({
-                      target: { tabId: tabId },
-                      function: function (data, meta) {
-                        try {
-                          localStorage.setItem(
-                            "IFS-Aurena-CopyPasteRecordStorage",
-                            data,
-                          );
-
-                          if (meta) {
-                            localStorage.setItem("TcclClipboardMetadata", meta);
-                          }
-
-                          console.log(
-                            "[IFS Clipboard] Data synced on tab initialization",
-                          );
-                          return true;
-                        } catch (error) {
-                          console.error(
-                            "[IFS Clipboard] Failed to sync on init:",
-                            error,
-                          );
-                          return false;
-                        }
-                      },
-                      args: [clipboardData, SyncMetadata],
-                    });
-                  }
-                },
-              );
-            })
-            .catch((error) => {
-              console.error("Failed to inject storage watcher:", error);
-            });
-        }
-      });
-    } catch (e) {
-      console.error("Error checking domain:", e);
-    }
+  if (changeInfo.status === "complete" && tab.url && /^https?:\/\//.test(tab.url)) {
+    SyncEngine.syncLoadedTab(tab).catch((error) => {
+      console.error("Failed to sync clipboard on tab load:", error);
+    });
   }
 });
 
-// Add a new message type to explicitly request syncing
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "syncClipboardData") {
-    if (message.data) {
-      console.log("Received syncClipboardData request");
-
-      // Store in extension storage
-      const storageData = {
-        "IFS-Aurena-CopyPasteRecordStorage": message.data,
-      };
-
-      if (message.metadata) {
-        storageData["TcclClipboardMetadata"] = message.metadata;
-      }
-
-      chrome.storage.local.set(storageData, () => {
-        syncToAllTrustedTabs(
-          message.data,
-          message.metadata,
-          null,
-          sendResponse,
-        );
-      });
-
-      return true; // Indicates async response
-    }
-  }
-  // Other handlers...
+// Closed tabs no longer need their sync status
+chrome.tabs.onRemoved.addListener((tabId) => {
+  SyncStatusStore.forgetTab(tabId);
 });
 
-/**
- * Syncs clipboard data to all tabs from trusted domains
- * @param {string} clipboardData - The clipboard data to sync
- * @param {string|null} metadata - The metadata associated with the clipboard data
- * @param {number|null} sourceTabId - The ID of the tab that triggered the sync (to avoid syncing back to it)
- * @param {function|null} sendResponse - Callback function to send response to the message sender
- * @return {void} No direct return value, uses sendResponse callback for async response
- */
-function syncToAllTrustedTabs(
-  clipboardData,
-  metadata,
-  sourceTabId,
-  sendResponse = null
-) {
-  // Use the shared sync function with direct injection (default)
-  ClipboardSync.syncClipboardToTrustedDomains(clipboardData, metadata, {
-    sourceTabId: sourceTabId,
-    useBackgroundTabs: false,
-    onComplete: function(results) {
-      if (sendResponse) {
-        sendResponse({
-          success: results.success,
-          message: results.message,
-          details: results.details
-        });
-      }
-    }
-  });
-}
-
-// Start polling local storage every 500ms
-setInterval(pollLocalStorage, 500);
-
 // Initialize on extension install/update
 chrome.runtime.onInstalled.addListener(() => {
   // Initialize extension settings, including empty allowed domains list if not already set
@@ -527,6 +373,8 @@ chrome.runtime.onInstalled.addListener(() => {
       chrome.storage.local.set({ allowedDomains: [] });
     }
   });
+
+  registerStorageWatcher();
 });
 
 // Add this new listener to detect tab focus changes
@@ -569,23 +417,23 @@ chrome.runtime.onSuspend.addListener(() => {
   // This is a best-effort operation as we have limited time during suspension
   try {
     // Get allowed domains
-    chrome.storage.local.get("allowedDomains", function(result) {
-      const allowedDomains = result.allowedDomains || [];
+    chrome.storage.local.get(DomainSettings.STORAGE_KEYS, function(result) {
+      const settings = DomainSettings.normalize(result);
+      const allowedDomains = settings.allowedDomains;
       
       if (allowedDomains.length > 0) {
         // Get all tabs
         chrome.tabs.query({}, function(tabs) {
-          // Filter to tabs from trusted domains
+          // Filter to tabs from trusted domains that accept unconfirmed writes
           const trustedTabs = tabs.filter(tab => {
             if (!tab.url) return false;
             try {
               const url = new URL(tab.url);
-              for (const domain of allowedDomains) {
-                if (url.hostname.includes(domain) || domain.includes(url.hostname)) {
-                  return true;
-                }
-              }
-              return false;
+              return (
+                DomainSettings.findTrustedDomain(url.href, allowedDomains) !== null &&
+                DomainSettings.canReceive(url.href, settings) &&
+                !DomainSettings.isProtected(url.href, settings)
+              );
             } catch (e) {
               return false;
             }
@@ -622,6 +470,8 @@ chrome.runtime.onSuspend.addListener(() => {
 // Add a handler for browser startup to check if clipboard was cleared
 chrome.runtime.onStartup.addListener(() => {
   console.log("Browser starting - checking clipboard status");
+
+  registerStorageWatcher();
   
   // Check if we have a record of clearing the clipboard on last shutdown
   chrome.storage.local.get("lastClipboardClear", function(result) {
@@ -21,19 +21,25 @@ document.addEventListener("DOMContentLoaded", function () {
     function (tabs) {
       const currentTab = tabs[0];
       if (currentTab && !currentTab.url.startsWith("chrome://")) {
-        // Extract just the domain part of the URL
-        const url = new URL(currentTab.url);
-        const domain = url.hostname;
-
         /**
-         * Callback after retrieving allowed domains from storage
+         * Callback after retrieving allowed and denied domains from storage
          * @param {Object} result - Storage result containing allowedDomains
          * @param {Array<string>} [result.allowedDomains] - List of allowed domains
+         * @param {Array<string>} [result.deniedDomains] - List of denied domains
          */
-        chrome.storage.local.get("allowedDomains", function (result) {
+        chrome.storage.local.get(["allowedDomains", "deniedDomains"], function (result) {
           const allowedDomains = result.allowedDomains || [];
+          const deniedDomains = result.deniedDomains || [];
+
+          if (DomainMatcher.match(currentTab.url, allowedDomains) === null) {
+            const hostname = new URL(currentTab.url).hostname;
+
+            // Denied domains are not prompted for again, nor given the panel
+            if (DomainMatcher.match(hostname, deniedDomains) !== null) {
+              showDeniedState(hostname);
+              return;
+            }
 
-          if (!allowedDomains.includes(domain)) {
             // If somehow reached this page without permission, redirect back
             window.location.href = "/html/permission.html";
             return;
@@ -49,6 +55,23 @@ document.addEventListener("DOMContentLoaded", function () {
     },
   );
 
+  /**
+   * Replaces the side panel with a notice for a denied domain, with a link
+   * back to the permission page to reverse the decision
+   * @param {string} hostname - The denied hostname
+   */
+  function showDeniedState(hostname) {
+    document.body.innerHTML = `
+      <div class="top-bar">Zest IFS Clipboard Manager</div>
+      <div class="section">
+        <div class="section-title">Clipboard access denied</div>
+        <p>You denied clipboard access for <strong id="denied-hostname"></strong>. Nothing is copied from or synced to this site.</p>
+        <a href="/html/permission.html">Allow this site instead</a>
+      </div>
+    `;
+    document.getElementById("denied-hostname").textContent = hostname;
+  }
+
   /**
    * Main function to initialize the side panel UI and functionality
    * Sets up event listeners, clipboard monitoring, and data display
@@ -59,7 +82,15 @@ document.addEventListener("DOMContentLoaded", function () {
     const historyContainer = document.getElementById("history-container");
     const exportButton = document.getElementById("export-excel");
     const importButton = document.getElementById("import-excel");
+    const exportFormatSelect = document.getElementById("export-format");
     const clearButton = document.getElementById("clear-clipboard");
+    const editButton = document.getElementById("edit-clipboard");
+
+    // Shown when the active tab may not change the clipboard
+    const READ_ONLY_MESSAGE = "Open a trusted domain to change the clipboard";
+
+    // Whether the active tab may change the clipboard
+    let clipboardWritable = true;
 
     // Current clipboard data
     let currentClipboardData = null;
@@ -67,13 +98,20 @@ document.addEventListener("DOMContentLoaded", function () {
     // Track expanded state of main table
     let mainTableExpanded = false;
 
+    // Editor replacing the records table while the user edits
+    let recordEditor = null;
+
     // Add a flag to track if background sync is in progress
     let syncInProgress = false;
-    // Add variable to store the polling interval
-    let pollingInterval = null;
+    // Set when a storage change arrives while a sync is running
+    let storageCheckPending = false;
 
     // Initialize history manager
-    const historyManager = new HistoryManager(historyContainer, renderTable);
+    const historyManager = new HistoryManager(
+      historyContainer,
+      renderTable,
+      document.getElementById("library-container"),
+    );
 
     /**
      * Handles clearing the clipboard data
@@ -89,23 +127,9 @@ document.addEventListener("DOMContentLoaded", function () {
         // Update UI
         renderTable([]);
         
-        // Create empty JSON string for syncing
-        const emptyData = JSON.stringify([]);
-        
-        // Save to local storage first
-        chrome.storage.local.set({ "IFS-Aurena-CopyPasteRecordStorage": emptyData }, function() {
-          console.log("Clipboard data cleared locally");
-          
-          // Sync to all tabs
-          syncViaBackgroundTab(emptyData, null);
-          
-          // Add to history with a special note
-          historyManager.addHistoryItem({
-            timestamp: new Date(),
-            records: [],
-            operation: "clear"
-          });
-        });
+        // Add to history with a special note, then store and sync the
+        // empty clipboard to all tabs
+        recordAndPush({ records: [], operation: "clear" }, JSON.stringify([]), null);
       }
     }
     
@@ -113,12 +137,105 @@ document.addEventListener("DOMContentLoaded", function () {
     clearButton.addEventListener("click", handleClearClipboard);
 
     /**
-     * Handles exporting current clipboard data to Excel
+     * Switches the records table to the editable grid
+     * @listens click
+     */
+    function handleEditClipboard() {
+      if (recordEditor) return;
+      if (!currentClipboardData || currentClipboardData.length === 0) {
+        alert("There are no clipboard records to edit");
+        return;
+      }
+
+      editButton.disabled = true;
+      recordEditor = new RecordEditor(tableContainer, currentClipboardData, {
+        onCommit: commitEditedRecords,
+        onCancel: closeRecordEditor,
+      });
+    }
+
+    /**
+     * Leaves edit mode and shows the current clipboard again
+     */
+    function closeRecordEditor() {
+      recordEditor = null;
+      editButton.disabled = !clipboardWritable;
+      renderTable(currentClipboardData);
+    }
+
+    /**
+     * Writes edited records back through the normal sync path and records
+     * the edit in the history
+     * @param {Array<Object>} records - The edited records
+     */
+    function commitEditedRecords(records) {
+      recordEditor = null;
+      editButton.disabled = !clipboardWritable;
+      renderTable(records);
+
+      const jsonString = JSON.stringify(records);
+      chrome.storage.local.get("TcclClipboardMetadata", function (result) {
+        const metadata = result["TcclClipboardMetadata"] || null;
+
+        // Record the edit, then store and sync to all tabs
+        recordAndPush({ records: records, metadata: metadata, operation: "edit" }, jsonString, metadata);
+      });
+    }
+
+    /**
+     * Records an operation in the history and pushes its records, so that
+     * the receiving domains are listed as the entry's targets
+     * Only a trusted active tab can change the clipboard; from any other tab
+     * nothing is recorded and the stored clipboard is shown again.
+     * @param {Object} item - History entry details, see HistoryManager.addHistoryItem
+     * @param {string} records - JSON string of clipboard records
+     * @param {string|null} metadata - JSON string of clipboard metadata
+     * @returns {Promise<Object>} The engine's push result
+     */
+    async function recordAndPush(item, records, metadata) {
+      const sourceUrl = await getTrustedSourceUrl();
+      if (!sourceUrl) {
+        const result = SyncProtocol.createResult(SyncProtocol.TYPES.PUSH);
+        result.message = READ_ONLY_MESSAGE;
+        showSyncStatus(result);
+
+        // Forget the refused change so that the stored clipboard is rendered
+        currentClipboardData = undefined;
+        checkLocalStorage();
+        return result;
+      }
+
+      const entry = await historyManager
+        .addHistoryItem(item)
+        .catch((error) => console.error(`Failed to record ${item.operation} in history:`, error));
+      return pushClipboard(records, metadata, {
+        sourceDomain: new URL(sourceUrl).hostname,
+        sourceUrl: sourceUrl,
+        historyId: entry ? entry.id : null,
+      });
+    }
+
+    // Add click event to edit button
+    editButton.addEventListener("click", handleEditClipboard);
+
+    /**
+     * Handles exporting current clipboard data in the chosen format
      * Uses the ExcelUtils utility to perform the export
      * @listens click
      */
     function handleExportToExcel() {
-      ExcelUtils.exportToExcel(currentClipboardData).catch(
+      Promise.all([
+        getClipboardSourceHostname(),
+        chrome.storage.local.get("TcclClipboardMetadata"),
+      ])
+        .then(([sourceDomain, result]) =>
+          ExcelUtils.exportToFile(currentClipboardData, {
+            format: exportFormatSelect.value,
+            sourceDomain: sourceDomain,
+            metadata: result["TcclClipboardMetadata"] || null,
+          }),
+        )
+        .catch(
         /**
          * Error handler for export failures
          * @param {Error} error - The export error
@@ -133,7 +250,7 @@ document.addEventListener("DOMContentLoaded", function () {
     exportButton.addEventListener("click", handleExportToExcel);
 
     /**
-     * Handles importing clipboard data from Excel
+     * Handles importing clipboard data from an Excel, CSV, TSV or JSON file
      * Uses the ExcelUtils utility to perform the import
      * @listens click
      */
@@ -142,44 +259,21 @@ document.addEventListener("DOMContentLoaded", function () {
         .then(
           /**
            * Success handler for import
-           * @param {Array<Object>} clipboardData - The imported data
+           * @param {{records: Array<Object>|null, savedSheets: number}} result - The new clipboard after replacing, appending or merging, or null records when cancelled, and the number of sheets saved to the library
            */
-          (clipboardData) => {
+          (result) => {
+            showImportStatus(result.savedSheets);
+            const clipboardData = result.records;
+            if (!clipboardData) return;
+
             // Update current clipboard data in memory
             currentClipboardData = clipboardData;
 
             // Update UI by rendering the table
             renderTable(clipboardData);
 
-            // Sync to all trusted domains
-            const jsonString = JSON.stringify(clipboardData);
-            StorageUtils.updateAcrossTrustedDomains(jsonString)
-              .then(
-                /**
-                 * Success handler for sync operation
-                 * @param {Object} result - The sync result
-                 * @param {boolean} result.success - Whether sync was successful
-                 * @param {string} result.message - Status message
-                 */
-                (result) => {
-                  console.log("Excel import completed successfully");
-                  console.log(`Sync status: ${result.message}`);
-                  alert(`Imported ${clipboardData.length} rows successfully`);
-                },
-              )
-              .catch(
-                /**
-                 * Error handler for sync failures
-                 * @param {Error} error - The sync error
-                 */
-                (error) => {
-                  console.error("Sync error:", error);
-                  // Still show success since the import itself worked
-                  alert(
-                    `Imported ${clipboardData.length} rows successfully, but sync had issues`,
-                  );
-                },
-              );
+            // ExcelUtils already pushed the imported records through the sync
+            // engine, whose result shows up in the sync status
           },
         )
         .catch(
@@ -188,7 +282,7 @@ document.addEventListener("DOMContentLoaded", function () {
            * @param {Error} error - The import error
            */
           (error) => {
-            alert("Failed to import Excel data: " + error.message);
+            alert("Failed to import data: " + error.message);
           },
         );
     }
@@ -196,6 +290,16 @@ document.addEventListener("DOMContentLoaded", function () {
     // Add click event to import button
     importButton.addEventListener("click", handleImportFromExcel);
 
+    /**
+     * Tells how many sheets an import saved to the library
+     * @param {number} savedSheets - Number of sheets saved, 0 hides the status
+     */
+    function showImportStatus(savedSheets) {
+      const statusContainer = document.getElementById("import-status");
+      statusContainer.textContent = `Saved ${savedSheets} sheet(s) to the library`;
+      statusContainer.hidden = savedSheets === 0;
+    }
+
     /**
      * Renders the clipboard data table in the UI
      * Handles empty states, table headers, and "Show More" functionality
@@ -205,6 +309,17 @@ document.addEventListener("DOMContentLoaded", function () {
       // Store the current data for export functionality
       currentClipboardData = records;
 
+      // Keep the editor open; changes from other tabs are overwritten on commit
+      if (recordEditor) {
+        recordEditor.showNotice(
+          "The clipboard changed while you were editing. Committing replaces it with your edits.",
+        );
+        return;
+      }
+
+      // Keep the mapping preview in step with the clipboard
+      renderMappingPreview();
+
       if (!records || records.length === 0) {
         tableContainer.innerHTML = "<p>No clipboard records found</p>";
         return;
@@ -305,6 +420,9 @@ document.addEventListener("DOMContentLoaded", function () {
 
       tableContainer.innerHTML = tableHTML;
 
+      // Flag the columns that are masked when the data leaves its domain
+      markMaskedColumns(records);
+
       // Add event listener to the Show More button
       if (needsShowMore) {
         document.getElementById("show-more-btn").addEventListener(
@@ -343,26 +461,25 @@ document.addEventListener("DOMContentLoaded", function () {
 
     /**
      * Checks for clipboard data updates in extension storage
-     * Updates UI and syncs with other tabs when changes are detected
+     * Updates UI when changes are detected
      */
     function checkLocalStorage() {
-      // Skip checking if a sync operation is in progress
+      // Defer checking until the running sync operation completes
       if (syncInProgress) {
-        console.log("Sync in progress, skipping storage check");
+        console.log("Sync in progress, deferring storage check");
+        storageCheckPending = true;
         return;
       }
 
-      chrome.storage.local.get(
-        ["IFS-Aurena-CopyPasteRecordStorage", "TcclClipboardMetadata"],
+      SyncProtocol.send(SyncProtocol.TYPES.PULL).then(
         /**
-         * Callback after retrieving clipboard data from storage
-         * @param {Object} result - Storage items retrieved
-         * @param {string} [result.IFS-Aurena-CopyPasteRecordStorage] - Clipboard data JSON string
-         * @param {string} [result.TcclClipboardMetadata] - Metadata JSON string
+         * Callback after pulling the clipboard from the sync engine
+         * @param {Object} result - Pull result of the sync engine
+         * @param {string|null} result.records - Clipboard data JSON string
+         * @param {string|null} result.metadata - Metadata JSON string
          */
         function (result) {
-          const records = result["IFS-Aurena-CopyPasteRecordStorage"];
-          const metadata = result["TcclClipboardMetadata"];
+          const records = result.records;
 
           if (records) {
             try {
@@ -379,14 +496,9 @@ document.addEventListener("DOMContentLoaded", function () {
                 // Store the current data for export functionality
                 currentClipboardData = parsedRecords;
 
-                // Update UI
+                // Update UI (copies are synced by the service worker as
+                // soon as the page hook reports them)
                 renderTable(parsedRecords);
-
-                // Sync using background tab approach instead of direct sync
-                if (!metadata) {
-                  console.log("what is going on ");
-                }
-                syncViaBackgroundTab(records, metadata);
               }
             } catch (e) {
               console.error("Error parsing records:", e);
@@ -404,81 +516,618 @@ document.addEventListener("DOMContentLoaded", function () {
             historyManager.initHistory();
           }
         },
+      ).catch((error) => console.error("Failed to pull the clipboard:", error));
+    }
+
+    /**
+     * Gets the hostname of the active tab, which is the source of side panel
+     * operations and decides which environment group they reach
+     * @returns {Promise<string|null>} Hostname, or null for non-web tabs
+     */
+    function getActiveTabHostname() {
+      return getActiveTabUrl().then((url) => (url ? new URL(url).hostname : null));
+    }
+
+    /**
+     * Gets the URL of the active tab when it may change the clipboard: it
+     * must be trusted and not denied, as the engine refuses other sources
+     * @returns {Promise<string|null>} URL, or null when the panel is read-only
+     */
+    async function getTrustedSourceUrl() {
+      const [url, settings] = await Promise.all([getActiveTabUrl(), DomainSettings.load()]);
+      if (
+        !url ||
+        !DomainSettings.findTrustedDomain(url, settings.allowedDomains) ||
+        DomainSettings.isDenied(url, settings)
+      ) {
+        return null;
+      }
+      return url;
+    }
+
+    /**
+     * Gets the URL of the active tab, which picks the right trusted domain
+     * rule when rules differ only by scheme or port
+     * @returns {Promise<string|null>} URL, or null for non-web pages
+     */
+    function getActiveTabUrl() {
+      return new Promise((resolve) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+          const tab = tabs && tabs[0];
+          resolve(tab && tab.url && /^https?:/.test(tab.url) ? tab.url : null);
+        });
+      });
+    }
+
+    /**
+     * Builds a chip showing a domain's label and environment type in its colour
+     * @param {Object} environment - Result of DomainSettings.getEnvironment()
+     * @returns {string} HTML for the chip
+     */
+    function environmentChipHtml(environment) {
+      const color = /^#[0-9a-f]{6}$/i.test(environment.color || "") ? environment.color : "#607d8b";
+      return `<span class="env-chip" style="background-color: ${color}" title="${DialogUtils.escapeHtml(environment.domain)}">${DialogUtils.escapeHtml(environment.label)}${environment.envType ? ` <b>${environment.envType}</b>` : ""}</span>`;
+    }
+
+    /**
+     * Shows the environment of the active tab in the top bar, so it is
+     * always clear which system the side panel is working against
+     * The actions that change the clipboard are disabled unless the active
+     * tab is trusted.
+     */
+    function updateActiveEnvironment() {
+      Promise.all([getActiveTabUrl(), DomainSettings.load(), getTrustedSourceUrl()]).then(
+        ([url, settings, trustedUrl]) => {
+          const environment = DomainSettings.getEnvironment(url, settings);
+          const activeEnvironment = document.getElementById("active-environment");
+          activeEnvironment.innerHTML = environment ? environmentChipHtml(environment) : "";
+          if (!trustedUrl) {
+            activeEnvironment.innerHTML = `<span class="read-only-note" title="${DialogUtils.escapeHtml(READ_ONLY_MESSAGE)}">Read-only</span>`;
+          }
+
+          clipboardWritable = Boolean(trustedUrl);
+          [clearButton, importButton].forEach((button) => {
+            button.disabled = !clipboardWritable;
+          });
+          editButton.disabled = !clipboardWritable || Boolean(recordEditor);
+          historyManager.setWritable(clipboardWritable);
+        },
+      );
+    }
+
+    /**
+     * Gets the hostname the current clipboard data came from, falling back
+     * to the active tab when the source is unknown
+     * @returns {Promise<string|null>} Hostname, or null if unknown
+     */
+    function getClipboardSourceHostname() {
+      return new Promise((resolve) => {
+        chrome.storage.local.get("clipboardSource", (result) => {
+          const source = result.clipboardSource;
+          if (source && source.domain) {
+            resolve(source.domain);
+          } else {
+            getActiveTabHostname().then(resolve);
+          }
+        });
+      });
+    }
+
+    /**
+     * Highlights the cells of the clipboard table that the source domain's
+     * masking policies redact, since synced and exported values differ
+     * @param {Array<Object>} records - The rendered clipboard records
+     */
+    async function markMaskedColumns(records) {
+      const [policies, settings, sourceHostname] = await Promise.all([
+        MaskingPolicies.load(),
+        DomainSettings.load(),
+        getClipboardSourceHostname(),
+      ]);
+
+      // The table was re-rendered in the meantime
+      if (records !== currentClipboardData) return;
+
+      const sourceDomain = DomainSettings.findTrustedDomain(
+        sourceHostname,
+        settings.allowedDomains,
       );
+      const domainPolicies = MaskingPolicies.getPoliciesForDomain(policies, sourceDomain);
+      if (domainPolicies.length === 0) return;
+
+      // Rows are in document order: the header row, then one row per record
+      const rows = tableContainer.querySelectorAll("tr");
+      const headers = Object.keys(records[0]);
+      const maskedHeaders = new Map();
+
+      records.forEach((record, rowIndex) => {
+        const row = rows[rowIndex + 1];
+        if (!row) return;
+
+        headers.forEach((header, columnIndex) => {
+          const policy = MaskingPolicies.findPolicy(domainPolicies, header, record);
+          if (!policy) return;
+
+          const label = MaskingPolicies.ACTIONS[policy.action];
+          const cell = row.children[columnIndex];
+          cell.classList.add("masked-cell");
+          cell.title = `${label} when the data leaves ${sourceDomain || "this domain"}`;
+          maskedHeaders.set(columnIndex, label);
+        });
+      });
+
+      if (maskedHeaders.size === 0) return;
+
+      maskedHeaders.forEach((label, columnIndex) => {
+        const headerCell = rows[0].children[columnIndex];
+        headerCell.classList.add("masked-header");
+        headerCell.title = `Masked (${label.toLowerCase()}) when synced or exported`;
+      });
+
+      tableContainer.querySelectorAll(".masked-note").forEach((oldNote) => oldNote.remove());
+      const note = document.createElement("p");
+      note.className = "masked-note";
+      note.textContent = `Highlighted values are masked when the data leaves ${sourceDomain || "this domain"}; synced and exported values differ.`;
+      tableContainer.prepend(note);
     }
 
     /**
-     * Syncs clipboard data to all trusted domains using background tabs
-     * Creates temporary tabs for each trusted domain to update their localStorage
+     * Pushes clipboard data to the trusted tabs through the sync engine in
+     * the service worker
+     * Only domains in the active tab's environment group are synced, and
+     * protected domains only once the user confirms them.
      * @param {string} records - JSON string of clipboard records
-     * @param {string} metadata - JSON string of clipboard metadata
+     * @param {string|null} metadata - JSON string of clipboard metadata
+     * @param {Object} [options={}] - Push options
+     * @param {string|null} [options.sourceDomain] - Hostname the data came from, the active tab's by default
+     * @param {string|null} [options.sourceUrl] - URL the data came from
+     * @param {Array<string>} [options.targetDomains] - Trusted domains to limit the push to
+     * @param {string|null} [options.historyId] - History entry that produced the records
+     * @returns {Promise<Object>} The engine's push result
      */
-    function syncViaBackgroundTab(records, metadata) {
+    async function pushClipboard(records, metadata, options = {}) {
       // Set the flag to prevent polling
       syncInProgress = true;
 
-      // Use the shared sync function with background tabs
-      ClipboardSync.syncClipboardToTrustedDomains(records, metadata, {
-        useBackgroundTabs: true,
-        onComplete: function(results) {
-          // Reset the flag when all operations are done
-          console.log("Sync operations completed:", results);
-          syncInProgress = false;
+      const sourceUrl = options.sourceDomain !== undefined ? options.sourceUrl || null : await getActiveTabUrl();
+      const payload = {
+        records: records,
+        metadata: metadata,
+        sourceDomain:
+          options.sourceDomain !== undefined ? options.sourceDomain : sourceUrl && new URL(sourceUrl).hostname,
+        sourceUrl: sourceUrl,
+        targetDomains: options.targetDomains,
+        historyId: options.historyId || null,
+        confirmProtected: true,
+      };
+
+      let result;
+      try {
+        result = await SyncProtocol.send(SyncProtocol.TYPES.PUSH, payload);
+        if (result.needsConfirmation) {
+          payload.approvedProtected = await confirmProtectedTargets(result.protectedTargets);
+          result = await SyncProtocol.send(SyncProtocol.TYPES.PUSH, payload);
+        }
+        console.log("Sync operations completed:", result);
+      } catch (error) {
+        console.error("Sync error:", error);
+        result = SyncProtocol.createResult(SyncProtocol.TYPES.PUSH);
+        result.message = `Sync failed: ${error.message}`;
+      }
+
+      // Reset the flag when all operations are done
+      syncInProgress = false;
+      showSyncStatus(result);
+
+      // Pick up any change that arrived while syncing
+      if (storageCheckPending) {
+        storageCheckPending = false;
+        checkLocalStorage();
+      }
+      return result;
+    }
+
+    /**
+     * Asks which protected domains a write may go to, listing their tabs;
+     * domains without an open tab would receive it on their next page load
+     * together with the row count and luname being written
+     * @param {Array<Object>} targets - Protected targets of the push result
+     * @returns {Promise<Array<string>>} The confirmed domains; declined ones are skipped
+     */
+    async function confirmProtectedTargets(targets) {
+      const settings = await DomainSettings.load();
+      const first = targets[0];
+      const summary = first.rowCount === 0
+        ? "This clears the clipboard"
+        : `This writes ${first.rowCount} row(s)${first.luname ? ` of ${DialogUtils.escapeHtml(first.luname)}` : ""}`;
+
+      let html = `<p class="protected-summary">${summary} into protected domains. Select the ones to write to; the others are skipped.</p>`;
+      targets.forEach((target) => {
+        const environment = DomainSettings.getEnvironment(target.domain, settings);
+        html += `
+          <label class="protected-target">
+            <input type="checkbox" name="protected-domain" value="${DialogUtils.escapeHtml(target.domain)}">
+            ${environment ? environmentChipHtml(environment) : DialogUtils.escapeHtml(target.domain)}
+            <ul class="protected-tabs">
+              ${target.tabs.length > 0
+                ? target.tabs.map((tab) => `<li title="${DialogUtils.escapeHtml(tab.url)}">${DialogUtils.escapeHtml(tab.title || tab.url)}</li>`).join("")
+                : "<li>No open tab, written on the next page load</li>"}
+            </ul>
+          </label>
+        `;
+      });
+
+      const approved = await DialogUtils.showContent({
+        title: "Write to protected domains?",
+        html: html,
+        confirmLabel: "Write to Selected",
+        onSubmit: (form) =>
+          Array.from(form.querySelectorAll('input[name="protected-domain"]:checked')).map(
+            (checkbox) => checkbox.value,
+          ),
+      });
+      return approved || [];
+    }
+
+    /**
+     * Shows which environments the last sync reached, by label and colour
+     * @param {Object} result - Push result of the sync engine
+     */
+    function showSyncStatus(result) {
+      const statusContainer = document.getElementById("sync-status");
+
+      /**
+       * Lists the distinct domains of the tabs with a given outcome
+       * @param {string} status - One of SyncProtocol.TAB_STATUS
+       * @returns {Array<string>} Domains
+       */
+      const domainsWithStatus = (status) =>
+        Array.from(new Set(result.tabs.filter((tab) => tab.status === status).map((tab) => tab.domain)));
+
+      DomainSettings.load().then((settings) => {
+        const reached = domainsWithStatus(SyncProtocol.TAB_STATUS.WRITTEN)
+          .map((domain) => DomainSettings.getEnvironment(domain, settings))
+          .filter(Boolean);
+        const failed = domainsWithStatus(SyncProtocol.TAB_STATUS.FAILED);
+        const skipped = domainsWithStatus(SyncProtocol.TAB_STATUS.SKIPPED);
+        const queued = domainsWithStatus(SyncProtocol.TAB_STATUS.QUEUED)
+          .map((domain) => DomainSettings.getEnvironment(domain, settings))
+          .filter(Boolean);
+
+        let statusHtml = reached.length > 0
+          ? `Synced to ${reached.map(environmentChipHtml).join(" ")} (${result.verifiedTabs} tab(s) verified)`
+          : DialogUtils.escapeHtml(result.message || "Nothing was synced");
+        if (queued.length > 0) {
+          statusHtml += ` <span class="sync-status-queued">Queued for next page load: ${queued
+            .map(environmentChipHtml)
+            .join(" ")}</span>`;
+        }
+        if (failed.length > 0) {
+          statusHtml += ` <span class="sync-status-failed">Failed: ${failed
+            .map((domain) => DialogUtils.escapeHtml(DomainSettings.describe(domain, settings)))
+            .join(", ")}</span>`;
         }
+        if (skipped.length > 0) {
+          statusHtml += ` <span class="sync-status-skipped">Skipped (protected): ${skipped
+            .map((domain) => DialogUtils.escapeHtml(DomainSettings.describe(domain, settings)))
+            .join(", ")}</span>`;
+        }
+
+        statusContainer.innerHTML = statusHtml;
+        statusContainer.hidden = false;
       });
     }
 
     /**
-     * Makes the background tab sync function available globally
-     * Used by other modules like HistoryManager
+     * Shows how many writes wait in the outbox for a domain's next page
+     * load, and how many of them already failed
+     */
+    async function updateOutboxStatus() {
+      const [outbox, settings] = await Promise.all([SyncOutbox.load(), DomainSettings.load()]);
+      const outboxContainer = document.getElementById("sync-outbox");
+      const counts = SyncOutbox.summarize(outbox);
+
+      outboxContainer.hidden = counts.pending === 0;
+      outboxContainer.textContent = `Outbox: ${counts.pending} pending, ${counts.failed} failed`;
+      outboxContainer.title = Object.entries(outbox)
+        .map(
+          ([domain, entry]) =>
+            `${DomainSettings.describe(domain, settings)} since ${new Date(entry.queuedAt).toLocaleString()}` +
+            (entry.lastError ? ` (${entry.lastError})` : ""),
+        )
+        .join("\n");
+    }
+
+    /**
+     * Formats a status timestamp for the dashboard
+     * @param {string|null} timestamp - ISO timestamp
+     * @returns {string} Local date and time, or "never"
+     */
+    function formatSyncTime(timestamp) {
+      return timestamp ? new Date(timestamp).toLocaleString() : "never";
+    }
+
+    /**
+     * Describes the last write to a domain or tab for the dashboard
+     * @param {Object} entry - Domain or tab status of the sync engine
+     * @returns {string} HTML of the status line
+     */
+    function syncDetailsHtml(entry) {
+      let detailsHtml = `Last success: ${DialogUtils.escapeHtml(formatSyncTime(entry.lastSuccessAt))}`;
+      if (entry.lastSuccessAt) {
+        detailsHtml += ` &middot; ${entry.rowCount} row(s) &middot; <code title="Payload hash">${DialogUtils.escapeHtml(entry.payloadHash || "")}</code>`;
+      }
+      if (entry.method) {
+        detailsHtml += ` &middot; ${DialogUtils.escapeHtml(entry.method)}`;
+      }
+      if (entry.lastError) {
+        detailsHtml += ` <span class="sync-status-failed">Error: ${DialogUtils.escapeHtml(entry.lastError)}</span>`;
+      }
+      return detailsHtml;
+    }
+
+    /**
+     * Loads and displays the sync status of each trusted domain and its
+     * open tabs, with a button to resend the clipboard to a domain
+     */
+    async function loadSyncDashboard() {
+      const dashboardContainer = document.getElementById("sync-dashboard-container");
+
+      let status;
+      let settings;
+      try {
+        [status, settings] = await Promise.all([
+          SyncProtocol.send(SyncProtocol.TYPES.STATUS),
+          DomainSettings.load(),
+        ]);
+      } catch (error) {
+        dashboardContainer.innerHTML = `<p>Unable to load the sync status: ${DialogUtils.escapeHtml(error.message)}</p>`;
+        return;
+      }
+
+      if (status.domains.length === 0) {
+        dashboardContainer.innerHTML = "<p>No trusted domains yet.</p>";
+        return;
+      }
+
+      let dashboardHtml = status.inProgress ? '<p class="sync-status">A sync is in progress...</p>' : "";
+      dashboardHtml += '<ul class="sync-domain-list">';
+      status.domains.forEach((domainStatus) => {
+        const environment = DomainSettings.getEnvironment(domainStatus.domain, settings);
+        const queued = domainStatus.queued
+          ? `<div class="sync-outbox">Queued since ${DialogUtils.escapeHtml(formatSyncTime(domainStatus.queued.queuedAt))} for the next page load</div>`
+          : "";
+        const tabsHtml = domainStatus.tabs
+          .map(
+            (tab) => `
+              <li title="${DialogUtils.escapeHtml(tab.url)}">
+                <span class="sync-tab-title">${DialogUtils.escapeHtml(tab.title || tab.url)}</span>
+                <div class="sync-details">${syncDetailsHtml(tab)}</div>
+              </li>
+            `,
+          )
+          .join("");
+
+        dashboardHtml += `
+          <li class="sync-domain">
+            <div class="sync-domain-header">
+              ${environment ? environmentChipHtml(environment) : DialogUtils.escapeHtml(domainStatus.domain)}
+              <button class="group-add-btn sync-resend" data-domain="${DialogUtils.escapeHtml(domainStatus.domain)}" title="Write the current clipboard to this domain again">Resend</button>
+            </div>
+            <div class="sync-details">${syncDetailsHtml(domainStatus)}</div>
+            ${queued}
+            ${tabsHtml ? `<ul class="sync-domain-tabs">${tabsHtml}</ul>` : '<div class="sync-details">No open tab</div>'}
+          </li>
+        `;
+      });
+      dashboardHtml += "</ul>";
+      dashboardContainer.innerHTML = dashboardHtml;
+
+      document.querySelectorAll(".sync-resend").forEach((button) => {
+        button.addEventListener(
+          "click",
+          /**
+           * Handle click on a resend button
+           * @listens click
+           */
+          function () {
+            resendClipboard(this.getAttribute("data-domain"));
+          },
+        );
+      });
+    }
+
+    /**
+     * Writes the stored clipboard to one trusted domain again, as it was
+     * synced from its source
+     * @param {string} domain - Trusted domain to resend to
+     * @returns {Promise<void>} Resolves when the push finished
+     */
+    async function resendClipboard(domain) {
+      try {
+        const clipboard = await SyncProtocol.send(SyncProtocol.TYPES.PULL);
+        if (!clipboard.records) {
+          alert("There is no clipboard data to resend.");
+          return;
+        }
+        await pushClipboard(clipboard.records, clipboard.metadata, {
+          sourceDomain: clipboard.sourceDomain,
+          sourceUrl: clipboard.source ? clipboard.source.url : null,
+          targetDomains: [domain],
+        });
+      } catch (error) {
+        alert("Failed to resend: " + error.message);
+      }
+    }
+
+    /**
+     * Makes the sync available to the other side panel modules, so that a
+     * restore or an import is recorded and pushed like any other change
+     * @param {Object} item - History entry details, see HistoryManager.addHistoryItem
      * @param {string} recordsStr - JSON string of clipboard records
-     * @param {string} metadata - JSON string of clipboard metadata
+     * @param {string|null} metadata - JSON string of clipboard metadata
+     * @returns {Promise<Object>} The engine's push result
      */
-    window.syncClipboardViaBackgroundTab = function (recordsStr, metadata) {
-      syncViaBackgroundTab(recordsStr, metadata);
+    window.recordAndPush = function (item, recordsStr, metadata) {
+      return recordAndPush(item, recordsStr, metadata);
     };
 
     /**
      * Loads and displays the list of trusted domains
-     * Renders the domains with remove buttons
+     * Renders the environment groups and the domains with group and role
+     * pickers and remove buttons
      */
     function loadTrustedDomains() {
       const domainsContainer = document.getElementById("domains-container");
 
-      chrome.storage.local.get(
-        "allowedDomains",
+      DomainSettings.load().then(
         /**
-         * Callback after retrieving allowed domains
-         * @param {Object} result - Storage result containing allowedDomains
-         * @param {Array<string>} [result.allowedDomains] - List of allowed domains
+         * Callback after retrieving allowed domains and their settings
+         * @param {Object} settings - Result of DomainSettings.load()
          */
-        function (result) {
-          const allowedDomains = result.allowedDomains || [];
-
-          if (allowedDomains.length === 0) {
-            domainsContainer.innerHTML = "<p>No trusted domains added yet.</p>";
-            return;
-          }
+        function (settings) {
+          const allowedDomains = settings.allowedDomains;
 
-          let domainsHtml = '<ul class="domains-list">';
-          allowedDomains.forEach(
+          let domainsHtml = '<div class="group-list">';
+          settings.environmentGroups.forEach(
             /**
-             * Process each domain for display
-             * @param {string} domain - Domain name
+             * Process each environment group for display
+             * @param {string} group - Group name
              */
-            (domain) => {
+            (group) => {
+              const removable = group !== DomainSettings.DEFAULT_GROUP;
               domainsHtml += `
-                <li class="domain-item">
-                  <span class="domain-name">${domain}</span>
-                  <button class="domain-remove" data-domain="${domain}">Remove</button>
-                </li>
+                <span class="group-chip">
+                  ${DialogUtils.escapeHtml(group)}
+                  ${removable ? `<button class="group-remove" data-group="${DialogUtils.escapeHtml(group)}" title="Remove group">&times;</button>` : ""}
+                </span>
               `;
             },
           );
-          domainsHtml += "</ul>";
+          domainsHtml += `
+            </div>
+            <div class="group-add">
+              <input type="text" id="new-group-name" placeholder="New environment group">
+              <button id="add-group" class="group-add-btn">Add Group</button>
+            </div>
+            <div class="group-add">
+              <input type="text" id="new-domain-rule" placeholder="Domain rule, e.g. *.example.com or https://host:8080">
+              <button id="add-domain-rule" class="group-add-btn">Add Rule</button>
+            </div>
+          `;
+
+          if (allowedDomains.length === 0) {
+            domainsHtml += "<p>No trusted domains added yet.</p>";
+          } else {
+            domainsHtml += '<ul class="domains-list">';
+            allowedDomains.forEach(
+              /**
+               * Process each domain for display
+               * @param {string} domain - Domain name
+               */
+              (domain) => {
+                const domainGroup = DomainSettings.getGroup(domain, settings);
+                const groupOptions = settings.environmentGroups
+                  .map(
+                    (group) =>
+                      `<option value="${DialogUtils.escapeHtml(group)}" ${group === domainGroup ? "selected" : ""}>${DialogUtils.escapeHtml(group)}</option>`,
+                  )
+                  .join("");
+
+                const domainRole = DomainSettings.getRole(domain, settings);
+                const roleOptions = Object.keys(DomainSettings.ROLES)
+                  .map(
+                    (role) =>
+                      `<option value="${role}" ${role === domainRole ? "selected" : ""}>${DomainSettings.ROLES[role]}</option>`,
+                  )
+                  .join("");
+
+                const environment = DomainSettings.getEnvironment(domain, settings);
+                const envOptions = ['<option value="">(no type)</option>']
+                  .concat(
+                    Object.keys(DomainSettings.ENV_TYPES).map(
+                      (envType) =>
+                        `<option value="${envType}" ${envType === environment.envType ? "selected" : ""}>${envType} - ${DomainSettings.ENV_TYPES[envType].label}</option>`,
+                    ),
+                  )
+                  .join("");
+                const label = (settings.domainSettings[domain] || {}).label || "";
+                // Rules are typed in by the user
+                const escapedDomain = DialogUtils.escapeHtml(domain);
+
+                domainsHtml += `
+                  <li class="domain-item">
+                    <span class="domain-name ${DomainMatcher.parseRule(domain) ? "" : "domain-invalid"}"
+                          title="${DomainMatcher.parseRule(domain) ? "" : "Not a valid rule; it matches nothing"}">${escapedDomain}</span>
+                    <select class="domain-group" data-domain="${escapedDomain}" title="Environment group">${groupOptions}</select>
+                    <select class="domain-role" data-domain="${escapedDomain}" title="Sync role">${roleOptions}</select>
+                    <button class="domain-deny" data-domain="${escapedDomain}" title="Deny and stop asking">Deny</button>
+                    <button class="domain-remove" data-domain="${escapedDomain}">Remove</button>
+                    <div class="domain-env">
+                      <input type="text" class="domain-label" data-domain="${escapedDomain}" value="${DialogUtils.escapeHtml(label)}" placeholder="Label" title="Friendly label">
+                      <select class="domain-env-type" data-domain="${escapedDomain}" title="Environment type">${envOptions}</select>
+                      <input type="color" class="domain-color" data-domain="${escapedDomain}" value="${DialogUtils.escapeHtml(environment.color || "#607d8b")}" title="Colour">
+                      <label class="domain-protected" title="Ask before writing clipboard data to this domain">
+                        <input type="checkbox" data-domain="${escapedDomain}" ${DomainSettings.isProtected(domain, settings) ? "checked" : ""}>
+                        Protected
+                      </label>
+                    </div>
+                  </li>
+                `;
+              },
+            );
+            domainsHtml += "</ul>";
+          }
+
+          // Denied domains are never prompted for; either decision can be reversed
+          domainsHtml += '<div class="domains-subtitle">Denied Domains</div>';
+          if (settings.deniedDomains.length === 0) {
+            domainsHtml += '<p class="domains-empty">No denied domains.</p>';
+          } else {
+            domainsHtml += '<ul class="domains-list">';
+            settings.deniedDomains.forEach((domain) => {
+              domainsHtml += `
+                <li class="domain-item domain-denied">
+                  <span class="domain-name">${DialogUtils.escapeHtml(domain)}</span>
+                  <button class="domain-allow" data-domain="${DialogUtils.escapeHtml(domain)}">Allow</button>
+                  <button class="domain-forget" data-domain="${DialogUtils.escapeHtml(domain)}" title="Ask again on the next visit">Forget</button>
+                </li>
+              `;
+            });
+            domainsHtml += "</ul>";
+          }
+
+          domainsHtml += `
+            <div class="domains-subtitle">Test a URL</div>
+            <div class="group-add">
+              <input type="text" id="test-url" placeholder="https://host.example.com/main/ifsapplications">
+              <button id="test-url-button" class="group-add-btn">Test</button>
+            </div>
+            <p id="test-url-result" class="test-url-result"></p>
+          `;
 
           domainsContainer.innerHTML = domainsHtml;
 
+          // Add event listeners for deny, allow and forget buttons
+          document.querySelectorAll(".domain-deny").forEach((button) => {
+            button.addEventListener("click", function () {
+              const domain = this.getAttribute("data-domain");
+              if (confirm(`Deny ${domain}? It loses its trust and settings and is not prompted for again.`)) {
+                DomainSettings.denyDomain(domain).then(loadTrustedDomains);
+              }
+            });
+          });
+          document.querySelectorAll(".domain-allow").forEach((button) => {
+            button.addEventListener("click", function () {
+              DomainSettings.allowDomain(this.getAttribute("data-domain")).then(loadTrustedDomains);
+            });
+          });
+          document.querySelectorAll(".domain-forget").forEach((button) => {
+            button.addEventListener("click", function () {
+              DomainSettings.forgetDenied(this.getAttribute("data-domain")).then(loadTrustedDomains);
+            });
+          });
+
           // Add event listeners for remove buttons
           document.querySelectorAll(".domain-remove").forEach(
             /**
@@ -500,6 +1149,126 @@ document.addEventListener("DOMContentLoaded", function () {
               );
             },
           );
+
+          // Add event listeners for group pickers
+          document.querySelectorAll(".domain-group").forEach(
+            /**
+             * Add change handler to each group picker
+             * @param {HTMLSelectElement} select - Group select element
+             */
+            (select) => {
+              select.addEventListener("change", function () {
+                DomainSettings.updateDomain(this.getAttribute("data-domain"), {
+                  group: this.value,
+                }).then(loadTrustedDomains);
+              });
+            },
+          );
+
+          // Add event listeners for role pickers
+          document.querySelectorAll(".domain-role").forEach(
+            /**
+             * Add change handler to each role picker
+             * @param {HTMLSelectElement} select - Role select element
+             */
+            (select) => {
+              select.addEventListener("change", function () {
+                DomainSettings.updateDomain(this.getAttribute("data-domain"), {
+                  role: this.value,
+                }).then(loadTrustedDomains);
+              });
+            },
+          );
+
+          // Add event listeners for the environment label, type, colour and protection
+          document.querySelectorAll(".domain-label").forEach((input) => {
+            input.addEventListener("change", function () {
+              DomainSettings.updateDomain(this.getAttribute("data-domain"), {
+                label: this.value.trim(),
+              }).then(loadTrustedDomains);
+            });
+          });
+          document.querySelectorAll(".domain-env-type").forEach((select) => {
+            select.addEventListener("change", function () {
+              // A new type brings its own default colour
+              DomainSettings.updateDomain(this.getAttribute("data-domain"), {
+                envType: this.value,
+                color: "",
+              }).then(loadTrustedDomains);
+            });
+          });
+          document.querySelectorAll(".domain-color").forEach((input) => {
+            input.addEventListener("change", function () {
+              DomainSettings.updateDomain(this.getAttribute("data-domain"), {
+                color: this.value,
+              }).then(loadTrustedDomains);
+            });
+          });
+
+          document.querySelectorAll(".domain-protected input").forEach((checkbox) => {
+            checkbox.addEventListener("change", function () {
+              DomainSettings.updateDomain(this.getAttribute("data-domain"), {
+                protected: this.checked,
+              }).then(loadTrustedDomains);
+            });
+          });
+
+          // Add event listeners for group remove buttons
+          document.querySelectorAll(".group-remove").forEach((button) => {
+            button.addEventListener("click", function () {
+              const group = this.getAttribute("data-group");
+              if (
+                confirm(
+                  `Remove group "${group}"? Its domains move to the ${DomainSettings.DEFAULT_GROUP} group.`,
+                )
+              ) {
+                DomainSettings.removeGroup(group).then(loadTrustedDomains);
+              }
+            });
+          });
+
+          document.getElementById("add-domain-rule").addEventListener("click", function () {
+            const rule = document.getElementById("new-domain-rule").value.trim().toLowerCase();
+            if (!DomainMatcher.parseRule(rule)) {
+              alert("Enter a host such as ifs.example.com, a wildcard such as *.example.com, optionally with http:// or https:// and a port");
+              return;
+            }
+            DomainSettings.allowDomain(rule).then(loadTrustedDomains);
+          });
+
+          document.getElementById("test-url-button").addEventListener("click", function () {
+            const url = document.getElementById("test-url").value.trim();
+            const result = document.getElementById("test-url-result");
+            const target = DomainMatcher.parseTarget(url);
+            if (!target || !target.host) {
+              result.textContent = "Enter a URL or hostname to test.";
+              return;
+            }
+
+            const rule = DomainMatcher.match(url, allowedDomains);
+            const deniedRule = DomainMatcher.match(target.host, settings.deniedDomains);
+            if (rule) {
+              result.innerHTML = `Trusted by rule <b>${DialogUtils.escapeHtml(rule)}</b> ${environmentChipHtml(DomainSettings.getEnvironment(url, settings))}`;
+            } else if (deniedRule) {
+              result.innerHTML = `Denied as <b>${DialogUtils.escapeHtml(deniedRule)}</b>`;
+            } else {
+              result.textContent = "No rule matches; the extension asks for permission on this site.";
+            }
+          });
+
+          document.getElementById("add-group").addEventListener(
+            "click",
+            /**
+             * Handle click on add group button
+             * @listens click
+             */
+            function () {
+              const input = document.getElementById("new-group-name");
+              DomainSettings.addGroup(input.value)
+                .then(loadTrustedDomains)
+                .catch((error) => alert(error.message));
+            },
+          );
         },
       );
     }
@@ -535,20 +1304,377 @@ document.addEventListener("DOMContentLoaded", function () {
              */
             function () {
               console.log("Domain removed from trusted list:", domain);
-              loadTrustedDomains(); // Reload the list
+              DomainSettings.removeDomain(domain).then(loadTrustedDomains); // Reload the list
             },
           );
         },
       );
     }
 
+    /**
+     * Loads and displays the masking policies with the form to add one
+     */
+    function loadMaskingPolicies() {
+      const policiesContainer = document.getElementById("masking-policies-container");
+
+      Promise.all([MaskingPolicies.load(), DomainSettings.load()]).then(
+        /**
+         * Callback after retrieving policies and trusted domains
+         * @param {Array} results - Policies and result of DomainSettings.load()
+         */
+        function ([policies, settings]) {
+          const domainLabel = (domain) =>
+            domain === MaskingPolicies.ANY_DOMAIN ? "Any domain" : DialogUtils.escapeHtml(domain);
+          const domainOptions = [MaskingPolicies.ANY_DOMAIN]
+            .concat(settings.allowedDomains)
+            .map((domain) => `<option value="${DialogUtils.escapeHtml(domain)}">${domainLabel(domain)}</option>`)
+            .join("");
+          const actionOptions = Object.keys(MaskingPolicies.ACTIONS)
+            .map((action) => `<option value="${action}">${MaskingPolicies.ACTIONS[action]}</option>`)
+            .join("");
+
+          let policiesHtml = "";
+          if (policies.length === 0) {
+            policiesHtml += "<p>No masking policies defined yet.</p>";
+          } else {
+            policiesHtml += '<ul class="rules-list">';
+            policies.forEach(
+              /**
+               * Process each policy for display
+               * @param {Object} policy - Masking policy
+               */
+              (policy) => {
+                const fixedValue =
+                  policy.action === "fixed" ? ` "${DialogUtils.escapeHtml(policy.value)}"` : "";
+                const luname = policy.luname ? ` (${DialogUtils.escapeHtml(policy.luname)})` : "";
+                policiesHtml += `
+                  <li class="rule-item ${policy.enabled === false ? "rule-disabled" : ""}">
+                    <input type="checkbox" class="policy-toggle" data-policy="${policy.id}" ${policy.enabled === false ? "" : "checked"} title="Enabled">
+                    <span class="rule-text">
+                      ${domainLabel(policy.domain)}: <strong>${DialogUtils.escapeHtml(policy.columnPattern)}</strong>${luname}
+                      &rarr; ${MaskingPolicies.ACTIONS[policy.action]}${fixedValue}
+                    </span>
+                    <button class="domain-remove policy-remove" data-policy="${policy.id}">Remove</button>
+                  </li>
+                `;
+              },
+            );
+            policiesHtml += "</ul>";
+          }
+
+          policiesHtml += `
+            <div class="rule-form">
+              <select id="policy-domain" title="Source domain">${domainOptions}</select>
+              <input type="text" id="policy-column" placeholder="Column pattern (e.g. *email*)">
+              <input type="text" id="policy-luname" placeholder="Luname (optional)">
+              <select id="policy-action" title="Masking action">${actionOptions}</select>
+              <input type="text" id="policy-value" placeholder="Fixed value">
+              <button id="add-policy" class="group-add-btn">Add Policy</button>
+            </div>
+          `;
+
+          policiesContainer.innerHTML = policiesHtml;
+
+          document.querySelectorAll(".policy-remove").forEach((button) => {
+            button.addEventListener("click", function () {
+              MaskingPolicies.remove(this.getAttribute("data-policy"));
+            });
+          });
+
+          document.querySelectorAll(".policy-toggle").forEach((checkbox) => {
+            checkbox.addEventListener("change", function () {
+              MaskingPolicies.setEnabled(this.getAttribute("data-policy"), this.checked);
+            });
+          });
+
+          document.getElementById("add-policy").addEventListener(
+            "click",
+            /**
+             * Handle click on add policy button
+             * @listens click
+             */
+            function () {
+              MaskingPolicies.add({
+                domain: document.getElementById("policy-domain").value,
+                columnPattern: document.getElementById("policy-column").value.trim(),
+                luname: document.getElementById("policy-luname").value.trim(),
+                action: document.getElementById("policy-action").value,
+                value: document.getElementById("policy-value").value,
+              }).catch((error) => alert("Invalid policy: " + error.message));
+            },
+          );
+        },
+      );
+    }
+
+    /**
+     * Loads and displays the value mapping rules with the form to add one
+     */
+    function loadMappingRules() {
+      const rulesContainer = document.getElementById("mapping-rules-container");
+
+      Promise.all([MappingRules.load(), DomainSettings.load()]).then(
+        /**
+         * Callback after retrieving rules and trusted domains
+         * @param {Array} results - Rules and result of DomainSettings.load()
+         */
+        function ([rules, settings]) {
+          const domainLabel = (domain) =>
+            domain === MappingRules.ANY_DOMAIN ? "Any domain" : DialogUtils.escapeHtml(domain);
+          const domainOptions = [MappingRules.ANY_DOMAIN]
+            .concat(settings.allowedDomains)
+            .map((domain) => `<option value="${DialogUtils.escapeHtml(domain)}">${domainLabel(domain)}</option>`)
+            .join("");
+          const typeOptions = Object.keys(MappingRules.TYPES)
+            .map((type) => `<option value="${type}">${MappingRules.TYPES[type]}</option>`)
+            .join("");
+          const columnOptions = (currentClipboardData && currentClipboardData.length > 0
+            ? Object.keys(currentClipboardData[0])
+            : []
+          )
+            .map((column) => `<option value="${DialogUtils.escapeHtml(column)}"></option>`)
+            .join("");
+
+          let rulesHtml = "";
+          if (rules.length === 0) {
+            rulesHtml += "<p>No mapping rules defined yet.</p>";
+          } else {
+            rulesHtml += '<ul class="rules-list">';
+            rules.forEach(
+              /**
+               * Process each rule for display
+               * @param {Object} rule - Mapping rule
+               */
+              (rule) => {
+                const operator = rule.type === "regex" ? "~" : "=";
+                rulesHtml += `
+                  <li class="rule-item ${rule.enabled === false ? "rule-disabled" : ""}">
+                    <input type="checkbox" class="rule-toggle" data-rule="${rule.id}" ${rule.enabled === false ? "" : "checked"} title="Enabled">
+                    <span class="rule-text">
+                      ${domainLabel(rule.sourceDomain)} &rarr; ${domainLabel(rule.targetDomain)}:
+                      <strong>${DialogUtils.escapeHtml(rule.column)}</strong> ${operator} "${DialogUtils.escapeHtml(rule.match)}" &rarr; "${DialogUtils.escapeHtml(rule.replace)}"
+                    </span>
+                    <button class="domain-remove rule-remove" data-rule="${rule.id}">Remove</button>
+                  </li>
+                `;
+              },
+            );
+            rulesHtml += "</ul>";
+          }
+
+          rulesHtml += `
+            <div class="rule-form">
+              <select id="rule-source" title="Source domain">${domainOptions}</select>
+              <select id="rule-target" title="Target domain">${domainOptions}</select>
+              <input type="text" id="rule-column" list="rule-columns" placeholder="Column (e.g. Company)">
+              <datalist id="rule-columns">${columnOptions}</datalist>
+              <select id="rule-type" title="Rule type">${typeOptions}</select>
+              <input type="text" id="rule-match" placeholder="Value or regex">
+              <input type="text" id="rule-replace" placeholder="Replacement">
+              <button id="add-rule" class="group-add-btn">Add Rule</button>
+            </div>
+          `;
+
+          rulesContainer.innerHTML = rulesHtml;
+
+          document.querySelectorAll(".rule-remove").forEach((button) => {
+            button.addEventListener("click", function () {
+              MappingRules.remove(this.getAttribute("data-rule"));
+            });
+          });
+
+          document.querySelectorAll(".rule-toggle").forEach((checkbox) => {
+            checkbox.addEventListener("change", function () {
+              MappingRules.setEnabled(this.getAttribute("data-rule"), this.checked);
+            });
+          });
+
+          document.getElementById("add-rule").addEventListener(
+            "click",
+            /**
+             * Handle click on add rule button
+             * @listens click
+             */
+            function () {
+              MappingRules.add({
+                sourceDomain: document.getElementById("rule-source").value,
+                targetDomain: document.getElementById("rule-target").value,
+                column: document.getElementById("rule-column").value.trim(),
+                type: document.getElementById("rule-type").value,
+                match: document.getElementById("rule-match").value,
+                replace: document.getElementById("rule-replace").value,
+              }).catch((error) => alert("Invalid rule: " + error.message));
+            },
+          );
+        },
+      );
+    }
+
+    /**
+     * Shows what each sync target of the active tab will receive once the
+     * masking policies and mapping rules are applied to the current clipboard
+     */
+    async function renderMappingPreview() {
+      const previewContainer = document.getElementById("mapping-preview-container");
+      const records = currentClipboardData;
+
+      if (!records || records.length === 0) {
+        previewContainer.innerHTML = "";
+        return;
+      }
+
+      const [rules, policies, settings, sourceHostname] = await Promise.all([
+        MappingRules.load(),
+        MaskingPolicies.load(),
+        DomainSettings.load(),
+        getActiveTabHostname(),
+      ]);
+      const sourceDomain = DomainSettings.findTrustedDomain(
+        sourceHostname,
+        settings.allowedDomains,
+      );
+      const domainPolicies = MaskingPolicies.getPoliciesForDomain(policies, sourceDomain);
+      const targets = DomainSettings.getSyncTargets(sourceHostname, settings);
+
+      if ((rules.length === 0 && domainPolicies.length === 0) || targets.domains.length === 0) {
+        previewContainer.innerHTML = "";
+        return;
+      }
+
+      let previewHtml = '<div class="preview-title">Preview per target</div>';
+
+      for (const targetDomain of targets.domains) {
+        // Tabs of the source domain itself receive unmasked data
+        const masked =
+          sourceDomain && targetDomain === sourceDomain
+            ? { records: records, masked: [] }
+            : await MaskingPolicies.maskRecords(records, domainPolicies);
+        const pairRules = MappingRules.getRulesForPair(rules, sourceDomain, targetDomain);
+        const mapped = MappingRules.applyRules(masked.records, pairRules);
+        const maskedCells = new Map(
+          masked.masked.map((cell) => [`${cell.row}:${cell.column}`, cell]),
+        );
+        const changedCells = new Map(
+          mapped.changes.map((change) => [`${change.row}:${change.column}`, change]),
+        );
+        const headers = Object.keys(mapped.records[0] || {});
+
+        previewHtml += `
+          <details class="preview-target">
+            <summary>${DialogUtils.escapeHtml(targetDomain)} &ndash; ${masked.masked.length} value(s) masked, ${mapped.changes.length} mapped</summary>
+            <table>
+              <tr>${headers.map((header) => `<th>${DialogUtils.escapeHtml(header)}</th>`).join("")}</tr>
+        `;
+        mapped.records.forEach((record, rowIndex) => {
+          previewHtml += "<tr>";
+          headers.forEach((header) => {
+            const key = `${rowIndex}:${header}`;
+            const change = changedCells.get(key);
+            const maskedCell = maskedCells.get(key);
+            const value = record[header] !== undefined ? record[header] : "";
+            if (change) {
+              previewHtml += `<td class="mapped-cell" title="${DialogUtils.escapeHtml(change.from)} &rarr; ${DialogUtils.escapeHtml(change.to)}">${DialogUtils.escapeHtml(value)}</td>`;
+            } else if (maskedCell) {
+              previewHtml += `<td class="masked-cell" title="${MaskingPolicies.ACTIONS[maskedCell.action]}">${DialogUtils.escapeHtml(value)}</td>`;
+            } else {
+              previewHtml += `<td>${DialogUtils.escapeHtml(value)}</td>`;
+            }
+          });
+          previewHtml += "</tr>";
+        });
+        previewHtml += "</table></details>";
+      }
+
+      // The clipboard changed while the preview was being built
+      if (records !== currentClipboardData) return;
+
+      previewContainer.innerHTML = previewHtml;
+    }
+
     // Call this in your initialization
+    updateActiveEnvironment();
+    updateOutboxStatus();
+    loadSyncDashboard();
     loadTrustedDomains();
+    loadMaskingPolicies();
+    loadMappingRules();
 
     // Initial check
     checkLocalStorage();
 
-    // Set up polling with the ability to be paused
-    pollingInterval = setInterval(checkLocalStorage, 500);
+    // Re-check whenever the clipboard keys change in extension storage
+    chrome.storage.onChanged.addListener(
+      /**
+       * Handles extension storage changes
+       * @param {Object<string, chrome.storage.StorageChange>} changes - Changed items
+       * @param {string} areaName - Storage area that changed
+       */
+      function (changes, areaName) {
+        if (
+          areaName === "local" &&
+          (changes["IFS-Aurena-CopyPasteRecordStorage"] ||
+            changes["TcclClipboardMetadata"])
+        ) {
+          checkLocalStorage();
+        }
+
+        // Domain decisions changed, e.g. on the permission page
+        if (areaName === "local" && (changes.allowedDomains || changes.deniedDomains)) {
+          loadTrustedDomains();
+        }
+
+        // Labels, types or colours may have changed
+        if (areaName === "local" && (changes.allowedDomains || changes.domainSettings)) {
+          updateActiveEnvironment();
+        }
+
+        // Writes were queued, delivered or failed again
+        if (areaName === "local" && changes[SyncOutbox.STORAGE_KEY]) {
+          updateOutboxStatus();
+        }
+
+        // A write finished, or the domains or their labels changed
+        if (
+          areaName === "local" &&
+          (changes[SyncStatusStore.STORAGE_KEY] ||
+            changes[SyncOutbox.STORAGE_KEY] ||
+            changes.allowedDomains ||
+            changes.domainSettings)
+        ) {
+          loadSyncDashboard();
+        }
+
+        // Rules, policies or domains changed (possibly from another window)
+        if (
+          areaName === "local" &&
+          (changes[MappingRules.STORAGE_KEY] ||
+            changes[MaskingPolicies.STORAGE_KEY] ||
+            changes.allowedDomains ||
+            changes.domainSettings ||
+            changes.environmentGroups)
+        ) {
+          loadMaskingPolicies();
+          loadMappingRules();
+          if (currentClipboardData && !recordEditor) {
+            // Re-render to refresh the masked column markers and the preview
+            renderTable(currentClipboardData);
+          } else {
+            renderMappingPreview();
+          }
+        }
+      },
+    );
+
+    // The top bar follows the active tab
+    chrome.tabs.onActivated.addListener(updateActiveEnvironment);
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.url && tab.active) updateActiveEnvironment();
+    });
+
+    // The dashboard lists the open tabs of each domain
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo.url || changeInfo.title) loadSyncDashboard();
+    });
+    chrome.tabs.onRemoved.addListener(loadSyncDashboard);
   }
 });
@@ -0,0 +1,125 @@
+/**
+ * Storage watcher content script for IFS Clipboard Extension
+ * Registered by the service worker on trusted domains only. Pushes each change
+ * of the IFS clipboard keys to the extension once, instead of being polled.
+ * Also acts as the isolated-world bridge for page-storage-hook.js.
+ */
+
+(function () {
+  // Guard against double injection (registered script + executeScript on open tabs)
+  if (window.__ifsClipboardWatcherInstalled) return;
+  window.__ifsClipboardWatcherInstalled = true;
+
+  const RECORDS_KEY = "IFS-Aurena-CopyPasteRecordStorage";
+  const METADATA_KEY = "TcclClipboardMetadata";
+  const HOOK_SOURCE = "ifs-clipboard-page-hook";
+
+  // Records and metadata are written separately; wait briefly to send them together
+  const USER_WRITE_DEBOUNCE_MS = 50;
+
+  // Last records value reported to the extension (or found on load)
+  let lastSeenRecords = localStorage.getItem(RECORDS_KEY);
+  let userWriteTimer = null;
+
+  /**
+   * Sends a clipboard message to the service worker
+   * @param {string} action - Message action name
+   * @param {string} records - Records JSON string
+   * @param {Object} extra - Additional message fields
+   */
+  function sendToExtension(action, records, extra) {
+    try {
+      chrome.runtime.sendMessage(
+        Object.assign(
+          {
+            action: action,
+            data: records,
+            metadata: localStorage.getItem(METADATA_KEY),
+            timestamp: new Date().toISOString(),
+            domain: location.hostname,
+            url: location.href,
+          },
+          extra,
+        ),
+      );
+    } catch (e) {
+      // The extension was reloaded; this orphaned script can no longer report
+      console.warn("[IFS Clipboard] Unable to report storage change:", e);
+    }
+  }
+
+  /**
+   * Sends the current clipboard keys to the service worker if they changed
+   * since the last push
+   * @param {string} trigger - Name of the event that caused the check
+   */
+  function pushIfChanged(trigger) {
+    let records;
+    try {
+      records = localStorage.getItem(RECORDS_KEY);
+    } catch (e) {
+      return;
+    }
+
+    if (!records || records === lastSeenRecords) return;
+    lastSeenRecords = records;
+
+    sendToExtension("localStorageCaptured", records, { trigger: trigger });
+  }
+
+  /**
+   * Relays a copy made by the IFS page itself, as reported by the MAIN-world hook
+   */
+  function relayUserWrite() {
+    userWriteTimer = null;
+
+    const records = localStorage.getItem(RECORDS_KEY);
+    if (!records) return;
+    lastSeenRecords = records;
+
+    sendToExtension("localStorageUpdated", records, {
+      source: "userAction", // Indicate this was from a user copy action
+    });
+  }
+
+  /**
+   * Validates messages from the MAIN-world hook
+   * Only same-window, same-origin messages naming a watched key are accepted,
+   * and their content is never trusted: values are re-read from localStorage
+   * @param {MessageEvent} event - The posted message
+   */
+  function handleHookMessage(event) {
+    if (event.source !== window || event.origin !== location.origin) return;
+
+    const message = event.data;
+    if (
+      !message ||
+      typeof message !== "object" ||
+      message.source !== HOOK_SOURCE ||
+      message.type !== "storageWrite" ||
+      (message.key !== RECORDS_KEY && message.key !== METADATA_KEY)
+    ) {
+      return;
+    }
+
+    clearTimeout(userWriteTimer);
+    userWriteTimer = setTimeout(relayUserWrite, USER_WRITE_DEBOUNCE_MS);
+  }
+
+  window.addEventListener("message", handleHookMessage);
+
+  // Writes made by other tabs of this origin (including extension syncs)
+  window.addEventListener("storage", (event) => {
+    if (event.key === RECORDS_KEY || event.key === METADATA_KEY) {
+      pushIfChanged("storage");
+    }
+  });
+
+  // Fallback for page writes the hook could not see (e.g. before it loaded)
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") pushIfChanged("visibilitychange");
+  });
+  window.addEventListener("pagehide", () => pushIfChanged("pagehide"));
+
+  console.log("[IFS Clipboard] Storage watcher installed at:", location.href);
+})();
@@ -0,0 +1,740 @@
+/**
+ * Sync engine for IFS Clipboard Extension
+ * The one place that writes clipboard data into trusted tabs. Runs in the
+ * service worker and answers SyncProtocol requests from the side panel, the
+ * history and the Excel import. Each target domain receives the records with
+ * the source domain's masking policies and its value mapping rules applied.
+ */
+
+class SyncEngine {
+  /**
+   * Result of the last finished push, reported by sync.status
+   * @type {Object|null}
+   */
+  static lastPush = null;
+
+  /**
+   * Number of pushes currently writing to tabs
+   * @type {number}
+   */
+  static activePushes = 0;
+
+  /**
+   * Answers a sync request
+   * @param {Object} message - Request built by SyncProtocol.createRequest()
+   * @param {chrome.runtime.MessageSender} [sender] - Sender of the message
+   * @returns {Promise<Object>} A SyncProtocol result
+   */
+  static async handleRequest(message, sender) {
+    if (message.version !== SyncProtocol.VERSION) {
+      const result = SyncProtocol.createResult(message.type);
+      result.message = `Unsupported sync protocol version ${message.version}, expected ${SyncProtocol.VERSION}`;
+      return SyncEngine.finish(result);
+    }
+
+    const payload = message.payload || {};
+    try {
+      switch (message.type) {
+        case SyncProtocol.TYPES.PUSH:
+          return await SyncEngine.push(
+            Object.assign({ sourceTabId: sender && sender.tab ? sender.tab.id : null }, payload),
+          );
+        case SyncProtocol.TYPES.PULL:
+          return await SyncEngine.pull();
+        case SyncProtocol.TYPES.HISTORY:
+          return SyncEngine.finish(await HistoryStore.handleRequest(payload));
+        default:
+          return await SyncEngine.status();
+      }
+    } catch (error) {
+      console.error(`Sync request ${message.type} failed:`, error);
+      const result = SyncProtocol.createResult(message.type);
+      result.message = error.message;
+      return SyncEngine.finish(result);
+    }
+  }
+
+  /**
+   * Stores clipboard data and writes it to the trusted tabs in the source's
+   * environment group
+   * Protected domains are only written when listed in approvedProtected. When
+   * confirmProtected is set and nothing was approved yet, the result asks for
+   * confirmation instead (needsConfirmation and protectedTargets) and nothing
+   * is written; without it protected domains are skipped.
+   * @param {Object} payload - Push payload
+   * @param {string} payload.records - JSON string of clipboard records
+   * @param {string|null} [payload.metadata] - JSON string of clipboard metadata
+   * @param {string|null} [payload.sourceDomain] - Hostname the data came from
+   * @param {string|null} [payload.sourceUrl] - URL the data came from
+   * @param {number|null} [payload.sourceTabId] - Tab that triggered the push, written directly
+   * @param {boolean} [payload.confirmProtected=false] - Whether the caller can confirm protected domains
+   * @param {Array<string>} [payload.approvedProtected] - Protected domains the user confirmed
+   * @param {Array<string>} [payload.targetDomains] - Limits the push to these trusted domains, e.g. to resend to one
+   * @param {string|null} [payload.historyId] - History entry that produced the records; receiving domains are added to its targets
+   * @returns {Promise<Object>} A SyncProtocol result with one entry per written tab
+   */
+  static async push(payload) {
+    const result = SyncProtocol.createResult(SyncProtocol.TYPES.PUSH);
+    const records = payload.records;
+    const metadata = payload.metadata || null;
+    result.sourceDomain = payload.sourceDomain || null;
+    // The URL picks the right rule when rules differ only by scheme or port
+    const sourceLocation = payload.sourceUrl || result.sourceDomain;
+
+    const stored = await chrome.storage.local.get(
+      DomainSettings.STORAGE_KEYS.concat(MappingRules.STORAGE_KEY, MaskingPolicies.STORAGE_KEY),
+    );
+    const settings = DomainSettings.normalize(stored);
+
+    // Only trusted sources publish; a side panel on a denied or untrusted
+    // tab would otherwise sync as the default group
+    if (
+      !DomainSettings.findTrustedDomain(sourceLocation, settings.allowedDomains) ||
+      DomainSettings.isDenied(sourceLocation, settings)
+    ) {
+      result.message = `${result.sourceDomain || "This page"} is not a trusted domain and cannot sync`;
+      return SyncEngine.finish(result);
+    }
+
+    const syncTargets = DomainSettings.getSyncTargets(sourceLocation, settings);
+    result.group = syncTargets.group;
+    if (Array.isArray(payload.targetDomains)) {
+      syncTargets.domains = syncTargets.domains.filter((domain) => payload.targetDomains.includes(domain));
+      if (syncTargets.domains.length === 0 && !syncTargets.blockedReason) {
+        syncTargets.blockedReason = `${payload.targetDomains.join(", ")} does not receive clipboards from group "${result.group}"`;
+      }
+    }
+
+    const tabs = await chrome.tabs.query({});
+    const domainTabsMap = SyncEngine.groupTabsByDomain(tabs, syncTargets.domains, settings);
+
+    // Protected domains are only written once the user confirms them, also
+    // when they have no open tab and the write would wait for their next load
+    const parsedRecords = HistoryStore.parseRecords(records);
+    const protectedDomains = syncTargets.domains.filter((domain) =>
+      DomainSettings.isProtected(domain, settings),
+    );
+    if (
+      protectedDomains.length > 0 &&
+      payload.confirmProtected &&
+      !Array.isArray(payload.approvedProtected)
+    ) {
+      result.needsConfirmation = true;
+      result.protectedTargets = protectedDomains.map((domain) => ({
+        domain: domain,
+        tabs: (domainTabsMap.get(domain) || []).map((tab) => ({ id: tab.id, url: tab.url, title: tab.title })),
+        rowCount: parsedRecords.length,
+        luname: HistoryStore.getLuname(parsedRecords, metadata),
+      }));
+      result.message = "Writing to protected domains needs confirmation";
+      return SyncEngine.finish(result);
+    }
+
+    await SyncEngine.storeClipboard(payload);
+
+    if (syncTargets.domains.length === 0) {
+      result.message = syncTargets.blockedReason || "No trusted domains to sync to";
+      return SyncEngine.finish(result);
+    }
+
+    // Declined targets are skipped, the rest proceed
+    const approvedProtected = payload.approvedProtected || [];
+    const skippedDomains = protectedDomains.filter((domain) => !approvedProtected.includes(domain));
+    skippedDomains.forEach((domain) => {
+      const domainTabs = domainTabsMap.get(domain) || [{ id: null, url: null }];
+      domainTabs.forEach((tab) => {
+        result.tabs.push({
+          tabId: tab.id,
+          url: tab.url,
+          domain: domain,
+          status: SyncProtocol.TAB_STATUS.SKIPPED,
+          method: "protectedGuard",
+          error: "Protected domain not confirmed",
+        });
+      });
+      domainTabsMap.delete(domain);
+    });
+
+    // Domains without an open tab receive the write on their next page load;
+    // the source domain already holds the data
+    const sourceRule = DomainSettings.findTrustedDomain(sourceLocation, settings.allowedDomains);
+    const closedDomains = syncTargets.domains.filter(
+      (domain) =>
+        !domainTabsMap.has(domain) && !skippedDomains.includes(domain) && domain !== sourceRule,
+    );
+    if (domainTabsMap.size === 0 && closedDomains.length === 0) {
+      result.message = "No confirmed domains to sync to";
+      return SyncEngine.finish(result);
+    }
+
+    const context = {
+      sourceDomain: sourceRule,
+      sourceTabId: payload.sourceTabId || null,
+      historyId: payload.historyId || null,
+      mappingRules: stored[MappingRules.STORAGE_KEY] || [],
+      maskingPolicies: stored[MaskingPolicies.STORAGE_KEY] || [],
+    };
+    console.log(`Syncing to domains in group "${result.group}":`, Array.from(domainTabsMap.keys()));
+
+    SyncEngine.activePushes++;
+    try {
+      const outcomes = await Promise.all(
+        Array.from(domainTabsMap).map(([domain, domainTabs]) =>
+          SyncEngine.syncDomain(domain, domainTabs, records, metadata, context),
+        ),
+      );
+      outcomes.forEach((domainOutcomes) => result.tabs.push(...domainOutcomes));
+    } finally {
+      SyncEngine.activePushes--;
+    }
+
+    // Domains none of whose tabs took the write are retried like closed ones,
+    // and a domain written now no longer needs what was queued for it earlier
+    const written = result.tabs.filter((tab) => tab.status === SyncProtocol.TAB_STATUS.WRITTEN);
+    const receivingDomains = Array.from(new Set(written.map((tab) => tab.domain)));
+    const failedDomains = Array.from(domainTabsMap.keys()).filter((domain) => !receivingDomains.includes(domain));
+    const retryErrors = Object.fromEntries(
+      failedDomains.map((domain) => [domain, result.tabs.find((tab) => tab.domain === domain).error]),
+    );
+    const queuedOutcomes = await SyncEngine.queueForPageLoad(
+      closedDomains.concat(failedDomains),
+      retryErrors,
+      records,
+      metadata,
+      context,
+    );
+    result.tabs.push(...queuedOutcomes);
+    await SyncOutbox.remove(receivingDomains);
+
+    const attempted = result.tabs.filter(
+      (tab) => tab.status === SyncProtocol.TAB_STATUS.WRITTEN || tab.status === SyncProtocol.TAB_STATUS.FAILED,
+    );
+    const queued = result.tabs.filter((tab) => tab.status === SyncProtocol.TAB_STATUS.QUEUED);
+    result.success = written.length > 0 || queued.length > 0;
+    result.verifiedTabs = written.length;
+    result.message = `Synced and verified ${written.length}/${attempted.length} tab(s) across ${domainTabsMap.size} domain(s) in group "${result.group}"`;
+    if (queued.length > 0) {
+      result.message += `, ${queued.length} domain(s) queued for their next page load`;
+    }
+
+    await SyncStatusStore.record(result.tabs);
+    // The entry already names the source domain
+    await SyncEngine.recordTargets(
+      context.historyId,
+      receivingDomains.filter((domain) => domain !== sourceRule),
+    );
+
+    SyncEngine.lastPush = SyncEngine.finish(result);
+    return SyncEngine.lastPush;
+  }
+
+  /**
+   * Reads the clipboard held by the extension
+   * @returns {Promise<Object>} A SyncProtocol result with records, metadata and source
+   */
+  static async pull() {
+    const result = SyncProtocol.createResult(SyncProtocol.TYPES.PULL);
+    const stored = await chrome.storage.local.get([
+      "IFS-Aurena-CopyPasteRecordStorage",
+      "TcclClipboardMetadata",
+      "clipboardSource",
+    ]);
+
+    result.success = true;
+    result.records = stored["IFS-Aurena-CopyPasteRecordStorage"] || null;
+    result.metadata = stored["TcclClipboardMetadata"] || null;
+    result.source = stored.clipboardSource || null;
+    result.sourceDomain = result.source ? result.source.domain : null;
+    return SyncEngine.finish(result);
+  }
+
+  /**
+   * Reports whether a push is running, how the last one ended and how the
+   * writes to each trusted domain and its open tabs last went
+   * @returns {Promise<Object>} A SyncProtocol result with inProgress, lastPush and domains
+   */
+  static async status() {
+    const result = SyncProtocol.createResult(SyncProtocol.TYPES.STATUS);
+    const [stored, tabs] = await Promise.all([
+      chrome.storage.local.get(
+        DomainSettings.STORAGE_KEYS.concat(SyncStatusStore.STORAGE_KEY, SyncOutbox.STORAGE_KEY),
+      ),
+      chrome.tabs.query({}),
+    ]);
+    const settings = DomainSettings.normalize(stored);
+    const domainTabsMap = SyncEngine.groupTabsByDomain(tabs, settings.allowedDomains, settings);
+    const statusByDomain = stored[SyncStatusStore.STORAGE_KEY] || {};
+    const outbox = stored[SyncOutbox.STORAGE_KEY] || {};
+
+    /**
+     * Picks the reported fields of a status entry
+     * @param {Object} [entry] - Stored domain or tab status
+     * @returns {Object} The fields, null when nothing was recorded yet
+     */
+    const describeEntry = (entry) => ({
+      lastSuccessAt: entry ? entry.lastSuccessAt : null,
+      payloadHash: entry ? entry.payloadHash : null,
+      rowCount: entry ? entry.rowCount : null,
+      method: entry ? entry.method : null,
+      lastError: entry ? entry.lastError : null,
+    });
+
+    result.success = true;
+    result.inProgress = SyncEngine.activePushes > 0;
+    result.lastPush = SyncEngine.lastPush;
+    result.domains = settings.allowedDomains.map((domain) => {
+      const domainStatus = statusByDomain[domain];
+      const queued = outbox[domain];
+      return Object.assign({ domain: domain }, describeEntry(domainStatus), {
+        queued: queued
+          ? { queuedAt: queued.queuedAt, reason: queued.reason, attempts: queued.attempts, lastError: queued.lastError }
+          : null,
+        tabs: (domainTabsMap.get(domain) || []).map((tab) =>
+          Object.assign(
+            { tabId: tab.id, url: tab.url, title: tab.title },
+            describeEntry(domainStatus && domainStatus.tabs[tab.id]),
+          ),
+        ),
+      });
+    });
+    return SyncEngine.finish(result);
+  }
+
+  /**
+   * Writes the current clipboard into a trusted tab that has just loaded
+   * Only tabs in the clipboard's environment group that receive data without
+   * a confirmation are written.
+   * @param {chrome.tabs.Tab} tab - The loaded tab
+   * @returns {Promise<boolean>} True if the tab was written
+   */
+  static async syncLoadedTab(tab) {
+    const stored = await chrome.storage.local.get(
+      DomainSettings.STORAGE_KEYS.concat(
+        "IFS-Aurena-CopyPasteRecordStorage",
+        "TcclClipboardMetadata",
+        "clipboardSource",
+        SyncOutbox.STORAGE_KEY,
+        MappingRules.STORAGE_KEY,
+        MaskingPolicies.STORAGE_KEY,
+      ),
+    );
+    const settings = DomainSettings.normalize(stored);
+    const hostname = new URL(tab.url).hostname;
+    const targetDomain = DomainSettings.findTrustedDomain(tab.url, settings.allowedDomains);
+    const source = stored.clipboardSource || {};
+
+    // A write queued while the domain was closed was already masked, mapped
+    // and, for protected domains, confirmed
+    const pending = targetDomain && (stored[SyncOutbox.STORAGE_KEY] || {})[targetDomain];
+    if (pending && DomainSettings.canReceive(targetDomain, settings)) {
+      console.log(`Delivering the write queued at ${pending.queuedAt} to ${tab.id} (${hostname})`);
+      const payloadHash = await SyncEngine.hashPayload(pending.records);
+      await SyncStatusStore.recordDelivery(targetDomain, payloadHash);
+      const write = await SyncEngine.writeTab(tab, pending.records, pending.metadata, { notify: false });
+      const outcome = SyncEngine.createOutcome(tab, targetDomain, write, {
+        data: pending.records,
+        payloadHash: payloadHash,
+        rowCount: HistoryStore.parseRecords(pending.records).length,
+      });
+      outcome.method = "nextPageLoad";
+      if (write.verified) {
+        await SyncOutbox.remove([targetDomain]);
+        await SyncEngine.recordReceived(targetDomain, pending.records, pending.metadata, pending.sourceDomain);
+      } else {
+        await SyncOutbox.recordFailure(targetDomain, outcome.error);
+      }
+      await SyncStatusStore.record([outcome]);
+      return write.verified;
+    }
+
+    // Send-only and isolated domains are never written to, protected domains
+    // only after a confirmation, and a clipboard never leaves its group.
+    // Settings are looked up by rule and URL, as rules may differ only by
+    // scheme or port.
+    const sourceLocation = source.url || source.domain;
+    if (
+      !targetDomain ||
+      !stored["IFS-Aurena-CopyPasteRecordStorage"] ||
+      !DomainSettings.canReceive(targetDomain, settings) ||
+      DomainSettings.isProtected(targetDomain, settings) ||
+      !DomainSettings.isSameGroup(sourceLocation, targetDomain, settings)
+    ) {
+      return false;
+    }
+
+    const prepared = await SyncEngine.prepareRecords(targetDomain, stored["IFS-Aurena-CopyPasteRecordStorage"], {
+      sourceDomain: DomainSettings.findTrustedDomain(sourceLocation, settings.allowedDomains),
+      mappingRules: stored[MappingRules.STORAGE_KEY] || [],
+      maskingPolicies: stored[MaskingPolicies.STORAGE_KEY] || [],
+    });
+
+    console.log(`Syncing clipboard into loaded trusted tab: ${tab.id} (${hostname})`);
+    await SyncStatusStore.recordDelivery(targetDomain, prepared.payloadHash);
+    const write = await SyncEngine.writeTab(tab, prepared.data, stored["TcclClipboardMetadata"] || null, {
+      notify: false,
+    });
+    const outcome = SyncEngine.createOutcome(tab, targetDomain, write, prepared);
+    outcome.method = "pageLoad";
+    await SyncStatusStore.record([outcome]);
+    if (write.verified && write.changed) {
+      const metadata = stored["TcclClipboardMetadata"] || null;
+      await SyncEngine.recordReceived(targetDomain, prepared.data, metadata, source.domain || null);
+    }
+    return write.verified;
+  }
+
+  /**
+   * Checks whether records reported by a tab are the payload the engine last
+   * wrote to the tab's domain, which may be masked or mapped and must not
+   * replace the clipboard it was made from
+   * @param {string} url - URL of the reporting tab
+   * @param {string} records - JSON string of the reported records
+   * @param {Object} settings - Result of DomainSettings.load()
+   * @returns {Promise<boolean>} True if the records came from a sync
+   */
+  static async isDelivered(url, records, settings) {
+    const domain = DomainSettings.findTrustedDomain(url, settings.allowedDomains);
+    if (!domain) return false;
+
+    const status = await SyncStatusStore.load();
+    const deliveredHash = status[domain] ? status[domain].deliveredHash : null;
+    return Boolean(deliveredHash) && deliveredHash === (await SyncEngine.hashPayload(records));
+  }
+
+  /**
+   * Saves pushed clipboard data in extension storage with its source
+   * @param {Object} payload - Push payload
+   * @returns {Promise<void>} Resolves once stored
+   * @private
+   */
+  static async storeClipboard(payload) {
+    const storageData = {
+      "IFS-Aurena-CopyPasteRecordStorage": payload.records,
+      // Remember where the clipboard came from to keep it inside its group
+      clipboardSource: {
+        domain: payload.sourceDomain || null,
+        url: payload.sourceUrl || null,
+        timestamp: new Date().toISOString(),
+      },
+    };
+    if (payload.metadata) {
+      storageData["TcclClipboardMetadata"] = payload.metadata;
+    }
+    await chrome.storage.local.set(storageData);
+  }
+
+  /**
+   * Groups the web tabs by the trusted domain they belong to
+   * Each tab belongs to one trusted domain rule, so a tab of another group
+   * is never picked up by a similar name.
+   * @param {Array<chrome.tabs.Tab>} tabs - All open tabs
+   * @param {Array<string>} domains - Trusted domains to sync to
+   * @param {Object} settings - Result of DomainSettings.load()
+   * @returns {Map<string, Array<chrome.tabs.Tab>>} Tabs by trusted domain, only domains with tabs
+   * @private
+   */
+  static groupTabsByDomain(tabs, domains, settings) {
+    const domainTabsMap = new Map();
+
+    tabs.forEach((tab) => {
+      if (!tab.url || !/^https?:\/\//.test(tab.url)) return;
+
+      const domain = DomainSettings.findTrustedDomain(tab.url, settings.allowedDomains);
+      if (!domain || !domains.includes(domain)) return;
+
+      if (!domainTabsMap.has(domain)) domainTabsMap.set(domain, []);
+      domainTabsMap.get(domain).push(tab);
+    });
+    return domainTabsMap;
+  }
+
+  /**
+   * Applies the source domain's masking policies and the value mapping
+   * rules for one target domain
+   * @param {string} domain - Target trusted domain
+   * @param {string} records - JSON string of clipboard records
+   * @param {Object} context - Source domain, rules and policies of the push
+   * @returns {Promise<{data: string, payloadHash: string, rowCount: number, maskedCells: number, mappedCells: number}>} The records for the domain
+   * @private
+   */
+  static async prepareRecords(domain, records, context) {
+    const masked = await MaskingPolicies.maskPayload(
+      records,
+      context.maskingPolicies,
+      context.sourceDomain,
+      domain,
+    );
+    const mapped = MappingRules.mapPayload(masked.data, context.mappingRules, context.sourceDomain, domain);
+    if (masked.masked.length > 0) {
+      console.log(`Masked ${masked.masked.length} value(s) for ${domain}`);
+    }
+    if (mapped.changes.length > 0) {
+      console.log(`Mapped ${mapped.changes.length} value(s) for ${domain}`);
+    }
+    return {
+      data: mapped.data,
+      payloadHash: await SyncEngine.hashPayload(mapped.data),
+      rowCount: HistoryStore.parseRecords(mapped.data).length,
+      maskedCells: masked.masked.length,
+      mappedCells: mapped.changes.length,
+    };
+  }
+
+  /**
+   * Hashes a payload so that the status can show whether two tabs hold the
+   * same data without showing the data
+   * @param {string} data - JSON string of clipboard records
+   * @returns {Promise<string>} The first 12 hex digits of its SHA-256
+   * @private
+   */
+  static async hashPayload(data) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(data || ""));
+    return Array.from(new Uint8Array(digest).slice(0, 6), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Builds the outcome of writing one tab
+   * @param {chrome.tabs.Tab} tab - Written tab
+   * @param {string} domain - The tab's trusted domain
+   * @param {Object} write - Result of writeTab()
+   * @param {Object} prepared - The written records, as returned by prepareRecords()
+   * @returns {Object} The tab outcome
+   * @private
+   */
+  static createOutcome(tab, domain, write, prepared) {
+    return {
+      tabId: tab.id,
+      url: tab.url,
+      domain: domain,
+      status: write.verified ? SyncProtocol.TAB_STATUS.WRITTEN : SyncProtocol.TAB_STATUS.FAILED,
+      method: write.method,
+      error: write.verified ? null : write.error || "The tab holds a different value after the write",
+      payloadHash: prepared.payloadHash,
+      rowCount: prepared.rowCount,
+      maskedCells: prepared.maskedCells || 0,
+      mappedCells: prepared.mappedCells || 0,
+    };
+  }
+
+  /**
+   * Masks, maps and writes the records for one domain
+   * Every tab gets the exact payload and one storage event. localStorage is
+   * shared per origin, so the tabs of an origin are written one after
+   * another: the first one to change the value is sent an event itself, as
+   * a page gets none for its own writes, while the browser sends the others
+   * a real one. When nothing changed, because the value was already there,
+   * each tab is sent the event. The tab the push came from already has the
+   * data and gets no event, nor do its siblings, which saw the copy itself.
+   * Each tab reads the value back, and only a matching value counts as written.
+   * @param {string} domain - Trusted domain
+   * @param {Array<chrome.tabs.Tab>} domainTabs - The domain's tabs
+   * @param {string} records - JSON string of clipboard records
+   * @param {string|null} metadata - JSON string of clipboard metadata
+   * @param {Object} context - Source domain, source tab, rules and policies of the push
+   * @returns {Promise<Array<Object>>} Outcome of each tab
+   * @private
+   */
+  static async syncDomain(domain, domainTabs, records, metadata, context) {
+    const prepared = await SyncEngine.prepareRecords(domain, records, context);
+    await SyncStatusStore.recordDelivery(domain, prepared.payloadHash);
+
+    // The source tab goes first, so its origin counts as already signalled
+    const originTabsMap = new Map();
+    domainTabs
+      .slice()
+      .sort((a, b) => (b.id === context.sourceTabId) - (a.id === context.sourceTabId))
+      .forEach((tab) => {
+        const origin = new URL(tab.url).origin;
+        if (!originTabsMap.has(origin)) originTabsMap.set(origin, []);
+        originTabsMap.get(origin).push(tab);
+      });
+
+    const outcomes = [];
+    for (const originTabs of originTabsMap.values()) {
+      let signalled = false;
+      for (const tab of originTabs) {
+        const isSource = tab.id === context.sourceTabId;
+        const notifiedByBrowser = !isSource && signalled;
+        const write = await SyncEngine.writeTab(tab, prepared.data, metadata, {
+          notify: !isSource && !signalled,
+        });
+        if (isSource || (write.success && write.changed)) signalled = true;
+
+        const outcome = SyncEngine.createOutcome(tab, domain, write, prepared);
+        if (notifiedByBrowser) outcome.method = "storageEvent";
+        outcomes.push(outcome);
+      }
+    }
+    return outcomes;
+  }
+
+  /**
+   * Lists the domains that received a push as targets of the history entry
+   * that produced it
+   * @param {string|null} historyId - History entry id, if the push has one
+   * @param {Array<string>} domains - Receiving trusted domains
+   * @returns {Promise<void>} Resolves when saved; failures are only logged
+   * @private
+   */
+  static async recordTargets(historyId, domains) {
+    if (!historyId || domains.length === 0) return;
+    try {
+      await HistoryStore.addTargets(historyId, domains);
+    } catch (error) {
+      console.error("Failed to record sync targets in history:", error);
+    }
+  }
+
+  /**
+   * Records in the history that a domain received the clipboard on a page
+   * load, apart from the push that produced it
+   * @param {string} domain - Receiving trusted domain
+   * @param {string} records - JSON string of the written records
+   * @param {string|null} metadata - JSON string of the written metadata
+   * @param {string|null} sourceDomain - Domain the clipboard came from
+   * @returns {Promise<void>} Resolves when saved; failures are only logged
+   * @private
+   */
+  static async recordReceived(domain, records, metadata, sourceDomain) {
+    try {
+      await HistoryStore.add({
+        operation: "sync-received",
+        records: HistoryStore.parseRecords(records),
+        metadata: metadata,
+        sourceDomain: sourceDomain,
+        targetDomains: [domain],
+      });
+    } catch (error) {
+      console.error("Failed to record sync in history:", error);
+    }
+  }
+
+  /**
+   * Queues the records in the outbox for domains without an open tab or
+   * whose tabs all failed; they are written on the domain's next page load
+   * @param {Array<string>} domains - Trusted domains to queue for
+   * @param {Object<string, string>} errors - Write error by domain, for the domains whose tabs failed
+   * @param {string} records - JSON string of clipboard records
+   * @param {string|null} metadata - JSON string of clipboard metadata
+   * @param {Object} context - Source domain, rules and policies of the push
+   * @returns {Promise<Array<Object>>} A queued outcome per domain
+   * @private
+   */
+  static async queueForPageLoad(domains, errors, records, metadata, context) {
+    const payloads = {};
+    const outcomes = [];
+
+    for (const domain of domains) {
+      const prepared = await SyncEngine.prepareRecords(domain, records, context);
+      payloads[domain] = {
+        records: prepared.data,
+        metadata: metadata,
+        sourceDomain: context.sourceDomain,
+        reason: errors[domain] === undefined ? SyncOutbox.REASONS.CLOSED : SyncOutbox.REASONS.FAILED,
+        error: errors[domain] || null,
+      };
+      outcomes.push({
+        tabId: null,
+        url: null,
+        domain: domain,
+        status: SyncProtocol.TAB_STATUS.QUEUED,
+        method: "nextPageLoad",
+        error: errors[domain] || null,
+        payloadHash: prepared.payloadHash,
+        rowCount: prepared.rowCount,
+        maskedCells: prepared.maskedCells,
+        mappedCells: prepared.mappedCells,
+      });
+    }
+
+    if (domains.length > 0) {
+      await SyncOutbox.enqueue(payloads);
+    }
+    return outcomes;
+  }
+
+  /**
+   * Writes the clipboard keys into a tab's localStorage and reads them back
+   * The write runs in the isolated world, so the page's own setItem hook does
+   * not mistake it for a copy. Keys that already hold the value are left
+   * alone. With notify, a storage event is dispatched in the tab afterwards,
+   * as a write from another tab would have done; otherwise the tab relies on
+   * the event the browser sends for a sibling tab's write.
+   * @param {chrome.tabs.Tab} tab - Tab to write
+   * @param {string} data - JSON string of clipboard records
+   * @param {string|null} meta - JSON string of clipboard metadata
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.notify=false] - Whether to send the tab a storage event
+   * @returns {Promise<{success: boolean, changed: boolean, verified: boolean, method: string, error?: string}>} The write outcome
+   * @private
+   */
+  static async writeTab(tab, data, meta, options = {}) {
+    const method = options.notify ? "injectedWithEvent" : "directInjection";
+    try {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: function (data, meta, notify) {
+          try {
+            const entries = [["IFS-Aurena-CopyPasteRecordStorage", data]];
+            if (meta) {
+              entries.push(["TcclClipboardMetadata", meta]);
+            }
+
+            let changed = false;
+            entries.forEach(([key, value]) => {
+              const oldValue = localStorage.getItem(key);
+              if (oldValue !== value) {
+                localStorage.setItem(key, value);
+                changed = true;
+              }
+              if (notify) {
+                window.dispatchEvent(
+                  new StorageEvent("storage", {
+                    key: key,
+                    oldValue: oldValue,
+                    newValue: value,
+                    url: location.href,
+                    storageArea: localStorage,
+                  }),
+                );
+              }
+            });
+
+            const verified = entries.every(([key, value]) => localStorage.getItem(key) === value);
+            console.log("[IFS Clipboard] Data synced at:", location.href, verified ? "(verified)" : "(mismatch)");
+            return { success: true, changed: changed, verified: verified };
+          } catch (error) {
+            console.error("[IFS Clipboard] Sync failed:", error);
+            return { success: false, error: error.message };
+          }
+        },
+        args: [data, meta, Boolean(options.notify)],
+      });
+
+      const scriptResult = results && results[0] && results[0].result;
+      return {
+        success: Boolean(scriptResult && scriptResult.success),
+        changed: Boolean(scriptResult && scriptResult.changed),
+        verified: Boolean(scriptResult && scriptResult.verified),
+        method: method,
+        error: scriptResult ? scriptResult.error : "Script execution failed",
+      };
+    } catch (error) {
+      return { success: false, changed: false, verified: false, method: method, error: error.message };
+    }
+  }
+
+  /**
+   * Stamps a result as finished
+   * @param {Object} result - A SyncProtocol result
+   * @returns {Object} The same result
+   * @private
+   */
+  static finish(result) {
+    result.finishedAt = new Date().toISOString();
+    return result;
+  }
+}
+
+// Export for use in the service worker
+self.SyncEngine = SyncEngine;
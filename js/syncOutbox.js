@@ -0,0 +1,130 @@
+/**
+ * Sync outbox for IFS Clipboard Extension
+ * Keeps, per trusted domain, the last payload that could not be written
+ * because the domain had no open tab or every write to it failed. The sync
+ * engine delivers it on the domain's next page load; a newer payload for the
+ * same domain replaces the older one. Shared by the side panel and the
+ * service worker.
+ */
+
+class SyncOutbox {
+  /**
+   * Storage key holding the outbox entries by domain
+   * @type {string}
+   */
+  static STORAGE_KEY = "syncOutbox";
+
+  /**
+   * Why an entry was queued
+   * @type {{CLOSED: string, FAILED: string}}
+   */
+  static REASONS = {
+    CLOSED: "closed",
+    FAILED: "failed",
+  };
+
+  /**
+   * Serializes writes made from this context
+   * @type {Promise<void>}
+   * @private
+   */
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Loads the outbox
+   * @returns {Promise<Object<string, Object>>} Entries by domain
+   */
+  static async load() {
+    const stored = await chrome.storage.local.get(SyncOutbox.STORAGE_KEY);
+    return stored[SyncOutbox.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Queues payloads, replacing what was queued for the same domains
+   * @param {Object<string, {records: string, metadata: string|null, sourceDomain: string|null, reason: string, error?: string}>} payloads - Payload by domain, its records already masked and mapped; reason is one of REASONS
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static enqueue(payloads) {
+    return SyncOutbox.update((outbox) => {
+      const now = new Date().toISOString();
+      Object.entries(payloads).forEach(([domain, payload]) => {
+        const previous = outbox[domain];
+        outbox[domain] = {
+          records: payload.records,
+          metadata: payload.metadata || null,
+          sourceDomain: payload.sourceDomain || null,
+          reason: payload.reason,
+          queuedAt: now,
+          superseded: previous ? previous.superseded + 1 : 0,
+          attempts: 0,
+          lastAttemptAt: payload.error ? now : null,
+          lastError: payload.error || null,
+        };
+      });
+    });
+  }
+
+  /**
+   * Records a failed delivery; the entry stays queued for the next load
+   * @param {string} domain - Trusted domain
+   * @param {string} error - Why the delivery failed
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static recordFailure(domain, error) {
+    return SyncOutbox.update((outbox) => {
+      if (!outbox[domain]) return;
+      outbox[domain].attempts++;
+      outbox[domain].lastAttemptAt = new Date().toISOString();
+      outbox[domain].lastError = error;
+    });
+  }
+
+  /**
+   * Removes the entries of delivered or since written domains
+   * @param {Array<string>} domains - Trusted domains
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static remove(domains) {
+    if (domains.length === 0) return Promise.resolve();
+    return SyncOutbox.update((outbox) => {
+      domains.forEach((domain) => delete outbox[domain]);
+    });
+  }
+
+  /**
+   * Counts the queued entries
+   * @param {Object<string, Object>} outbox - Result of load()
+   * @returns {{pending: number, failed: number}} All entries, and those whose last write failed
+   */
+  static summarize(outbox) {
+    const entries = Object.values(outbox);
+    return {
+      pending: entries.length,
+      failed: entries.filter((entry) => entry.lastError).length,
+    };
+  }
+
+  /**
+   * Applies a change to the stored outbox after any earlier change
+   * @param {function(Object<string, Object>): void} change - Mutates the loaded outbox
+   * @returns {Promise<void>} Resolves when saved
+   * @private
+   */
+  static update(change) {
+    const write = SyncOutbox.writeQueue.then(async () => {
+      const outbox = await SyncOutbox.load();
+      change(outbox);
+      await chrome.storage.local.set({ [SyncOutbox.STORAGE_KEY]: outbox });
+    });
+
+    // Keep the queue going even if this write fails
+    SyncOutbox.writeQueue = write.then(
+      () => undefined,
+      (error) => console.error("Failed to update the sync outbox:", error),
+    );
+    return write;
+  }
+}
+
+// Export for use in other modules (side panel and service worker)
+self.SyncOutbox = SyncOutbox;
@@ -0,0 +1,106 @@
+/**
+ * Sync protocol for IFS Clipboard Extension
+ * Message types, version and result schema shared by the sync engine in the
+ * service worker and the pages that ask it to sync.
+ */
+
+class SyncProtocol {
+  /**
+   * Protocol version; requests with another version are refused
+   * @type {number}
+   */
+  static VERSION = 1;
+
+  /**
+   * Request types understood by the sync engine; HISTORY runs a history or
+   * library write of a page in the service worker
+   * @type {{PUSH: string, PULL: string, STATUS: string, HISTORY: string}}
+   */
+  static TYPES = {
+    PUSH: "sync.push",
+    PULL: "sync.pull",
+    STATUS: "sync.status",
+    HISTORY: "history.write",
+  };
+
+  /**
+   * Outcomes of writing to a single tab; a domain without an open tab is
+   * reported once as queued, with no tab ID
+   * @type {{WRITTEN: string, FAILED: string, SKIPPED: string, QUEUED: string}}
+   */
+  static TAB_STATUS = {
+    WRITTEN: "written",
+    FAILED: "failed",
+    SKIPPED: "skipped",
+    QUEUED: "queued",
+  };
+
+  /**
+   * Builds a request message
+   * @param {string} type - One of TYPES
+   * @param {Object} [payload={}] - Request payload
+   * @returns {{type: string, version: number, payload: Object}} The message
+   */
+  static createRequest(type, payload = {}) {
+    return { type: type, version: SyncProtocol.VERSION, payload: payload };
+  }
+
+  /**
+   * Checks whether a runtime message is a sync request
+   * @param {*} message - Runtime message
+   * @returns {boolean} True if the message has a sync request type
+   */
+  static isRequest(message) {
+    return Boolean(message) && Object.values(SyncProtocol.TYPES).includes(message.type);
+  }
+
+  /**
+   * Builds an empty result for a request type
+   * Every request is answered with this shape; push results list the outcome
+   * for each tab in `tabs`, and count in `verifiedTabs` the tabs that read
+   * back exactly the pushed value. Status results list each trusted domain
+   * and its open tabs in `domains`; history results carry the written entry
+   * or snapshot in `value`.
+   * @param {string} type - One of TYPES
+   * @returns {Object} The result
+   */
+  static createResult(type) {
+    return {
+      version: SyncProtocol.VERSION,
+      type: type,
+      success: false,
+      message: "",
+      group: null,
+      sourceDomain: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      needsConfirmation: false,
+      protectedTargets: [],
+      verifiedTabs: 0,
+      tabs: [],
+    };
+  }
+
+  /**
+   * Sends a request to the sync engine in the service worker
+   * @param {string} type - One of TYPES
+   * @param {Object} [payload={}] - Request payload
+   * @returns {Promise<Object>} The engine's result
+   */
+  static send(type, payload = {}) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(SyncProtocol.createRequest(type, payload), (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response) {
+          reject(new Error("The sync engine did not answer"));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+}
+
+// Export for use in other modules (side panel and service worker)
+self.SyncProtocol = SyncProtocol;
@@ -0,0 +1,148 @@
+/**
+ * Sync status store for IFS Clipboard Extension
+ * Remembers, per trusted domain and per tab, how the last writes went: when
+ * one last succeeded, which payload it carried, the method used and the last
+ * error. Kept in extension storage so it survives service worker restarts.
+ * Shared by the side panel and the service worker.
+ */
+
+class SyncStatusStore {
+  /**
+   * Storage key holding the status by domain
+   * @type {string}
+   */
+  static STORAGE_KEY = "syncStatus";
+
+  /**
+   * Serializes writes made from this context
+   * @type {Promise<void>}
+   * @private
+   */
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Loads the status of all domains
+   * @returns {Promise<Object<string, Object>>} Status by domain, each with its tabs by tab ID
+   */
+  static async load() {
+    const stored = await chrome.storage.local.get(SyncStatusStore.STORAGE_KEY);
+    return stored[SyncStatusStore.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Records the outcomes of a push or of a write on page load
+   * Skipped outcomes are left out; queued ones have no tab and only update
+   * their domain. An error stays until the next successful write.
+   * @param {Array<Object>} outcomes - Tab outcomes as listed in a push result
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static record(outcomes) {
+    const recorded = outcomes.filter((outcome) => outcome.status !== SyncProtocol.TAB_STATUS.SKIPPED);
+    if (recorded.length === 0) return Promise.resolve();
+
+    return SyncStatusStore.update((status) => {
+      const now = new Date().toISOString();
+      recorded.forEach((outcome) => {
+        if (!status[outcome.domain]) status[outcome.domain] = SyncStatusStore.createEntry();
+        const domainStatus = status[outcome.domain];
+        SyncStatusStore.apply(domainStatus, outcome, now);
+
+        if (outcome.tabId === null) return;
+        if (!domainStatus.tabs[outcome.tabId]) domainStatus.tabs[outcome.tabId] = SyncStatusStore.createEntry();
+        const tabStatus = domainStatus.tabs[outcome.tabId];
+        tabStatus.url = outcome.url;
+        SyncStatusStore.apply(tabStatus, outcome, now);
+      });
+    });
+  }
+
+  /**
+   * Remembers the payload about to be written to a domain, so that the
+   * watcher reporting it back from the domain's tabs is not taken for a copy
+   * @param {string} domain - Trusted domain
+   * @param {string} payloadHash - Hash of the written records
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static recordDelivery(domain, payloadHash) {
+    return SyncStatusStore.update((status) => {
+      if (!status[domain]) status[domain] = SyncStatusStore.createEntry();
+      status[domain].deliveredHash = payloadHash;
+    });
+  }
+
+  /**
+   * Drops the status of a closed tab
+   * @param {number} tabId - ID of the closed tab
+   * @returns {Promise<void>} Resolves when saved
+   */
+  static forgetTab(tabId) {
+    return SyncStatusStore.update((status) => {
+      Object.values(status).forEach((domainStatus) => {
+        delete domainStatus.tabs[tabId];
+      });
+    });
+  }
+
+  /**
+   * Builds an empty status entry
+   * @returns {Object} The entry; domain entries keep their tabs in `tabs` and
+   * the hash of the last payload written to them in `deliveredHash`
+   * @private
+   */
+  static createEntry() {
+    return {
+      lastSuccessAt: null,
+      lastAttemptAt: null,
+      payloadHash: null,
+      rowCount: null,
+      method: null,
+      lastError: null,
+      deliveredHash: null,
+      tabs: {},
+    };
+  }
+
+  /**
+   * Applies one outcome to a domain or tab entry
+   * @param {Object} entry - Entry to update
+   * @param {Object} outcome - Tab outcome
+   * @param {string} now - ISO timestamp of the update
+   * @private
+   */
+  static apply(entry, outcome, now) {
+    entry.lastAttemptAt = now;
+    entry.method = outcome.method;
+    if (outcome.status === SyncProtocol.TAB_STATUS.WRITTEN) {
+      entry.lastSuccessAt = now;
+      entry.payloadHash = outcome.payloadHash || null;
+      entry.rowCount = outcome.rowCount === undefined ? null : outcome.rowCount;
+      entry.lastError = null;
+    } else if (outcome.error) {
+      entry.lastError = outcome.error;
+    }
+  }
+
+  /**
+   * Applies a change to the stored status after any earlier change
+   * @param {function(Object<string, Object>): void} change - Mutates the loaded status
+   * @returns {Promise<void>} Resolves when saved
+   * @private
+   */
+  static update(change) {
+    const write = SyncStatusStore.writeQueue.then(async () => {
+      const status = await SyncStatusStore.load();
+      change(status);
+      await chrome.storage.local.set({ [SyncStatusStore.STORAGE_KEY]: status });
+    });
+
+    // Keep the queue going even if this write fails
+    SyncStatusStore.writeQueue = write.then(
+      () => undefined,
+      (error) => console.error("Failed to update the sync status:", error),
+    );
+    return write;
+  }
+}
+
+// Export for use in other modules (side panel and service worker)
+self.SyncStatusStore = SyncStatusStore;
@@ -0,0 +1,215 @@
+/**
+ * Text formats for IFS Clipboard Extension
+ * Reads and writes delimited text (CSV, TSV) with a chosen delimiter, quote
+ * character and encoding. Parsed files come out as rows like the ones
+ * SheetJS produces, so they share the Excel import normalization.
+ */
+
+class TextFormats {
+  /**
+   * Delimiters offered in the options dialogs, with their labels
+   * @type {Object<string, string>}
+   */
+  static DELIMITERS = {
+    ",": "Comma (,)",
+    ";": "Semicolon (;)",
+    "\t": "Tab",
+    "|": "Pipe (|)",
+  };
+
+  /**
+   * Encodings offered in the options dialogs, with their labels
+   * @type {Object<string, string>}
+   */
+  static ENCODINGS = {
+    "utf-8": "UTF-8",
+    "windows-1252": "Windows-1252 (Western European)",
+    "utf-16le": "UTF-16 LE",
+  };
+
+  /**
+   * Byte order marks by encoding
+   * @type {Object<string, Array<number>>}
+   */
+  static BOMS = {
+    "utf-8": [0xef, 0xbb, 0xbf],
+    "utf-16le": [0xff, 0xfe],
+  };
+
+  /**
+   * Picks the delimiter that splits the first row into the most columns
+   * @param {string} text - File content
+   * @returns {string} The detected delimiter, comma when nothing else fits
+   */
+  static detectDelimiter(text) {
+    const sample = text.substring(0, 4096);
+
+    let best = ",";
+    let bestCount = 1;
+    Object.keys(TextFormats.DELIMITERS).forEach((delimiter) => {
+      const firstRow = TextFormats.parseDelimited(sample, { delimiter: delimiter })[0] || [];
+      if (firstRow.length > bestCount) {
+        best = delimiter;
+        bestCount = firstRow.length;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Parses delimited text into rows of strings
+   * Quoted fields may contain delimiters, line breaks and doubled quotes.
+   * @param {string} text - File content
+   * @param {Object} options - Parse options
+   * @param {string} options.delimiter - Field delimiter
+   * @param {string} [options.quote='"'] - Quote character, "" to disable quoting
+   * @returns {Array<Array<string>>} Rows, empty lines left out
+   */
+  static parseDelimited(text, options) {
+    const delimiter = options.delimiter;
+    const quote = options.quote === undefined ? '"' : options.quote;
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    const endRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+      field = "";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === quote && text[i + 1] === quote) {
+          field += quote;
+          i++;
+        } else if (char === quote) {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (quote && char === quote && field === "") {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\r" && text[i + 1] === "\n") {
+        endRow();
+        i++;
+      } else if (char === "\n" || char === "\r") {
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+    if (field !== "" || row.length > 0) endRow();
+
+    return rows;
+  }
+
+  /**
+   * Converts a text cell to a number or boolean when it clearly is one
+   * Values with leading zeros such as "00123" stay text.
+   * @param {string} value - Cell text
+   * @returns {string|number|boolean} The typed value
+   */
+  static parseCellValue(value) {
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return Number(value);
+    if (value === "true" || value === "false") return value === "true";
+    return value;
+  }
+
+  /**
+   * Writes rows as delimited text
+   * @param {Array<Array<*>>} rows - Rows to write, the first being the header row
+   * @param {Object} options - Write options
+   * @param {string} options.delimiter - Field delimiter
+   * @param {boolean} [options.quoteAll=false] - Quote every field instead of only those that need it
+   * @returns {string} The text, with CRLF line endings
+   */
+  static toDelimited(rows, options) {
+    const needsQuotes = new RegExp(`["\\r\\n${options.delimiter.replace(/[\\^\]-]/g, "\\$&")}]|^\\s|\\s$`);
+
+    return rows
+      .map((row) =>
+        row
+          .map((value) => {
+            const text =
+              value === undefined || value === null
+                ? ""
+                : typeof value === "object"
+                  ? JSON.stringify(value)
+                  : String(value);
+            return options.quoteAll || needsQuotes.test(text)
+              ? `"${text.replace(/"/g, '""')}"`
+              : text;
+          })
+          .join(options.delimiter),
+      )
+      .join("\r\n");
+  }
+
+  /**
+   * Decodes file content, honouring a byte order mark when present
+   * @param {ArrayBuffer} buffer - File content
+   * @param {string} [encoding="auto"] - One of the keys of ENCODINGS, or "auto" for BOM or UTF-8
+   * @returns {string} Decoded text without the byte order mark
+   */
+  static decode(buffer, encoding = "auto") {
+    const bytes = new Uint8Array(buffer);
+    let detected = encoding;
+    if (encoding === "auto") {
+      detected = bytes[0] === 0xff && bytes[1] === 0xfe ? "utf-16le" : "utf-8";
+    }
+    // TextDecoder drops a matching byte order mark itself
+    return new TextDecoder(detected).decode(bytes);
+  }
+
+  /**
+   * Encodes text for a file
+   * TextEncoder only writes UTF-8, so the other encodings are written by hand;
+   * characters Windows-1252 cannot hold become "?".
+   * @param {string} text - Text to encode
+   * @param {string} encoding - One of the keys of ENCODINGS
+   * @param {boolean} [bom=false] - Whether to start with a byte order mark (always for UTF-16)
+   * @returns {Uint8Array} Encoded bytes
+   */
+  static encode(text, encoding, bom = false) {
+    let bytes;
+    if (encoding === "utf-16le") {
+      bytes = new Uint8Array(text.length * 2);
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[i * 2] = code & 0xff;
+        bytes[i * 2 + 1] = code >> 8;
+      }
+      bom = true;
+    } else if (encoding === "windows-1252") {
+      const decoder = new TextDecoder("windows-1252");
+      const table = new Map();
+      for (let byte = 0x80; byte <= 0xff; byte++) {
+        table.set(decoder.decode(new Uint8Array([byte])), byte);
+      }
+      bytes = Uint8Array.from(Array.from(text), (char) => {
+        const code = char.charCodeAt(0);
+        if (code < 0x80) return code;
+        return table.has(char) ? table.get(char) : 0x3f;
+      });
+    } else {
+      bytes = new TextEncoder().encode(text);
+    }
+
+    const mark = bom ? TextFormats.BOMS[encoding] || [] : [];
+    const result = new Uint8Array(mark.length + bytes.length);
+    result.set(mark, 0);
+    result.set(bytes, mark.length);
+    return result;
+  }
+}
+
+// Export for use in other modules
+window.TextFormats = TextFormats;
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Loads the domain matcher in a context of its own
+ * @returns {Function} DomainMatcher
+ */
+function loadDomainMatcher() {
+  const context = vm.createContext({ URL: URL });
+  context.self = context;
+  vm.runInContext(fs.readFileSync(path.join(ROOT, "js/domainMatcher.js"), "utf8"), context, {
+    filename: "js/domainMatcher.js",
+  });
+  return context.DomainMatcher;
+}
+
+test("parseRule reads the scheme, wildcard and port and rejects invalid rules", () => {
+  const DomainMatcher = loadDomainMatcher();
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(DomainMatcher.parseRule(" HTTPS://*.Example.com:8080/ "))), {
+    scheme: "https",
+    host: "example.com",
+    wildcard: true,
+    port: "8080",
+  });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(DomainMatcher.parseRule("ifs.example.com"))), {
+    scheme: null,
+    host: "ifs.example.com",
+    wildcard: false,
+    port: null,
+  });
+  ["", "ftp://example.com", ".example.com", "example..com", "example.com/path", "*example.com"].forEach((rule) => {
+    assert.strictEqual(DomainMatcher.parseRule(rule), null, rule);
+  });
+});
+
+test("wildcards match the domain itself and its subdomains only", () => {
+  const DomainMatcher = loadDomainMatcher();
+  const rules = ["*.example.com"];
+  assert.strictEqual(DomainMatcher.match("https://example.com/main", rules), "*.example.com");
+  assert.strictEqual(DomainMatcher.match("https://a.b.example.com", rules), "*.example.com");
+  assert.strictEqual(DomainMatcher.match("notexample.com", rules), null);
+  assert.strictEqual(DomainMatcher.match("https://example.com.evil.net", rules), null);
+  assert.strictEqual(DomainMatcher.match(null, rules), null);
+  assert.strictEqual(DomainMatcher.match("chrome://extensions", rules), null);
+});
+
+test("schemes and ports are checked for URLs, including default ports", () => {
+  const DomainMatcher = loadDomainMatcher();
+  const rules = ["https://ifs.example.com", "ifs.example.com:8080"];
+  assert.strictEqual(DomainMatcher.match("https://ifs.example.com/main", ["https://ifs.example.com"]), "https://ifs.example.com");
+  assert.strictEqual(DomainMatcher.match("http://ifs.example.com/main", ["https://ifs.example.com"]), null);
+  assert.strictEqual(DomainMatcher.match("https://ifs.example.com", ["ifs.example.com:443"]), "ifs.example.com:443");
+  assert.strictEqual(DomainMatcher.match("http://ifs.example.com:8080", rules), "ifs.example.com:8080");
+  assert.strictEqual(DomainMatcher.match("https://ifs.example.com:9090", ["ifs.example.com:8080"]), null);
+
+  // A bare hostname carries no scheme or port, so any rule for the host fits
+  assert.strictEqual(DomainMatcher.match("ifs.example.com", ["ifs.example.com:8080"]), "ifs.example.com:8080");
+});
+
+test("the most specific of several matching rules wins", () => {
+  const DomainMatcher = loadDomainMatcher();
+  const rules = ["*.example.com", "*.ifs.example.com", "ifs.example.com", "https://ifs.example.com:443"];
+  assert.strictEqual(DomainMatcher.match("https://ifs.example.com", rules), "https://ifs.example.com:443");
+  assert.strictEqual(DomainMatcher.match("http://ifs.example.com", rules), "ifs.example.com");
+  assert.strictEqual(DomainMatcher.match("https://test.ifs.example.com", rules), "*.ifs.example.com");
+  assert.strictEqual(DomainMatcher.match("https://other.example.com", rules), "*.example.com");
+});
+
+test("toMatchPattern turns rules into content script match patterns", () => {
+  const DomainMatcher = loadDomainMatcher();
+  assert.strictEqual(DomainMatcher.toMatchPattern("ifs.example.com"), "*://ifs.example.com/*");
+  assert.strictEqual(DomainMatcher.toMatchPattern("https://*.example.com:8080"), "https://*.example.com:8080/*");
+  assert.strictEqual(DomainMatcher.toMatchPattern("not a rule"), null);
+});
@@ -0,0 +1,209 @@
+/**
+ * Test harness for IFS Clipboard Extension
+ * Loads the service worker and its modules into a fresh context with a fake
+ * `chrome` API: extension storage is an object, tabs are a fixed list and
+ * each origin has its own localStorage, written by executeScript the way the
+ * browser runs an injected function.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Builds an event whose listeners are collected
+ * @returns {{addListener: function(Function): void, listeners: Array<Function>}} The event
+ */
+function createEvent() {
+  const listeners = [];
+  return { addListener: (listener) => listeners.push(listener), listeners: listeners };
+}
+
+/**
+ * Builds a chrome.storage.local stand-in that supports promises and callbacks
+ * @param {Object} data - Initial content, changed in place
+ * @param {ReturnType<typeof createEvent>} onChanged - Event told about each set
+ * @returns {Object} The storage area
+ */
+function createStorageArea(data, onChanged) {
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    get(keys, callback) {
+      let names;
+      if (keys === null || keys === undefined) names = Object.keys(data);
+      else if (typeof keys === "string") names = [keys];
+      else if (Array.isArray(keys)) names = keys;
+      else names = Object.keys(keys);
+
+      const result = {};
+      names.forEach((name) => {
+        if (name in data) result[name] = copy(data[name]);
+      });
+      if (callback) callback(result);
+      return Promise.resolve(result);
+    },
+    set(items, callback) {
+      const changes = {};
+      Object.entries(copy(items)).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: value };
+        data[key] = value;
+      });
+      onChanged.listeners.forEach((listener) => listener(changes, "local"));
+      if (callback) callback();
+      return Promise.resolve();
+    },
+  };
+}
+
+/**
+ * Loads the service worker with the given storage and tabs
+ * @param {Object} options - Starting state
+ * @param {Object} [options.storage={}] - Extension storage content
+ * @param {Array<Object>} [options.tabs=[]] - Open tabs, each with an id and url
+ * @returns {{context: Object, storage: Object, pageStorage: function(string): Object, contentScripts: Map<string, Object>}} The loaded worker,
+ * its storage content, a lookup of an origin's localStorage and the registered content scripts by ID
+ */
+function loadServiceWorker(options = {}) {
+  const storage = options.storage || {};
+  const tabs = options.tabs || [];
+  const origins = new Map();
+  const pageStorage = (origin) => {
+    if (!origins.has(origin)) origins.set(origin, {});
+    return origins.get(origin);
+  };
+
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error: console.error },
+    crypto: globalThis.crypto,
+    TextEncoder: TextEncoder,
+    URL: URL,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+  });
+  context.self = context;
+
+  // Runs an injected function against the tab's origin, as the browser would
+  const executeScript = async ({ target, func, args }) => {
+    const tab = tabs.find((candidate) => candidate.id === target.tabId);
+    if (!tab) throw new Error(`No tab with id: ${target.tabId}`);
+    if (!func) return [{ result: undefined }];
+
+    const origin = new URL(tab.url).origin;
+    const area = pageStorage(origin);
+    context.localStorage = {
+      getItem: (key) => (key in area ? area[key] : null),
+      setItem: (key, value) => {
+        area[key] = String(value);
+      },
+      removeItem: (key) => delete area[key],
+    };
+    context.location = { href: tab.url, origin: origin };
+    context.window = { dispatchEvent() {} };
+    context.StorageEvent = function StorageEvent(type, init) {
+      Object.assign(this, init, { type: type });
+    };
+    return [{ result: func(...(args || [])) }];
+  };
+
+  // Registered content scripts by ID; like the browser, a registered ID
+  // cannot be registered again
+  const contentScripts = new Map();
+  const registerContentScripts = async (scripts) => {
+    await Promise.resolve();
+    scripts.forEach((script) => {
+      if (contentScripts.has(script.id)) throw new Error(`Duplicate script ID '${script.id}'`);
+    });
+    scripts.forEach((script) => contentScripts.set(script.id, script));
+  };
+
+  const noop = () => Promise.resolve();
+  const storageChanged = createEvent();
+  context.chrome = {
+    storage: { local: createStorageArea(storage, storageChanged), onChanged: storageChanged },
+    tabs: {
+      query: (queryInfo, callback) => {
+        const result = queryInfo && queryInfo.active ? tabs.slice(0, 1) : tabs.slice();
+        if (callback) callback(result);
+        return Promise.resolve(result);
+      },
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      onActivated: createEvent(),
+    },
+    scripting: {
+      executeScript: executeScript,
+      getRegisteredContentScripts: async ({ ids }) =>
+        ids.filter((id) => contentScripts.has(id)).map((id) => contentScripts.get(id)),
+      registerContentScripts: registerContentScripts,
+      unregisterContentScripts: async ({ ids }) => ids.forEach((id) => contentScripts.delete(id)),
+    },
+    runtime: {
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onSuspend: createEvent(),
+      onStartup: createEvent(),
+      sendMessage() {},
+    },
+    sidePanel: { setPanelBehavior: noop, setOptions: noop },
+    action: { setBadgeText: noop, setBadgeBackgroundColor: noop },
+  };
+  context.importScripts = (...files) => {
+    files.forEach((file) => {
+      vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+    });
+  };
+
+  context.importScripts("/js/service-worker.js");
+  return { context: context, storage: storage, pageStorage: pageStorage, contentScripts: contentScripts };
+}
+
+/**
+ * Loads extension page scripts, such as the side panel's, next to a loaded
+ * service worker: they share its extension storage and their runtime
+ * messages reach its listeners
+ * @param {ReturnType<typeof loadServiceWorker>} worker - The loaded worker
+ * @param {Array<string>} files - Scripts to load, in page order
+ * @returns {Object} The page context
+ */
+function loadPage(worker, files) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error: console.error },
+    crypto: globalThis.crypto,
+    URL: URL,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+  });
+  context.self = context;
+  context.window = context;
+
+  const storageChanged = createEvent();
+  worker.context.chrome.storage.onChanged.addListener((changes, areaName) =>
+    storageChanged.listeners.forEach((listener) => listener(changes, areaName)),
+  );
+  context.chrome = {
+    storage: {
+      local: createStorageArea(worker.storage, worker.context.chrome.storage.onChanged),
+      onChanged: storageChanged,
+    },
+    runtime: {
+      lastError: undefined,
+      onMessage: createEvent(),
+      // Delivered to the worker's listeners, answered the way the browser does
+      sendMessage(message, callback) {
+        const copy = JSON.parse(JSON.stringify(message));
+        worker.context.chrome.runtime.onMessage.listeners.some((listener) =>
+          listener(copy, {}, (response) => callback && callback(JSON.parse(JSON.stringify(response)))),
+        );
+      },
+    },
+  };
+
+  files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  });
+  return context;
+}
+
+module.exports = { loadServiceWorker, loadPage };
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Loads the header mapping module with the given saved mappings; the wizard
+ * is replaced by one that records its options and confirms the saved mapping
+ * @param {Object<string, Object>} mappings - Saved mappings by lowercase luname
+ * @returns {{HeaderMapping: Function, wizards: Array<Object>}} The module and the options of each wizard shown
+ */
+function loadHeaderMapping(mappings) {
+  const context = vm.createContext({
+    chrome: {
+      storage: {
+        local: { get: (key, callback) => callback({ headerMappings: mappings }) },
+      },
+    },
+  });
+  context.self = context;
+  context.window = context;
+  ["js/historyStore.js", "js/headerMapping.js"].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  });
+
+  const wizards = [];
+  context.HeaderMapping.showWizard = (options) => {
+    wizards.push(options);
+    return Promise.resolve(options.saved && { ...options.saved, remember: false });
+  };
+  return { HeaderMapping: context.HeaderMapping, wizards: wizards };
+}
+
+const MAPPINGS = {
+  customerinfo: {
+    luname: "CustomerInfo",
+    columns: { "Customer No": "CustomerId", "Name (EN)": "Name" },
+    constants: [],
+    updatedAt: "2026-01-01T00:00:00.000Z",
+  },
+  supplierinfo: {
+    luname: "SupplierInfo",
+    columns: { "Supplier No": "SupplierId", "Name (EN)": "Name" },
+    constants: [],
+    updatedAt: "2026-01-02T00:00:00.000Z",
+  },
+};
+
+test("a sheet without a luname column uses the mapping saved for its headers", async () => {
+  const { HeaderMapping, wizards } = loadHeaderMapping(MAPPINGS);
+  const clipboard = { records: [{ luname: "SupplierInfo", SupplierId: "S1" }], metadata: null };
+
+  const rows = await HeaderMapping.mapRows(
+    [["Name (EN)", "Customer No"], ["Jane", "C1"]],
+    "customers.xlsx",
+    clipboard,
+  );
+
+  assert.strictEqual(wizards[0].saved.luname, "CustomerInfo");
+  assert.strictEqual(wizards[0].luname, "CustomerInfo");
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(rows)), [["Name", "CustomerId"], ["Jane", "C1"]]);
+});
+
+test("a sheet with unknown headers gets no saved mapping from the clipboard's luname", async () => {
+  const { HeaderMapping, wizards } = loadHeaderMapping(MAPPINGS);
+  const clipboard = { records: [{ luname: "CustomerInfo", CustomerId: "C1" }], metadata: null };
+
+  await HeaderMapping.mapRows([["Order No"], ["O1"]], "orders.xlsx", clipboard);
+
+  assert.strictEqual(wizards[0].saved, null);
+  assert.strictEqual(wizards[0].luname, "CustomerInfo");
+});
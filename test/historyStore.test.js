@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServiceWorker, loadPage } = require("./harness");
+
+test("removing a snapshot while another is saved keeps the new one", async () => {
+  const old = { id: "snapshot-old", name: "Old", records: [{ Name: "John" }] };
+  const worker = loadServiceWorker({ storage: { clipboardLibrary: [old] } });
+  const { HistoryStore } = worker.context;
+
+  await Promise.all([
+    HistoryStore.saveSnapshot({ name: "New", records: [{ Name: "Jane" }] }),
+    HistoryStore.removeSnapshot(old.id),
+  ]);
+
+  assert.deepStrictEqual(worker.storage.clipboardLibrary.map((snapshot) => snapshot.name), ["New"]);
+});
+
+test("history and library writes from a page and the service worker are all kept", async () => {
+  const old = { id: "snapshot-old", name: "Old", records: [{ Name: "John" }] };
+  const worker = loadServiceWorker({ storage: { clipboardLibrary: [old] } });
+  const page = loadPage(worker, ["js/historyStore.js", "js/syncProtocol.js"]);
+
+  await Promise.all([
+    worker.context.HistoryStore.add({ operation: "copy", records: [{ Name: "Copied" }] }),
+    page.HistoryStore.add({ operation: "import", records: [{ Name: "Imported" }] }),
+    page.HistoryStore.saveSnapshot({ name: "New", records: [{ Name: "Jane" }] }),
+    page.HistoryStore.removeSnapshot(old.id),
+    worker.context.HistoryStore.saveSnapshot({ name: "Other", records: [{ Name: "Joe" }] }),
+  ]);
+
+  assert.deepStrictEqual(
+    worker.storage.clipboardHistory.map((entry) => entry.operation).sort(),
+    ["copy", "import"],
+  );
+  assert.deepStrictEqual(
+    worker.storage.clipboardLibrary.map((snapshot) => snapshot.name).sort(),
+    ["New", "Other"],
+  );
+});
+
+test("a page gets the error of a refused history write", async () => {
+  const worker = loadServiceWorker();
+  const page = loadPage(worker, ["js/historyStore.js", "js/syncProtocol.js"]);
+
+  await assert.rejects(page.HistoryStore.saveSnapshot({ name: "", records: [] }), /snapshot name is required/);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Loads the import preview module with the utilities it uses
+ * @returns {Function} ImportPreview
+ */
+function loadImportPreview() {
+  const context = vm.createContext({});
+  context.self = context;
+  context.window = context;
+  ["js/dialogUtils.js", "js/diffUtils.js", "js/importPreview.js"].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  });
+  return context.ImportPreview;
+}
+
+/**
+ * Copies a value out of the module's context so it compares with local values
+ * @param {*} value - Value created in the context
+ * @returns {*} Plain copy
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test("blank or missing cells of raw rows are flagged although the records fill them", () => {
+  const ImportPreview = loadImportPreview();
+  const rows = [
+    ["OrderNo", "Customer", "Amount"],
+    ["1", "ACME", 10],
+    ["2", "", 20],
+    [],
+    ["3", "Initech"],
+  ];
+  // processExcelData fills the blank and missing cells with ""
+  const records = [
+    { OrderNo: "1", Customer: "ACME", Amount: 10 },
+    { OrderNo: "2", Customer: "", Amount: 20 },
+    { OrderNo: "3", Customer: "Initech", Amount: "" },
+  ];
+
+  const missingCells = ImportPreview.findMissingCells(rows);
+  assert.deepStrictEqual(plain(missingCells), [[], ["Customer"], ["Amount"]]);
+
+  const unchecked = ImportPreview.validate(records, [], null, null);
+  assert.strictEqual(unchecked.issues.length, 0);
+
+  const validation = ImportPreview.validate(records, [], null, null, missingCells);
+  assert.deepStrictEqual(
+    plain(validation.issues).map((issue) => [issue.type, issue.row, issue.message]),
+    [
+      ["missing", 2, "Row 2 has no Customer"],
+      ["missing", 3, "Row 3 has no Amount"],
+    ],
+  );
+});
+
+test("validate reports column differences, blank keys, types and duplicates", () => {
+  const ImportPreview = loadImportPreview();
+  const current = [{ OrderNo: "1", Amount: 10, Note: "" }];
+  const records = [
+    { OrderNo: "1", Amount: "ten", Extra: "x" },
+    { OrderNo: "1", Amount: 5, Extra: "y" },
+    { OrderNo: "", Amount: 1, Extra: "z" },
+  ];
+
+  const validation = ImportPreview.validate(records, current, null, "OrderNo");
+  assert.deepStrictEqual(Array.from(validation.extraColumns), ["Extra"]);
+  assert.deepStrictEqual(Array.from(validation.missingColumns), ["Note"]);
+  assert.deepStrictEqual(
+    plain(validation.issues).map((issue) => [issue.type, issue.row, issue.column]),
+    [
+      ["extra", null, "Extra"],
+      ["missing", null, "Note"],
+      ["type", 1, "Amount"],
+      ["duplicate", 2, "OrderNo"],
+      ["blank", 3, "OrderNo"],
+    ],
+  );
+});
+
+test("combine replaces, appends or merges by the key column", () => {
+  const ImportPreview = loadImportPreview();
+  const current = [
+    { OrderNo: "1", Amount: 10, Note: "keep" },
+    { OrderNo: "2", Amount: 20 },
+  ];
+  const records = [
+    { OrderNo: "2", Amount: 25 },
+    { OrderNo: "3", Amount: 30 },
+    { OrderNo: "3", Amount: 35 },
+  ];
+
+  assert.deepStrictEqual(plain(ImportPreview.combine(current, records, "replace", null)), {
+    records: records,
+    updated: 0,
+    added: 3,
+  });
+  assert.strictEqual(ImportPreview.combine(current, records, "append", null).records.length, 5);
+
+  const merged = ImportPreview.combine(current, records, "merge", "OrderNo");
+  assert.deepStrictEqual(plain(merged), {
+    records: [
+      { OrderNo: "1", Amount: 10, Note: "keep" },
+      { OrderNo: "2", Amount: 25 },
+      { OrderNo: "3", Amount: 35 },
+    ],
+    updated: 2,
+    added: 1,
+  });
+  assert.strictEqual(current[1].Amount, 20);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const context = vm.createContext({ console: console });
+context.self = context;
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "js/mappingRules.js"), "utf8"), context);
+const { MappingRules } = context;
+
+const RECORDS = JSON.stringify([{ Company: "10", Site: "UAT-01", Qty: 5 }]);
+const RULES = [
+  { id: "company", enabled: true, sourceDomain: "*", targetDomain: "*", column: "Company", type: "value", match: "10", replace: "20" },
+  { id: "site", enabled: true, sourceDomain: "uat.example.com", targetDomain: "cfg.example.com", column: "Site", type: "regex", match: "^UAT", replace: "CFG" },
+  { id: "off", enabled: false, sourceDomain: "*", targetDomain: "*", column: "Qty", type: "value", match: "5", replace: "6" },
+];
+
+test("rules of the pair and wildcard rules apply to a target, disabled ones do not", () => {
+  const result = MappingRules.mapPayload(RECORDS, RULES, "uat.example.com", "cfg.example.com");
+
+  assert.deepStrictEqual(JSON.parse(result.data), [{ Company: "20", Site: "CFG-01", Qty: 5 }]);
+  assert.deepStrictEqual(Array.from(result.changes, (change) => change.ruleId), ["company", "site"]);
+});
+
+test("wildcard rules do not rewrite the source domain's own tabs", () => {
+  const result = MappingRules.mapPayload(RECORDS, RULES, "uat.example.com", "uat.example.com");
+
+  assert.strictEqual(result.data, RECORDS);
+  assert.strictEqual(result.changes.length, 0);
+  assert.strictEqual(MappingRules.getRulesForPair(RULES, "uat.example.com", "uat.example.com").length, 0);
+});
+
+test("numbers stay numbers when the replacement is numeric", () => {
+  const rule = { id: "qty", type: "value", match: "5", replace: "7" };
+
+  assert.strictEqual(MappingRules.applyRule(rule, 5), 7);
+  assert.strictEqual(MappingRules.applyRule(rule, "5"), "7");
+  assert.strictEqual(MappingRules.applyRule(rule, 6), 6);
+});
+
+test("an invalid regex leaves the value unchanged", () => {
+  const rule = { id: "bad", type: "regex", match: "(", replace: "x" };
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual(MappingRules.applyRule(rule, "abc"), "abc");
+  } finally {
+    console.error = errors;
+  }
+});
+
+test("a payload that is not JSON passes through", () => {
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(MappingRules.mapPayload("not json", RULES, "uat.example.com", "cfg.example.com"))),
+    { data: "not json", changes: [] },
+  );
+});
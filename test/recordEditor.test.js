@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const context = vm.createContext({});
+context.window = context;
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "js/recordEditor.js"), "utf8"), context);
+const { RecordEditor } = context;
+
+test("object and array cells are edited as JSON and read back as values", () => {
+  const original = { address: [{ city: "Oslo" }] };
+  const text = RecordEditor.formatValue(original);
+
+  assert.strictEqual(text, '{"address":[{"city":"Oslo"}]}');
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(RecordEditor.parseValue(text.replace("Oslo", "Bergen"), original))),
+    { address: [{ city: "Bergen" }] },
+  );
+  assert.strictEqual(RecordEditor.parseValue("", original), null);
+  assert.strictEqual(RecordEditor.parseValue("{broken", original), "{broken");
+});
+
+test("numbers and booleans keep their type when the text allows it", () => {
+  assert.strictEqual(RecordEditor.parseValue("42", 7), 42);
+  assert.strictEqual(RecordEditor.parseValue("abc", 7), "abc");
+  assert.strictEqual(RecordEditor.parseValue("false", true), false);
+  assert.strictEqual(RecordEditor.parseValue("10", "5"), "10");
+});
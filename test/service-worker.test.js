@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServiceWorker } = require("./harness");
+
+const RECORDS_KEY = "IFS-Aurena-CopyPasteRecordStorage";
+const SOURCE_TAB = { id: 1, url: "https://src.example.com/main" };
+const TARGET_TAB = { id: 2, url: "https://dst.example.com/main" };
+const RECORDS = JSON.stringify([{ Name: "Jane", Email: "jane.doe@example.com" }]);
+
+/**
+ * Loads the service worker with a source domain whose emails are masked
+ * on the way to the target domain, and copies RECORDS in the source tab
+ * @returns {Promise<ReturnType<typeof loadServiceWorker>>} The loaded worker
+ */
+async function copyMaskedRecords() {
+  const worker = loadServiceWorker({
+    storage: {
+      allowedDomains: ["src.example.com", "dst.example.com"],
+      maskingPolicies: [
+        { id: "mask-email", enabled: true, domain: "src.example.com", columnPattern: "Email", luname: "", action: "partial", value: "" },
+      ],
+    },
+    tabs: [SOURCE_TAB, TARGET_TAB],
+  });
+
+  await worker.context.handleStorageChange(
+    { action: "localStorageUpdated", data: RECORDS, metadata: null, url: SOURCE_TAB.url },
+    { tab: SOURCE_TAB },
+  );
+  return worker;
+}
+
+test("a masked sync reported back by the target does not replace the clipboard", async () => {
+  const worker = await copyMaskedRecords();
+  const synced = worker.pageStorage("https://dst.example.com")[RECORDS_KEY];
+  assert.notStrictEqual(synced, RECORDS, "the target should receive masked records");
+
+  // The target's storage watcher sees the write and reports it
+  await worker.context.handleStorageChange(
+    { action: "localStorageCaptured", data: synced, metadata: null, url: TARGET_TAB.url },
+    { tab: TARGET_TAB },
+  );
+
+  assert.strictEqual(worker.storage[RECORDS_KEY], RECORDS);
+  assert.strictEqual(worker.storage.clipboardSource.domain, "src.example.com");
+});
+
+test("other data captured in a synced tab still replaces the clipboard", async () => {
+  const worker = await copyMaskedRecords();
+  const otherRecords = JSON.stringify([{ Name: "John" }]);
+
+  await worker.context.handleStorageChange(
+    { action: "localStorageCaptured", data: otherRecords, metadata: null, url: TARGET_TAB.url },
+    { tab: TARGET_TAB },
+  );
+
+  assert.strictEqual(worker.storage[RECORDS_KEY], otherRecords);
+  assert.strictEqual(worker.storage.clipboardSource.domain, "dst.example.com");
+});
+
+test("a page load is checked against the rule matching the tab's URL, not only its host", async () => {
+  const protectedTab = { id: 3, url: "https://ifs.example/main" };
+  const worker = loadServiceWorker({
+    storage: {
+      allowedDomains: ["ifs.example", "https://ifs.example:8080"],
+      domainSettings: { "ifs.example": { protected: true } },
+      [RECORDS_KEY]: RECORDS,
+      clipboardSource: { domain: "ifs.example", url: "https://ifs.example:8080/main" },
+    },
+    tabs: [protectedTab],
+  });
+
+  const written = await worker.context.SyncEngine.syncLoadedTab(protectedTab);
+
+  assert.strictEqual(written, false);
+  assert.strictEqual(worker.pageStorage("https://ifs.example")[RECORDS_KEY], undefined);
+});
+
+test("a push from a denied or untrusted source is refused", async () => {
+  const worker = loadServiceWorker({
+    storage: {
+      allowedDomains: ["dst.example.com"],
+      deniedDomains: ["src.example.com"],
+    },
+    tabs: [SOURCE_TAB, TARGET_TAB],
+  });
+
+  for (const sourceUrl of [SOURCE_TAB.url, "https://other.example.com/", null]) {
+    const result = await worker.context.SyncEngine.push({
+      records: RECORDS,
+      sourceDomain: sourceUrl && new URL(sourceUrl).hostname,
+      sourceUrl: sourceUrl,
+    });
+    assert.strictEqual(result.success, false);
+  }
+
+  assert.strictEqual(worker.storage[RECORDS_KEY], undefined);
+  assert.strictEqual(worker.pageStorage("https://dst.example.com")[RECORDS_KEY], undefined);
+});
+
+test("a synced copy lists the receiving domains on its history entry", async () => {
+  const worker = await copyMaskedRecords();
+  const history = worker.storage.clipboardHistory;
+
+  assert.deepStrictEqual(history.map((entry) => entry.operation), ["copy"]);
+  assert.deepStrictEqual(history[0].targetDomains, ["dst.example.com"]);
+});
+
+test("storage watcher registrations started together do not collide", async () => {
+  const worker = loadServiceWorker({ storage: { allowedDomains: ["src.example.com"] } });
+  const errors = [];
+  worker.context.console.error = (...args) => errors.push(args);
+
+  await Promise.all([
+    worker.context.registerStorageWatcher(),
+    worker.context.registerStorageWatcher(),
+    worker.context.registerStorageWatcher(),
+  ]);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(Array.from(worker.contentScripts.keys()).sort(), [
+    "ifs-page-storage-hook",
+    "ifs-storage-watcher",
+  ]);
+});
+
+test("a queued delivery on the next page load is recorded as a received sync", async () => {
+  const tabs = [SOURCE_TAB];
+  const worker = loadServiceWorker({
+    storage: { allowedDomains: ["src.example.com", "dst.example.com"] },
+    tabs: tabs,
+  });
+  await worker.context.handleStorageChange(
+    { action: "localStorageUpdated", data: RECORDS, metadata: null, url: SOURCE_TAB.url },
+    { tab: SOURCE_TAB },
+  );
+  assert.ok(worker.storage.syncOutbox["dst.example.com"], "the closed domain should be queued");
+
+  // The target domain is opened
+  tabs.push(TARGET_TAB);
+  assert.strictEqual(await worker.context.SyncEngine.syncLoadedTab(TARGET_TAB), true);
+
+  const history = worker.storage.clipboardHistory;
+  assert.deepStrictEqual(history.map((entry) => entry.operation), ["sync-received", "copy"]);
+  assert.deepStrictEqual(history[0].targetDomains, ["dst.example.com"]);
+  assert.strictEqual(history[0].sourceDomain, "src.example.com");
+});
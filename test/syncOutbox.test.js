@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadServiceWorker } = require("./harness");
+
+test("a newer payload replaces the queued one and counts as superseded", async () => {
+  const { context, storage } = loadServiceWorker();
+  const SyncOutbox = context.SyncOutbox;
+
+  await SyncOutbox.enqueue({
+    "test.example.com": { records: "[1]", metadata: null, sourceDomain: "prod.example.com", reason: "closed" },
+    "dev.example.com": { records: "[1]", reason: "failed", error: "Write was not verified" },
+  });
+  await SyncOutbox.enqueue({
+    "test.example.com": { records: "[2]", metadata: "{}", sourceDomain: "prod.example.com", reason: "closed" },
+  });
+
+  const outbox = storage[SyncOutbox.STORAGE_KEY];
+  assert.deepStrictEqual(Object.keys(outbox).sort(), ["dev.example.com", "test.example.com"]);
+  assert.strictEqual(outbox["test.example.com"].records, "[2]");
+  assert.strictEqual(outbox["test.example.com"].metadata, "{}");
+  assert.strictEqual(outbox["test.example.com"].superseded, 1);
+  assert.strictEqual(outbox["test.example.com"].lastError, null);
+  assert.strictEqual(outbox["dev.example.com"].superseded, 0);
+  assert.strictEqual(outbox["dev.example.com"].sourceDomain, null);
+  assert.strictEqual(outbox["dev.example.com"].lastError, "Write was not verified");
+  assert.ok(outbox["dev.example.com"].lastAttemptAt);
+});
+
+test("failures are counted on queued entries only, and delivered entries are removed", async () => {
+  const { context, storage } = loadServiceWorker();
+  const SyncOutbox = context.SyncOutbox;
+
+  await SyncOutbox.enqueue({
+    "test.example.com": { records: "[1]", reason: "closed" },
+    "dev.example.com": { records: "[1]", reason: "closed" },
+  });
+  await Promise.all([
+    SyncOutbox.recordFailure("test.example.com", "Tab closed"),
+    SyncOutbox.recordFailure("test.example.com", "Write was not verified"),
+    SyncOutbox.recordFailure("other.example.com", "Tab closed"),
+  ]);
+
+  let outbox = await SyncOutbox.load();
+  assert.strictEqual(outbox["test.example.com"].attempts, 2);
+  assert.strictEqual(outbox["test.example.com"].lastError, "Write was not verified");
+  assert.strictEqual("other.example.com" in outbox, false);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(SyncOutbox.summarize(outbox))), { pending: 2, failed: 1 });
+
+  await SyncOutbox.remove(["test.example.com", "other.example.com"]);
+  outbox = storage[SyncOutbox.STORAGE_KEY];
+  assert.deepStrictEqual(Object.keys(outbox), ["dev.example.com"]);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(SyncOutbox.summarize({}))), { pending: 0, failed: 0 });
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Loads the text formats module in a context of its own
+ * @returns {Function} TextFormats
+ */
+function loadTextFormats() {
+  const context = vm.createContext({ TextDecoder: TextDecoder, TextEncoder: TextEncoder });
+  context.window = context;
+  vm.runInContext(fs.readFileSync(path.join(ROOT, "js/textFormats.js"), "utf8"), context, {
+    filename: "js/textFormats.js",
+  });
+  return context.TextFormats;
+}
+
+/**
+ * Copies a value out of the module's context so it compares with local values
+ * @param {*} value - Value created in the context
+ * @returns {*} Plain copy
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test("parseDelimited handles quoted delimiters, line breaks and doubled quotes", () => {
+  const TextFormats = loadTextFormats();
+  const text = 'Name;Note\r\n"Smith; John";"Says ""hi""\nthen leaves"\r\n\r\nDoe;\n';
+  assert.deepStrictEqual(plain(TextFormats.parseDelimited(text, { delimiter: ";" })), [
+    ["Name", "Note"],
+    ["Smith; John", 'Says "hi"\nthen leaves'],
+    ["Doe", ""],
+  ]);
+
+  // Without a quote character quotes are kept as text
+  assert.deepStrictEqual(plain(TextFormats.parseDelimited('"a",b', { delimiter: ",", quote: "" })), [['"a"', "b"]]);
+});
+
+test("detectDelimiter picks the delimiter that splits the header row most", () => {
+  const TextFormats = loadTextFormats();
+  assert.strictEqual(TextFormats.detectDelimiter("a;b;c\n1;2,5;3"), ";");
+  assert.strictEqual(TextFormats.detectDelimiter("a\tb\n1\t2"), "\t");
+  assert.strictEqual(TextFormats.detectDelimiter("single"), ",");
+});
+
+test("parseCellValue types clear numbers and booleans only", () => {
+  const TextFormats = loadTextFormats();
+  assert.strictEqual(TextFormats.parseCellValue("42"), 42);
+  assert.strictEqual(TextFormats.parseCellValue("-3.5"), -3.5);
+  assert.strictEqual(TextFormats.parseCellValue("00123"), "00123");
+  assert.strictEqual(TextFormats.parseCellValue("1e3"), "1e3");
+  assert.strictEqual(TextFormats.parseCellValue("true"), true);
+  assert.strictEqual(TextFormats.parseCellValue("TRUE"), "TRUE");
+});
+
+test("toDelimited quotes fields that need it and round-trips through parseDelimited", () => {
+  const TextFormats = loadTextFormats();
+  const rows = [
+    ["Name", "Note", "Data"],
+    ["Smith, John", ' padded ', { a: 1 }],
+    ["Doe", null, 'say "x"'],
+  ];
+  const text = TextFormats.toDelimited(rows, { delimiter: "," });
+  assert.strictEqual(text, 'Name,Note,Data\r\n"Smith, John"," padded ","{""a"":1}"\r\nDoe,,"say ""x"""');
+  assert.deepStrictEqual(plain(TextFormats.parseDelimited(text, { delimiter: "," })), [
+    ["Name", "Note", "Data"],
+    ["Smith, John", " padded ", '{"a":1}'],
+    ["Doe", "", 'say "x"'],
+  ]);
+  assert.strictEqual(TextFormats.toDelimited([["a", "b"]], { delimiter: "\t", quoteAll: true }), '"a"\t"b"');
+});
+
+test("encode and decode handle byte order marks and Windows-1252", () => {
+  const TextFormats = loadTextFormats();
+  const text = "Café €5";
+
+  const utf8 = TextFormats.encode(text, "utf-8", true);
+  assert.deepStrictEqual(Array.from(utf8.slice(0, 3)), [0xef, 0xbb, 0xbf]);
+  assert.strictEqual(TextFormats.decode(utf8.buffer), text);
+
+  const utf16 = TextFormats.encode(text, "utf-16le");
+  assert.deepStrictEqual(Array.from(utf16.slice(0, 2)), [0xff, 0xfe]);
+  assert.strictEqual(TextFormats.decode(utf16.buffer), text);
+
+  // Node decodes 0x80-0x9F as Latin-1 where browsers give "€" and friends,
+  // so only characters outside that range are checked here
+  const western = TextFormats.encode("Café ü 中", "windows-1252");
+  assert.deepStrictEqual(Array.from(western), [0x43, 0x61, 0x66, 0xe9, 0x20, 0xfc, 0x20, 0x3f]);
+  assert.strictEqual(TextFormats.decode(western.buffer, "windows-1252"), "Café ü ?");
+});